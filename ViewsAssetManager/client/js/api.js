@@ -9,10 +9,27 @@
     
     // Wait for Utils to be available
     const Utils = global.Views.Utils;
+    const Errors = global.Views.Errors;
+    const SecureStore = global.Views.SecureStore;
+    const Profiles = global.Views.Profiles;
+    const Connectivity = global.Views.Connectivity;
+    const Network = global.Views.Network;
     const log = Utils ? Utils.log : console.log;
 
-    const API_BASE_URL = "https://api.viewseditors.com";
+    /** Legacy plain-text localStorage entry, migrated into SecureStore on first read */
     const API_KEY_STORAGE_KEY = "views_asset_manager_api_key";
+
+    /** SecureStore name of the encrypted API key (scoped to the active profile) */
+    const API_KEY_SECRET = "apiKey";
+
+    /** Statuses meaning the server lacks an optional endpoint (device management, library sync) */
+    const UNSUPPORTED_STATUSES = [404, 405, 501];
+    /** Default number of retries for a failed request */
+    const DEFAULT_RETRIES = 3;
+    /** Base delay for exponential backoff */
+    const RETRY_BASE_DELAY_MS = 500;
+    /** Upper bound for any single wait, including server-provided Retry-After */
+    const RETRY_MAX_DELAY_MS = 30000;
     
     /** Cached extension version read from version.json */
     let cachedExtensionVersion = null;
@@ -93,37 +110,64 @@
     };
 
     /**
-     * Gets the stored API key
+     * Gets the SecureStore name of the active profile's API key
+     * @returns {string} Secret name
+     */
+    const getApiKeySecretName = () => Profiles.scopeKey(API_KEY_SECRET);
+
+    /**
+     * Checks whether the active profile owns the legacy plain-text key (the default profile does)
+     * @returns {boolean} True for the default profile
+     */
+    const ownsLegacyApiKey = () => getApiKeySecretName() === API_KEY_SECRET;
+
+    /**
+     * Gets the active profile's stored API key, moving a key saved in plain text by an
+     * older version into encrypted storage
      * @returns {string|null} The stored API key or null
      */
     const getStoredApiKey = () => {
-        return storage.get(API_KEY_STORAGE_KEY);
+        const legacyKey = ownsLegacyApiKey() ? storage.get(API_KEY_STORAGE_KEY) : null;
+        if (legacyKey) {
+            if (SecureStore.set(API_KEY_SECRET, legacyKey)) {
+                storage.remove(API_KEY_STORAGE_KEY);
+                log("Migrated API key to encrypted storage");
+            }
+            return legacyKey;
+        }
+        return SecureStore.get(getApiKeySecretName());
     };
 
     /**
-     * Stores the API key securely
+     * Stores the API key encrypted. Without secure storage (no Node.js) the key is
+     * only kept for this session rather than written in plain text.
      * @param {string} apiKey - The API key to store
      * @returns {boolean} Success status
      */
     const storeApiKey = (apiKey) => {
-        const success = storage.set(API_KEY_STORAGE_KEY, apiKey);
+        currentApiKey = apiKey;
+        if (!SecureStore.isAvailable()) {
+            log("Secure storage unavailable - API key kept for this session only");
+            return true;
+        }
+        const success = SecureStore.set(getApiKeySecretName(), apiKey);
         if (success) {
-            currentApiKey = apiKey;
+            if (ownsLegacyApiKey()) storage.remove(API_KEY_STORAGE_KEY);
             log("API key stored successfully");
         }
         return success;
     };
 
     /**
-     * Removes the stored API key
+     * Removes the active profile's stored API key, encrypted and legacy copies alike,
+     * and forgets it for this session
      * @returns {boolean} Success status
      */
     const removeApiKey = () => {
-        const success = storage.remove(API_KEY_STORAGE_KEY);
-        if (success) {
-            currentApiKey = "";
-            log("API key removed");
-        }
+        const success = SecureStore.remove(getApiKeySecretName()) &&
+            (!ownsLegacyApiKey() || storage.remove(API_KEY_STORAGE_KEY));
+        currentApiKey = "";
+        log(success ? "API key removed" : "API key could not be fully removed");
         return success;
     };
 
@@ -148,53 +192,202 @@
 
     /**
      * Validates that an API key is configured
-     * @throws {Error} If API key is not set
+     * @throws {AuthError} If API key is not set
      */
     const ensureApiKey = () => {
         if (!currentApiKey) {
             const warning = "API key is required. Please configure your API key in settings.";
             console.error(warning);
-            throw new Error(warning);
+            throw new Errors.AuthError(warning, { status: null, userMessage: warning });
         }
     };
 
     /**
-     * Makes an authenticated GET request to the API
+     * Parses a Retry-After header (delta-seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+     */
+    const parseRetryAfter = (value) => {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+        return null;
+    };
+
+    /**
+     * Reads the error detail from a JSON error body ({ message } or { error })
+     * @param {Response} response - Failed response
+     * @returns {Promise<string>} Detail, or "" if there is none
+     */
+    const readErrorDetail = async (response) => {
+        try {
+            const text = await response.text();
+            try {
+                const data = JSON.parse(text);
+                return String(data.message || data.error || "");
+            } catch (e) {
+                return text.length < 200 ? text.trim() : "";
+            }
+        } catch (e) {
+            return "";
+        }
+    };
+
+    /**
+     * Creates the typed error for a failed API response
+     * @param {Response} response - Response with a non-2xx status
+     * @returns {Promise<ViewsError>} Typed error
+     */
+    const createResponseError = async (response) => {
+        const { status } = response;
+        const detail = await readErrorDetail(response);
+        const reason = detail || response.statusText;
+        const message = reason ? `API error ${status}: ${reason}` : `API error ${status}`;
+
+        let error;
+        if (status === 400 && /device/i.test(detail)) {
+            // A missing or malformed device ID (shouldn't happen, but just in case)
+            error = new Errors.ViewsError(message, {
+                status,
+                userMessage: "Device identification error. Please restart the extension."
+            });
+        } else {
+            error = Errors.fromStatus(status, message, {
+                retryAfterMs: parseRetryAfter(response.headers.get("Retry-After"))
+            });
+        }
+        error.detail = detail;
+        return error;
+    };
+
+    /**
+     * Checks whether a failed fetch was the proxy's doing (see Network)
+     * @param {Error} error - Error thrown by fetch
+     * @returns {boolean} True if the proxy refused or could not be reached
+     */
+    const isProxyFailure = (error) => !!(error && error.cause && error.cause.proxy);
+
+    /**
+     * Wraps a failed fetch (no HTTP response) in a NetworkError
+     * @param {Error} error - Error thrown by fetch
+     * @returns {NetworkError} Network error
+     */
+    const createNetworkError = (error) => new Errors.NetworkError(`Network request failed: ${error.message}`, {
+        cause: error,
+        // Proxy failures already explain themselves (e.g. rejected proxy credentials)
+        userMessage: isProxyFailure(error) ? error.message : undefined
+    });
+
+    /**
+     * Makes an authenticated request to the API and returns the raw response.
+     * A 304 Not Modified is passed through for conditional requests.
      * @param {string} path - API endpoint path (e.g., "/assets")
-     * @returns {Promise<Object>} Parsed JSON response
-     * @throws {Error} If API key is missing, device limit exceeded, or request fails
+     * @param {Object} [options] - Request options
+     * @param {string} [options.method] - HTTP method (default GET)
+     * @param {Object} [options.body] - Sent as JSON
+     * @param {string} [options.apiKey] - Key to use instead of the stored one (e.g. a key being set up)
+     * @param {Object} [options.headers] - Extra request headers (e.g. If-None-Match)
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>} The fetch response
+     * @throws {ViewsError} Typed error (AuthError, DeviceLimitError, NetworkError...) if the request fails
      */
-    const fetchJson = async (path) => {
-        ensureApiKey();
+    const request = async (path, options = {}) => {
+        if (!options.apiKey) {
+            ensureApiKey();
+        }
+        if (Connectivity.isManualOffline()) {
+            throw Connectivity.createOfflineError();
+        }
         const deviceId = await ensureDeviceId();
 
-        const response = await fetch(`${API_BASE_URL}${path}`, {
-            method: "GET",
-            cache: "no-cache",
-            headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json",
-                "X-API-Key": currentApiKey,
-                "X-Device-ID": deviceId
+        let response;
+        try {
+            response = await Network.fetch(`${Network.getApiBaseUrl()}${path}`, {
+                method: options.method || "GET",
+                cache: "no-cache",
+                headers: {
+                    "Content-Type": "application/json",
+                    Accept: "application/json",
+                    "X-API-Key": options.apiKey || currentApiKey,
+                    "X-Device-ID": deviceId,
+                    ...(options.headers || {})
+                },
+                body: options.body ? JSON.stringify(options.body) : undefined,
+                signal: options.signal
+            });
+        } catch (networkError) {
+            if (Utils.isAbortError(networkError)) {
+                throw networkError;
             }
-        });
+            // Otherwise fetch only rejects on network failure, which is always worth retrying
+            throw createNetworkError(networkError);
+        }
+
+        Connectivity.reportSuccess();
 
-        // Handle device limit exceeded
-        if (response.status === 403) {
-            throw new Error("This API key is already registered to another device. Please contact your administrator or use a different API key.");
+        if (!response.ok && response.status !== 304) {
+            throw await createResponseError(response);
         }
+        return response;
+    };
 
-        // Handle missing device ID (shouldn't happen, but just in case)
-        if (response.status === 400) {
-            const errorText = await response.text();
-            if (errorText.includes("device") || errorText.includes("Device")) {
-                throw new Error("Device identification error. Please restart the extension.");
-            }
+    /**
+     * Makes a request, retrying transient failures with exponential backoff.
+     * Honors Retry-After on 429/503 responses.
+     * Network failures that outlast the retries switch the panel to offline mode;
+     * while offline a single attempt is made so the panel stays responsive.
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options (see request)
+     * @param {number} [options.retries] - Maximum number of retries
+     * @returns {Promise<Response>} The fetch response
+     */
+    const requestWithRetry = async (path, options = {}) => {
+        let retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+        if (Connectivity.isOffline()) {
+            retries = 0;
         }
+        let attempt = 0;
 
-        if (!response.ok) {
-            throw new Error(`API error ${response.status}: ${response.statusText}`);
+        while (true) {
+            try {
+                return await request(path, options);
+            } catch (error) {
+                if (!error.retryable || attempt >= retries) {
+                    if (error instanceof Errors.NetworkError && !error.offline) {
+                        Connectivity.reportNetworkFailure();
+                    }
+                    throw error;
+                }
+
+                const backoff = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.random() * RETRY_BASE_DELAY_MS;
+                const wait = Math.min(
+                    error.retryAfterMs != null ? error.retryAfterMs : backoff,
+                    RETRY_MAX_DELAY_MS
+                );
+                attempt++;
+                log(`Request ${path} failed (${error.message}), retry ${attempt}/${retries} in ${Math.round(wait)}ms`);
+                await Utils.delay(wait, options.signal);
+            }
         }
+    };
+
+    /**
+     * Makes an authenticated GET request to the API
+     * @param {string} path - API endpoint path (e.g., "/assets")
+     * @param {Object} [options] - Request options
+     * @param {number} [options.retries] - Maximum number of retries for transient failures
+     * @param {AbortSignal} [options.signal] - Cancels the request and any pending retries
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {ViewsError} Typed error if the request fails
+     */
+    const fetchJson = async (path, options = {}) => {
+        const response = await requestWithRetry(path, options);
         return response.json();
     };
 
@@ -213,9 +406,11 @@
         log(`Testing API key with device ID: ${deviceId.substring(0, 16)}...`);
 
         // Test the key by making a request to the API
+        const url = `${Network.getApiBaseUrl()}/folders`;
+        log(`Validating API key against ${url}`);
+        let response;
         try {
-            log(`Validating API key against ${API_BASE_URL}/folders`);
-            const response = await fetch(`${API_BASE_URL}/folders`, {
+            response = await Network.fetch(url, {
                 method: "GET",
                 cache: "no-cache",
                 headers: {
@@ -225,53 +420,33 @@
                     "X-Device-ID": deviceId
                 }
             });
-
-            log(`Validation response: ${response.status} ${response.statusText}`);
-
-            if (response.status === 200 || response.status === 404) {
-                log("API key validated and bound to this device");
-                return true;
-            }
-
-            if (response.status === 401) {
-                throw new Error("Invalid API key. Please check and try again.");
-            }
-
-            if (response.status === 403) {
-                throw new Error("This API key is already registered to another device. Please use a different key or contact your administrator.");
+        } catch (error) {
+            log("Validation error:", error);
+            const networkError = createNetworkError(error);
+            if (!isProxyFailure(error)) {
+                networkError.userMessage = "Unable to validate API key. Check your network connection. You may be on a network that blocks the API. Consider using a VPN, or set a proxy under Settings > Network.";
             }
+            throw networkError;
+        }
 
-            if (response.status === 400) {
-                let errorDetails = "";
-                try {
-                    const errorData = await response.json();
-                    errorDetails = errorData.message || errorData.error || "";
-                } catch (e) {}
-                throw new Error(`Validation error: ${errorDetails || "Invalid request. Please try again."}`);
-            }
+        log(`Validation response: ${response.status} ${response.statusText}`);
 
-            if (response.status === 500) {
-                let errorDetails = "";
-                try {
-                    const errorData = await response.json();
-                    errorDetails = errorData.message || errorData.error || "";
-                } catch (e) {}
-                throw new Error(`Server error (500)${errorDetails ? ": " + errorDetails : ". Please try again later or contact support."}`);
-            }
+        if (response.status === 200 || response.status === 404) {
+            log("API key validated and bound to this device");
+            return true;
+        }
 
-            throw new Error(`API error ${response.status}: ${response.statusText}`);
-        } catch (error) {
-            if (error.message.includes("API error") || 
-                error.message.includes("Invalid API key") || 
-                error.message.includes("already registered") ||
-                error.message.includes("Server error") ||
-                error.message.includes("Validation error")) {
-                throw error;
-            }
-            
-            log("Validation error:", error);
-            throw new Error("Unable to validate API key. Check your network connection. You may be on a newtwork that blocks the API. Consider using a VPN or proxy.");
+        const error = await createResponseError(response);
+        if (error instanceof Errors.AuthError) {
+            error.userMessage = "Invalid API key. Please check and try again.";
+        } else if (error instanceof Errors.DeviceLimitError) {
+            error.userMessage = "This API key is registered to another device. Use Manage devices to move it here.";
+        } else if (error instanceof Errors.ServerError) {
+            error.userMessage = `Server error (${error.status})${error.detail ? ": " + error.detail : ". Please try again later or contact support."}`;
+        } else if (error.status === 400 && error.userMessage === error.message) {
+            error.userMessage = `Validation error: ${error.detail || "Invalid request. Please try again."}`;
         }
+        throw error;
     };
 
     /**
@@ -334,16 +509,207 @@
         }
     };
 
+    /**
+     * Fetches assets added, changed or removed since the last sync.
+     * Sends the previous ETag so an unchanged catalog costs a single 304.
+     * @param {string} since - Sync cursor from the previous sync (ISO timestamp or server cursor)
+     * @param {string|null} [etag] - ETag from the previous delta response
+     * @param {AbortSignal} [signal] - Cancels the remaining page requests
+     * @returns {Promise<{assets: Array, deletedIds: Array<string>, cursor: string|null, etag: string|null, notModified: boolean}|null>}
+     *   Changes since the cursor, or null if the server does not support delta sync
+     */
+    const fetchAssetChanges = async (since, etag = null, signal) => {
+        const limit = 100;
+        const query = `updatedSince=${encodeURIComponent(since)}&includeDeleted=true`;
+        let page = 1;
+        let total = 0;
+        let assets = [];
+        let deletedIds = [];
+        let cursor = null;
+        let responseEtag = null;
+
+        log(`Fetching asset changes since ${since}...`);
+
+        do {
+            const headers = page === 1 && etag ? { "If-None-Match": etag } : {};
+            const response = await requestWithRetry(`/assets?${query}&page=${page}&limit=${limit}`, { headers, signal });
+
+            if (response.status === 304) {
+                log("Asset catalog not modified since last sync.");
+                return { assets: [], deletedIds: [], cursor: since, etag, notModified: true };
+            }
+
+            const data = await response.json();
+
+            // A server without delta support ignores updatedSince and never reports deletions
+            const deleted = data.deleted || data.deletedIds;
+            if (!Array.isArray(deleted)) {
+                log("Server did not return deletions - delta sync unsupported.");
+                return null;
+            }
+
+            if (page === 1) {
+                responseEtag = response.headers.get("ETag");
+                total = data.total || 0;
+            }
+
+            assets = [...assets, ...(data.assets || [])];
+            deletedIds = [...deletedIds, ...deleted.map(String)];
+            cursor = data.cursor || data.serverTime || cursor;
+            page++;
+        } while ((page - 1) * limit < total);
+
+        log(`Asset changes: ${assets.length} added/changed, ${deletedIds.length} removed.`);
+        return { assets, deletedIds, cursor, etag: responseEtag, notModified: false };
+    };
+
     /**
      * Requests a presigned download URL for an asset
+     * @param {string} assetId - Asset ID
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<{url: string, size: number|null, sha256: string|null, version: string|null}>} Download payload;
+     *   size and sha256 describe the file behind url and are used to verify the download, version
+     *   keeps each revision of an asset in its own cache folder
      */
-    const requestAssetDownload = async (assetId) => {
+    const requestAssetDownload = async (assetId, signal) => {
         if (!assetId) {
             throw new Error("Asset id missing.");
         }
         const encodedId = encodeURIComponent(assetId);
         log(`Requesting download for asset: ${assetId} (encoded: ${encodedId})`);
-        return fetchJson(`/assets/${encodedId}/download`);
+        const payload = await fetchJson(`/assets/${encodedId}/download`, { signal });
+        return {
+            ...payload,
+            size: Number(payload.size) || null,
+            sha256: payload.sha256 ? String(payload.sha256).toLowerCase() : null,
+            version: payload.version != null && payload.version !== "" ? String(payload.version) : null
+        };
+    };
+
+    /**
+     * Normalizes a device record from the API
+     * @param {Object} device - Device as returned by the API
+     * @param {string} currentDeviceId - This device's ID
+     * @returns {{id: string, name: string, platform: string|null, registeredAt: string|null, lastSeenAt: string|null, current: boolean}}
+     *   Device
+     */
+    const normalizeDevice = (device, currentDeviceId) => {
+        const id = String(device.id || device.deviceId || "");
+        return {
+            id,
+            name: device.name || device.hostname || "Unnamed device",
+            platform: device.platform || null,
+            registeredAt: device.registeredAt || device.createdAt || null,
+            lastSeenAt: device.lastSeenAt || device.lastUsedAt || null,
+            current: id === currentDeviceId
+        };
+    };
+
+    /**
+     * Rethrows an error from a device endpoint, explaining when the server has no device management
+     * @param {Error} error - Error from the request
+     * @throws {ViewsError} Always
+     */
+    const rethrowDeviceError = (error) => {
+        if (UNSUPPORTED_STATUSES.includes(error.status)) {
+            throw new Errors.ViewsError(error.message, {
+                status: error.status,
+                userMessage: "Your Views server doesn't support managing devices. Contact your administrator to move your key."
+            });
+        }
+        throw error;
+    };
+
+    /**
+     * Lists the devices registered to an API key
+     * @param {Object} [options] - Request options
+     * @param {string} [options.apiKey] - Key to look up instead of the stored one
+     * @returns {Promise<{supported: boolean, devices: Array<Object>}>} Devices (see normalizeDevice);
+     *   supported is false when the server has no device endpoints
+     */
+    const fetchDevices = async (options = {}) => {
+        const deviceId = await ensureDeviceId();
+        try {
+            const data = await fetchJson("/devices", { apiKey: options.apiKey, retries: 1 });
+            const devices = Array.isArray(data) ? data : data.devices || [];
+            log(`Key is registered to ${devices.length} device(s).`);
+            return { supported: true, devices: devices.map(device => normalizeDevice(device, deviceId)) };
+        } catch (error) {
+            if (UNSUPPORTED_STATUSES.includes(error.status)) {
+                log("Server does not support device management.");
+                return { supported: false, devices: [] };
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Releases a device from an API key, so the key can be used on another device
+     * @param {string} deviceId - Device to release
+     * @param {Object} [options] - Request options
+     * @param {string} [options.apiKey] - Key to release the device from instead of the stored one
+     * @returns {Promise<void>}
+     */
+    const releaseDevice = async (deviceId, options = {}) => {
+        log(`Releasing device ${deviceId.substring(0, 16)}...`);
+        try {
+            await request(`/devices/${encodeURIComponent(deviceId)}`, { method: "DELETE", apiKey: options.apiKey });
+        } catch (error) {
+            rethrowDeviceError(error);
+        }
+    };
+
+    /**
+     * Moves an API key's registration to this device, releasing the device it was bound to
+     * @param {Object} [options] - Request options
+     * @param {string} [options.apiKey] - Key to transfer instead of the stored one
+     * @returns {Promise<void>}
+     */
+    const transferDevice = async (options = {}) => {
+        const diagnostics = typeof DeviceId !== "undefined" ? DeviceId.getDiagnostics() : {};
+        log("Transferring API key to this device...");
+        try {
+            await request("/devices/transfer", {
+                method: "POST",
+                apiKey: options.apiKey,
+                body: { name: diagnostics.hostname || null, platform: Utils.getPlatform() }
+            });
+        } catch (error) {
+            rethrowDeviceError(error);
+        }
+    };
+
+    /**
+     * Exchanges favorite and collection changes with the server. The server keeps the most
+     * recent change per favorite, collection and membership and returns every change made
+     * since the cursor, by any device.
+     * @param {Object} payload - Sync request
+     * @param {string|null} payload.since - Cursor from the previous sync, or null for everything
+     * @param {Array<Object>} payload.changes - Local change records (see Preferences)
+     * @returns {Promise<{supported: boolean, changes: Array<Object>, cursor: string|null}>} Changes to apply
+     *   and the cursor for the next sync; supported is false when the server has no library endpoint
+     */
+    const syncLibrary = async ({ since, changes }) => {
+        try {
+            const data = await fetchJson("/library/sync", {
+                method: "POST",
+                body: { since, changes },
+                retries: 1
+            });
+            const remoteChanges = Array.isArray(data.changes) ? data.changes : [];
+            log(`Library sync: sent ${changes.length} change(s), received ${remoteChanges.length}.`);
+            return {
+                supported: true,
+                changes: remoteChanges,
+                cursor: data.cursor != null ? String(data.cursor) : null
+            };
+        } catch (error) {
+            if (UNSUPPORTED_STATUSES.includes(error.status)) {
+                log("Server does not support library sync.");
+                return { supported: false, changes: [], cursor: null };
+            }
+            throw error;
+        }
     };
 
     /**
@@ -351,18 +717,30 @@
      * @returns {Promise<{version: string, major: number, minor: number, patch: number}>} Version info
      */
     const fetchVersion = async () => {
+        if (Connectivity.isManualOffline()) {
+            throw Connectivity.createOfflineError();
+        }
+
         log("Fetching API version...");
-        const response = await fetch(`${API_BASE_URL}/version`, {
-            method: "GET",
-            cache: "no-cache",
-            headers: {
-                "Content-Type": "application/json",
-                Accept: "application/json"
-            }
-        });
+        let response;
+        try {
+            response = await Network.fetch(`${Network.getApiBaseUrl()}/version`, {
+                method: "GET",
+                cache: "no-cache",
+                headers: {
+                    "Content-Type": "application/json",
+                    Accept: "application/json"
+                }
+            });
+        } catch (networkError) {
+            Connectivity.reportNetworkFailure();
+            throw createNetworkError(networkError);
+        }
+
+        Connectivity.reportSuccess();
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch version: ${response.status}`);
+            throw Errors.fromStatus(response.status, `Failed to fetch version: ${response.status}`);
         }
 
         return response.json();
@@ -408,10 +786,16 @@
         removeApiKey,
         validateApiKey,
         fetchJson,
+        fetchAssetChanges,
         fetchFolders,
         getChildFolders,
         getFolderPath,
         requestAssetDownload,
+        fetchDevices,
+        releaseDevice,
+        transferDevice,
+        syncLibrary,
+        getDeviceId: ensureDeviceId,
         fetchVersion,
         getExpectedVersion,
         isUpdateRequired
@@ -8,52 +8,29 @@
     global.Views = global.Views || {};
 
     const Utils = global.Views.Utils;
+    const Errors = global.Views.Errors;
     const API = global.Views.API;
     const FS = global.Views.FileSystem;
     const UI = global.Views.UI;
     const State = global.Views.State;
+    const SyncEngine = global.Views.SyncEngine;
+    const CacheIndex = global.Views.CacheIndex;
+    const Connectivity = global.Views.Connectivity;
+    const Search = global.Views.Search;
 
     const log = Utils.log;
 
-    /**
-     * Silently preloads all assets in background without UI updates.
-     * @returns {Promise<Array|null>} Array of assets or null on failure
-     */
-    const preloadAssetsInBackground = async () => {
-        try {
-            log("Background preload: Starting asset fetch...");
-            const startTime = Date.now();
-
-            let page = 1;
-            const limit = 100;
-            let allFetched = [];
-
-            let data = await API.fetchJson(`/assets?page=${page}&limit=${limit}`);
-            allFetched = [...(data.assets || [])];
-            const total = data.total || 0;
-            const totalPages = Math.ceil(total / limit);
-
-            if (totalPages > 1) {
-                const promises = [];
-                for (let p = 2; p <= totalPages; p++) {
-                    promises.push(API.fetchJson(`/assets?page=${p}&limit=${limit}`));
-                }
-
-                const results = await Promise.all(promises);
-                results.forEach(res => {
-                    if (res.assets) {
-                        allFetched = [...allFetched, ...res.assets];
-                    }
-                });
-            }
-
-            const elapsed = Date.now() - startTime;
-            log(`Background preload: Complete - ${allFetched.length} assets in ${elapsed}ms`);
-            return allFetched;
-        } catch (error) {
-            console.error("Background preload failed:", error);
-            return null;
-        }
+    /** Ways the asset grid can be sorted */
+    const SORT_ORDERS = {
+        DEFAULT: "default",
+        NAME_ASC: "name-asc",
+        NAME_DESC: "name-desc",
+        NEWEST: "newest",
+        OLDEST: "oldest",
+        LARGEST: "largest",
+        SMALLEST: "smallest",
+        RECENTLY_IMPORTED: "recently-imported",
+        MOST_IMPORTED: "most-imported"
     };
 
     /**
@@ -74,18 +51,21 @@
 
     /**
      * Starts background preloading of assets and folders.
+     * The asset preload is a silent full sync that syncAssets joins later.
      */
     const startBackgroundPreload = () => {
         const state = State.getState();
-        if (!state.preloadPromise) {
+        if (!SyncEngine.isSyncing()) {
             log("Starting background preload...");
-            state.preloadPromise = preloadAssetsInBackground();
+            SyncEngine.start({ mode: "full", presentation: "silent" });
+        }
+        if (!state.preloadFoldersPromise) {
             state.preloadFoldersPromise = preloadFoldersInBackground();
         }
     };
 
     /**
-     * Filters assets by current folder (only direct folder, not subfolders)
+     * Filters assets by current folder, including its subfolders when that option is on
      * @param {Array} allAssets - List of all assets
      * @returns {Array} Filtered assets
      */
@@ -104,29 +84,121 @@
             return allAssets;
         }
 
+        // Recent lists each imported asset once, most recently imported first
+        if (String(state.selectedFolderId) === "recent") {
+            if (!Preferences) return [];
+            const assetsById = {};
+            allAssets.forEach(asset => {
+                assetsById[asset.id] = asset;
+            });
+            const recentIds = new Set(Preferences.getImportHistory().map(entry => entry.assetId));
+            return Array.from(recentIds, id => assetsById[id]).filter(Boolean);
+        }
+
+        // Collections list their assets in the order they were added
+        const collectionId = global.Views.FolderController.getCollectionId(state.selectedFolderId);
+        if (collectionId !== null) {
+            const collection = Preferences && Preferences.getCollection(collectionId);
+            if (!collection) return [];
+            const assetsById = {};
+            allAssets.forEach(asset => {
+                assetsById[asset.id] = asset;
+            });
+            return collection.assetIds.map(id => assetsById[id]).filter(Boolean);
+        }
+
+        if (Preferences && Preferences.getIncludeSubfolders()) {
+            const folderIds = global.Views.FolderController.getDescendantIds(state.selectedFolderId);
+            return allAssets.filter(asset => folderIds.has(String(asset.folderId)));
+        }
+
         return allAssets.filter(asset => {
             return String(asset.folderId) === String(state.selectedFolderId);
         });
     };
 
     /**
-     * Filters assets by search query
+     * Keeps the assets imported into the open project when the "This project" filter is on.
+     * Imports into an unsaved project can't be told apart, so nothing matches until it's saved.
+     * @param {Array} assets - Assets to filter
+     * @returns {Array} Filtered assets
+     */
+    const filterAssetsByProject = (assets) => {
+        const state = State.getState();
+        const Preferences = global.Views.Preferences;
+        if (!state.projectFilterEnabled || !Preferences) return assets;
+        if (!state.currentProjectPath) return [];
+
+        const usedIds = new Set(Preferences.getImportHistory()
+            .filter(entry => entry.projectPath === state.currentProjectPath)
+            .map(entry => entry.assetId));
+        return assets.filter(asset => usedIds.has(asset.id));
+    };
+
+    /**
+     * Filters assets by search query, best matches first. Every term must match the
+     * name, tags, folder path or description, and every qualifier must hold (see search.js).
      * @param {Array} assets - List of assets to filter
-     * @param {string} query - Search query
-     * @returns {Array} Filtered assets matching query
+     * @param {string|Object} query - Search query, as typed or from Search.parseQuery
+     * @returns {Array} Matching assets, ranked
      */
     const filterAssetsBySearch = (assets, query) => {
         if (!query) return assets;
 
-        const lowerQuery = query.toLowerCase();
-        return assets.filter(asset => {
-            const name = (asset.name || asset.id || "").toLowerCase();
-            return name.includes(lowerQuery);
+        const FolderController = global.Views.FolderController;
+        return Search.search(assets, query, {
+            getFolderPath: (folderId) => FolderController.buildFolderPath(folderId).map(folder => folder.name).join(" / ")
         });
     };
 
     /**
-     * Updates counts in the sidebar including favorites
+     * Compares two optional numbers, always putting missing values last
+     * @param {number|null} a - First value
+     * @param {number|null} b - Second value
+     * @param {number} direction - 1 for ascending, -1 for descending
+     * @returns {number} Comparison result
+     */
+    const compareOptional = (a, b, direction) => {
+        const aMissing = a === null || isNaN(a);
+        const bMissing = b === null || isNaN(b);
+        if (aMissing || bMissing) return aMissing - bMissing;
+        return (a - b) * direction;
+    };
+
+    /**
+     * Sorts assets. The sort is stable, so equal assets keep the search ranking or the API's order.
+     * @param {Array} assets - Assets to sort
+     * @param {string} order - One of SORT_ORDERS
+     * @returns {Array} Sorted copy (or the same array for the default order)
+     */
+    const sortAssets = (assets, order) => {
+        const Preferences = global.Views.Preferences;
+        const getName = (asset) => Utils.getDisplayName(asset.name || asset.id);
+        const getDate = (asset) => (asset.uploadDate ? new Date(asset.uploadDate).getTime() : null);
+        const getSize = (asset) => (asset.size != null ? Number(asset.size) : null);
+        const stats = Preferences ? Preferences.getImportStats() : {};
+        const getLastImport = (asset) => (stats[asset.id] ? new Date(stats[asset.id].lastImportedAt).getTime() : null);
+        const getImportCount = (asset) => (stats[asset.id] ? stats[asset.id].count : null);
+        const byName = (a, b) => getName(a).localeCompare(getName(b), undefined, { numeric: true, sensitivity: "base" });
+
+        const comparators = {
+            [SORT_ORDERS.NAME_ASC]: byName,
+            [SORT_ORDERS.NAME_DESC]: (a, b) => byName(b, a),
+            [SORT_ORDERS.NEWEST]: (a, b) => compareOptional(getDate(a), getDate(b), -1),
+            [SORT_ORDERS.OLDEST]: (a, b) => compareOptional(getDate(a), getDate(b), 1),
+            [SORT_ORDERS.LARGEST]: (a, b) => compareOptional(getSize(a), getSize(b), -1),
+            [SORT_ORDERS.SMALLEST]: (a, b) => compareOptional(getSize(a), getSize(b), 1),
+            [SORT_ORDERS.RECENTLY_IMPORTED]: (a, b) => compareOptional(getLastImport(a), getLastImport(b), -1),
+            [SORT_ORDERS.MOST_IMPORTED]: (a, b) => compareOptional(getImportCount(a), getImportCount(b), -1)
+        };
+
+        const comparator = comparators[order];
+        return comparator ? assets.slice().sort(comparator) : assets;
+    };
+
+    /**
+     * Updates counts in the sidebar including favorites. Folders show their direct count
+     * and, when it differs, the total including subfolders.
      */
     const updateFolderCounts = () => {
         const state = State.getState();
@@ -140,43 +212,86 @@
             all: state.allAssets.length,
             favorites: favoritesCount
         };
+
+        if (Preferences) {
+            const assetIds = new Set(state.allAssets.map(a => a.id));
+            const recentIds = new Set(Preferences.getImportHistory().map(entry => entry.assetId));
+            counts.recent = Array.from(recentIds).filter(id => assetIds.has(id)).length;
+
+            const FolderController = global.Views.FolderController;
+            Preferences.getCollections().forEach(collection => {
+                counts[FolderController.getCollectionFolderId(collection.id)] =
+                    collection.assetIds.filter(id => assetIds.has(id)).length;
+            });
+        }
+        
+        const totals = {};
         
         state.allAssets.forEach(asset => {
             if (asset.folderId) {
                 counts[asset.folderId] = (counts[asset.folderId] || 0) + 1;
+
+                // Add the asset to every ancestor's total (the visited set guards against cycles)
+                const visited = new Set();
+                let folderId = String(asset.folderId);
+                while (folderId && !visited.has(folderId)) {
+                    visited.add(folderId);
+                    totals[folderId] = (totals[folderId] || 0) + 1;
+                    const folder = state.folderMap[folderId];
+                    folderId = folder && folder.parentId ? String(folder.parentId) : null;
+                }
             }
         });
 
         UI.elements.folderList.querySelectorAll(".folder-item").forEach(item => {
             const fid = item.dataset.folderId;
             const count = counts[fid] || 0;
-            const countSpan = item.querySelector(".folder-item__count");
-            if (countSpan) countSpan.textContent = count;
+            const isVirtual = global.Views.FolderController.isVirtualFolder(fid);
+            UI.updateFolderCount(fid, count, isVirtual ? count : totals[fid] || 0);
         });
     };
 
     /**
-     * Updates the displayed assets based on selection, search, and pagination
+     * Updates the displayed assets based on selection, search, sort order, and pagination
      * @param {Object} callbacks - Event callbacks for asset rendering
+     * @param {Object} [options] - View update options
+     * @param {Array<string>} [options.changedIds] - When set, patches the grid in place instead of
+     *   re-rendering, rebuilding only the cards for these asset IDs
+     * @param {boolean} [options.keepStatus] - Leaves the status message alone (e.g. an import result)
      */
-    const updateAssetView = (callbacks) => {
+    const updateAssetView = (callbacks, options = {}) => {
         const state = State.getState();
         if (state.isWelcome) return;
 
-        const folderFiltered = filterAssetsByFolder(state.allAssets);
+        const folderFiltered = filterAssetsByProject(filterAssetsByFolder(state.allAssets));
         state.filteredAssets = folderFiltered;
 
-        const searchFiltered = filterAssetsBySearch(folderFiltered, state.searchQuery);
+        const query = Search.parseQuery(state.searchQuery);
+        UI.showSearchError(query.errors.join(" "));
+
+        const Preferences = global.Views.Preferences;
+        const sortOrder = Preferences ? Preferences.getSortOrder(state.selectedFolderId) : SORT_ORDERS.DEFAULT;
+        UI.setSortOrder(sortOrder);
+
+        const searchFiltered = sortAssets(filterAssetsBySearch(folderFiltered, query), sortOrder);
         state.searchResults = searchFiltered;
 
         const toShow = searchFiltered.slice(0, state.visibleCount);
         state.displayedAssets = toShow;
 
-        UI.renderAssets(toShow, state.selectedFolderId, callbacks, state.searchQuery);
+        if (options.changedIds) {
+            UI.patchAssets(toShow, state.selectedFolderId, callbacks, state.searchQuery, options.changedIds);
+        } else {
+            UI.renderAssets(toShow, state.selectedFolderId, callbacks, state.searchQuery);
+        }
 
         UI.updateSearchStats(toShow.length, searchFiltered.length, state.searchQuery);
 
-        if (!state.searchQuery && searchFiltered.length > 0) {
+        if (state.projectFilterEnabled && !state.currentProjectPath) {
+            UI.setStatus("Save the project to see the assets imported into it.", "info");
+        } else if (options.keepStatus) {
+            // The caller's message stays up
+        } else if (!state.searchQuery && searchFiltered.length > 0) {
             UI.setStatus(`${folderFiltered.length} assets found.`, "success");
         } else if (state.searchQuery && searchFiltered.length > 0) {
             UI.setStatus("", "info");
@@ -194,155 +309,360 @@
     };
 
     /**
-     * Fetches ALL assets from the API to allow client-side filtering.
-     * Uses preloaded data if available.
+     * Populates state with assets from the persisted catalog so the panel is usable
+     * before the first network sync completes.
+     * @param {Array} assets - Persisted assets
+     */
+    const hydrateAssets = (assets) => {
+        const state = State.getState();
+        state.allAssets = assets;
+        updateFolderCounts();
+        log(`Hydrated ${assets.length} assets from persisted catalog.`);
+    };
+
+    /**
+     * Updates the view after a sync changed the catalog, patching only the
+     * cards that were added, removed or changed.
+     * @param {Object} diff - Asset diff from the sync (see CatalogStore.diffAssets)
      * @param {Object} callbacks - Event callbacks for asset rendering
-     * @param {boolean} showSyncModal - Whether to show the sync modal (for initial load)
      */
-    const syncAssets = async (callbacks, showSyncModal = false) => {
+    const renderAssetDiff = (diff, callbacks) => {
         const state = State.getState();
-        const currentSession = State.incrementFetchSession();
 
-        // Show sync modal for initial load, regular loading for subsequent syncs
-        if (showSyncModal) {
-            UI.SyncModal.show();
-        } else if (!state.isWelcome) {
-            UI.setLoading(true);
+        if (!diff.hasChanges) {
+            log("Catalog unchanged.");
+            return;
         }
 
-        try {
-            let allFetched = null;
-
-            if (state.preloadPromise) {
-                if (showSyncModal) {
-                    UI.SyncModal.setStatus("Loading assets...");
-                    UI.SyncModal.setProgress(10);
-                } else if (!state.isWelcome) {
-                    UI.setStatus("Loading assets...", "info");
-                }
-                log("Waiting for preloaded assets...");
-                allFetched = await state.preloadPromise;
-                state.preloadPromise = null;
-
-                if (allFetched) {
-                    log(`Using ${allFetched.length} preloaded assets`);
-                    if (showSyncModal) {
-                        UI.SyncModal.setProgress(100);
-                    }
-                } else {
-                    log("Preloaded assets unavailable, fetching fresh...");
-                }
-            }
+        log(`Catalog changed: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed.`);
 
-            if (!allFetched) {
-                if (showSyncModal) {
-                    UI.SyncModal.setStatus("Connecting to server...");
-                    UI.SyncModal.setProgress(5);
-                } else if (!state.isWelcome) {
-                    UI.setStatus("Connecting to server...", "info");
-                }
+        if (state.isWelcome) {
+            updateFolderCounts();
+        } else {
+            updateAssetView(callbacks, { changedIds: diff.changed.map(a => a.id) });
+        }
+    };
+
+    /**
+     * Reports a sync that kept only the pages that succeeded
+     * @param {Object} result - Partial sync result from SyncEngine
+     */
+    const reportIncompleteSync = (result) => {
+        const pageLabel = result.failedPages.length === 1 ? "page" : "pages";
+        UI.setStatus(
+            `Catalog incomplete: loaded ${result.fetchedCount} of ${result.total} assets ` +
+            `(${result.failedPages.length} ${pageLabel} failed). Press Refresh to retry.`,
+            "error",
+            false
+        );
+    };
+
+    /**
+     * Sync engine listener - shows progress of status-presented syncs in the
+     * status bar and keeps sidebar counts current for syncs nobody awaits
+     * (e.g. a background preload finishing on the welcome screen)
+     * @param {Object} event - Sync engine event
+     */
+    const handleSyncEvent = (event) => {
+        const state = State.getState();
 
-                let page = 1;
-                const limit = 100;
-                allFetched = [];
-                let total = 0;
+        if (event.result) {
+            const { STATES } = SyncEngine;
+            if (event.result.state === STATES.COMPLETE || event.result.state === STATES.PARTIAL) {
+                updateFolderCounts();
+            }
+            return;
+        }
 
-                log(`Syncing assets page ${page}...`);
-                let data = await API.fetchJson(`/assets?page=${page}&limit=${limit}`);
+        if (event.presentation === "status" && event.message && !state.isWelcome) {
+            UI.setStatus(event.message, "info");
+        }
+    };
 
-                allFetched = [...(data.assets || [])];
-                total = data.total || 0;
+    /**
+     * Fetches only the assets added, changed or removed since the last sync and
+     * merges them into the current catalog. The engine falls back to a full sync
+     * when there is no complete sync to build on or the server lacks delta support.
+     * @param {Object} callbacks - Event callbacks for asset rendering
+     */
+    const syncAssetChanges = async (callbacks) => {
+        const state = State.getState();
 
-                const totalPages = Math.ceil(total / limit);
-                const progressPerPage = 90 / Math.max(totalPages, 1);
+        if (!state.isWelcome) {
+            UI.setLoading(true);
+        }
 
-                if (showSyncModal) {
-                    UI.SyncModal.setStatus(`Loading assets (${allFetched.length}/${total})...`);
-                    UI.SyncModal.setProgress(10 + progressPerPage);
-                } else if (!state.isWelcome) {
-                    UI.setStatus(`Loading assets (${allFetched.length}/${total})...`, "info");
-                }
+        const result = await SyncEngine.start({ mode: "delta" });
 
-                if (totalPages > 1) {
-                    log(`Fetching ${totalPages - 1} more pages...`);
-                    const promises = [];
-                    for (let p = 2; p <= totalPages; p++) {
-                        promises.push(API.fetchJson(`/assets?page=${p}&limit=${limit}`));
-                    }
+        // Superseded or cancelled - the newer sync owns the UI
+        if (!result) return;
 
-                    let loadedPages = 1;
-                    const results = await Promise.all(
-                        promises.map(async (promise) => {
-                            const result = await promise;
-                            loadedPages++;
-                            const loaded = Math.min(loadedPages * limit, total);
-                            const progress = 10 + (loadedPages * progressPerPage);
-                            
-                            if (showSyncModal) {
-                                UI.SyncModal.setStatus(`Loading assets (${loaded}/${total})...`);
-                                UI.SyncModal.setProgress(progress);
-                            } else if (!state.isWelcome) {
-                                UI.setStatus(`Loading assets (${loaded}/${total})...`, "info");
-                            }
-                            return result;
-                        })
-                    );
+        UI.setLoading(false);
 
-                    results.forEach(res => {
-                        if (res.assets) {
-                            allFetched = [...allFetched, ...res.assets];
-                        }
-                    });
-                }
+        if (result.state === SyncEngine.STATES.FAILED) {
+            // Offline mode reports itself and keeps the saved catalog on screen
+            if (!Connectivity.isOffline()) {
+                UI.showError(result.error, {
+                    context: "Failed to check for changes",
+                    fallback: "Failed to check for changes. Check your connection.",
+                    onRetry: () => syncAssetChanges(callbacks)
+                });
             }
+            return;
+        }
 
-            if (state.fetchSession !== currentSession) return;
+        renderAssetDiff(result.diff, callbacks);
 
-            state.allAssets = allFetched;
-            log(`Synced ${state.allAssets.length} assets.`);
+        if (result.state === SyncEngine.STATES.PARTIAL) {
+            reportIncompleteSync(result);
+            return;
+        }
 
-            updateFolderCounts();
+        if (result.mode === "full") {
+            UI.setStatus(`${result.assetCount} assets loaded`, "success");
+            return;
+        }
+
+        const { diff } = result;
+        let message = `${diff.added.length} new, ${diff.removed.length} removed`;
+        if (diff.changed.length > 0) {
+            message += `, ${diff.changed.length} updated`;
+        }
+        UI.setStatus(message, "success");
+    };
+
+    /**
+     * Fetches ALL assets from the API to allow client-side filtering.
+     * Joins the background preload if it is still running.
+     * @param {Object} callbacks - Event callbacks for asset rendering
+     * @param {boolean} showSyncModal - Whether to show the sync modal (for initial load)
+     * @param {Object} [options] - Sync options
+     * @param {boolean} [options.revalidate] - Quietly refresh an already rendered (persisted) catalog,
+     *   applying only the differences
+     */
+    const syncAssets = async (callbacks, showSyncModal = false, options = {}) => {
+        const state = State.getState();
+        const revalidate = !!options.revalidate;
+
+        // Show sync modal for initial load, regular loading for subsequent syncs.
+        // Revalidation keeps the grid interactive and only reports through the status bar.
+        let presentation = "status";
+        if (showSyncModal) {
+            presentation = "modal";
+            UI.SyncModal.show();
+        } else if (revalidate) {
+            presentation = "silent";
+            UI.setStatus("Checking for new assets...", "info");
+        } else if (!state.isWelcome) {
+            UI.setLoading(true);
+        }
+
+        const result = await SyncEngine.start({ mode: "full", presentation, join: true });
 
+        if (!result) {
+            // Superseded or cancelled - the newer sync owns the UI
             if (showSyncModal) {
-                UI.SyncModal.setStatus(`${state.allAssets.length} assets loaded!`);
-                UI.SyncModal.setProgress(100);
-                // Brief delay to show completion before hiding
-                await new Promise(resolve => setTimeout(resolve, 500));
                 UI.SyncModal.hide();
             }
-            
-            UI.setStatus(`${state.allAssets.length} assets loaded`, "success");
-
-            if (!state.isWelcome) {
-                updateAssetView(callbacks);
+            if (!SyncEngine.isSyncing()) {
+                UI.setLoading(false);
             }
+            return;
+        }
 
-        } catch (error) {
-            console.error("Failed to sync assets", error);
+        if (result.state === SyncEngine.STATES.FAILED) {
             if (showSyncModal) {
-                UI.SyncModal.setStatus("Failed to sync. Check connection.");
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                await Utils.delay(2000);
                 UI.SyncModal.hide();
             }
+            UI.setLoading(false);
+            if (Connectivity.isOffline()) {
+                // Offline mode reports itself; keep whatever catalog is loaded
+                if (!state.isWelcome && state.allAssets.length === 0) {
+                    UI.renderAssets([], state.selectedFolderId, callbacks);
+                }
+                return;
+            }
+            if (revalidate) {
+                // Keep showing the persisted catalog rather than clearing the grid
+                UI.showError(result.error, {
+                    context: "Could not check for new assets",
+                    fallback: "Could not check for new assets. Showing saved catalog.",
+                    onRetry: () => syncAssets(callbacks, false, { revalidate: true })
+                });
+                return;
+            }
             if (!state.isWelcome) {
-                UI.setStatus("Failed to sync assets. Check your connection.", "error");
+                UI.showError(result.error, {
+                    context: "Failed to sync assets",
+                    fallback: "Failed to sync assets. Check your connection.",
+                    onRetry: () => syncAssets(callbacks)
+                });
+                // Only fall back to an empty grid when there is nothing previously loaded to show
+                if (state.allAssets.length === 0) {
+                    UI.renderAssets([], state.selectedFolderId, callbacks);
+                }
             }
-            if (state.fetchSession === currentSession && !state.isWelcome) {
-                UI.renderAssets([], state.selectedFolderId, callbacks);
+            return;
+        }
+
+        const partial = result.state === SyncEngine.STATES.PARTIAL;
+
+        if (revalidate) {
+            renderAssetDiff(result.diff, callbacks);
+            if (partial) {
+                reportIncompleteSync(result);
+            } else if (result.diff.hasChanges) {
+                UI.setStatus(`Catalog updated: ${result.diff.added.length} new, ${result.diff.removed.length} removed.`, "success");
+            } else {
+                UI.setStatus("", "info");
             }
-        } finally {
-            if (state.fetchSession === currentSession) {
-                UI.setLoading(false);
+            return;
+        }
+
+        log(`Synced ${state.allAssets.length} assets.`);
+        updateFolderCounts();
+
+        if (showSyncModal) {
+            // Brief delay to show completion before hiding
+            await Utils.delay(500);
+            UI.SyncModal.hide();
+        }
+
+        if (!state.isWelcome) {
+            updateAssetView(callbacks);
+        }
+        UI.setLoading(false);
+
+        if (partial) {
+            reportIncompleteSync(result);
+        } else {
+            UI.setStatus(`${state.allAssets.length} assets loaded`, "success");
+        }
+    };
+
+    /**
+     * Asks After Effects where imports go right now
+     * @returns {Promise<{projectPath: string, compName: string}>} Project file ("" if unsaved) and
+     *   active composition; both empty if the host couldn't tell
+     */
+    const getImportContext = async () => {
+        try {
+            const result = await Utils.evalScript("getImportContext()");
+            if (typeof result !== "string" || result === "EvalScript error." || result.indexOf("Error") === 0) {
+                throw new Error(`Host script did not return the import context: ${result}`);
             }
+            const [projectPath = "", compName = ""] = result.split("\n");
+            return { projectPath, compName };
+        } catch (error) {
+            log("Import context unavailable:", error.message);
+            return { projectPath: "", compName: "" };
         }
     };
 
+    /**
+     * Reads the open project's path for the "This project" filter
+     * @returns {Promise<boolean>} True if the project changed since the last check
+     */
+    const refreshProjectPath = async () => {
+        const state = State.getState();
+        const { projectPath } = await getImportContext();
+        const changed = state.currentProjectPath !== projectPath;
+        state.currentProjectPath = projectPath;
+        return changed;
+    };
+
+    /**
+     * Records an import for the Recent folder, the "This project" filter and the
+     * "recently imported" and "most imported" sort orders
+     * @param {string} assetId - Imported asset ID
+     * @param {{projectPath: string, compName: string}} [context] - From getImportContext
+     */
+    const recordImport = (assetId, context) => {
+        const Preferences = global.Views.Preferences;
+        if (Preferences) Preferences.recordImport(assetId, context);
+    };
+
+    /**
+     * Enforces the cache size limit, logging instead of failing the import
+     * @param {Array<string>} keepAssetIds - Assets that were just imported
+     */
+    const enforceCacheLimit = async (keepAssetIds) => {
+        try {
+            const evicted = await CacheIndex.enforceLimit({ keepAssetIds });
+            evicted.forEach(assetId => UI.setAssetCardCached(assetId, false));
+        } catch (error) {
+            log("Cache eviction failed:", error.message);
+        }
+    };
+
+    /**
+     * Gets a local file for an asset, reusing a verified cached copy unless a
+     * fresh download is forced
+     * @param {Object} asset - Asset to fetch
+     * @param {Object} [options] - Fetch options
+     * @param {AbortSignal} [options.signal] - Cancels the download
+     * @param {Function} [options.onProgress] - Download progress callback (see FS.downloadFileToTemp)
+     * @param {Function} [options.onDownloadStart] - Called when the network is needed after all
+     * @param {boolean} [options.forceDownload] - Skip the cache and download again
+     * @returns {Promise<{path: string, fromCache: boolean}>} Path of the file to import
+     * @throws {NetworkError} With `offline = true` when the file would have to be downloaded while offline
+     */
+    const getAssetFile = async (asset, options = {}) => {
+        const { signal, onProgress, onDownloadStart, forceDownload = false } = options;
+
+        if (!forceDownload) {
+            const cached = await CacheIndex.getVerified(asset.id);
+            if (cached) {
+                log("Using cached file for asset:", asset.id);
+                CacheIndex.touch(asset.id);
+                return { path: cached.path, fromCache: true };
+            }
+            UI.setAssetCardCached(asset.id, false);
+        }
+
+        if (Connectivity.isOffline()) {
+            const displayName = Utils.getDisplayName(asset.name || asset.id);
+            throw new Errors.NetworkError(forceDownload
+                ? `Can't re-download ${displayName} while offline.`
+                : `${displayName} isn't cached yet. Go online to download it.`, {
+                offline: true,
+                userMessage: forceDownload
+                    ? "Re-downloading needs a connection. Go online and try again."
+                    : "It isn't cached yet. Go online to download it."
+            });
+        }
+
+        if (onDownloadStart) onDownloadStart();
+
+        const payload = await API.requestAssetDownload(asset.id, signal);
+        if (!payload.url) {
+            throw new Errors.ServerError("API did not provide a download URL.");
+        }
+
+        const fileName = Utils.sanitizeFileName(asset.name || "asset");
+        const { path: filePath, sha256 } = await FS.downloadFileToTemp(payload.url, fileName, {
+            onProgress,
+            signal,
+            expectedSize: payload.size,
+            expectedSha256: payload.sha256,
+            assetId: asset.id,
+            version: payload.version
+        });
+        CacheIndex.record(asset.id, { path: filePath, checksum: sha256 });
+        UI.setAssetCardCached(asset.id, true);
+
+        return { path: filePath, fromCache: false };
+    };
+
     /**
      * Handles asset download and import into After Effects
      * @param {Object} asset - The asset to download
      * @param {HTMLElement} button - The button element that triggered the download
+     * @param {Object} [options] - Import options
+     * @param {boolean} [options.forceDownload] - Download again even if the asset is cached
      */
-    const handleAssetDownload = async (asset, button) => {
+    const handleAssetDownload = async (asset, button, options = {}) => {
         const displayName = Utils.getDisplayName(asset.name || asset.id);
 
         try {
@@ -357,35 +677,48 @@
             return;
         }
 
-        UI.LoadingOverlay.show(`Downloading ${displayName}`, "Starting download...");
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        UI.LoadingOverlay.show(`Importing ${displayName}`, "Checking local cache...");
+        UI.LoadingOverlay.setCancelHandler(() => controller.abort());
         button.disabled = true;
 
         try {
             log("Starting import for asset:", asset.id);
 
-            const payload = await API.requestAssetDownload(asset.id);
-            if (!payload.url) {
-                throw new Error("API did not provide a download URL.");
-            }
-
-            const fileName = Utils.sanitizeFileName(asset.name || "asset");
+            const onProgress = (downloaded, total, stats = {}) => {
+                const parts = [total > 0
+                    ? `${Utils.formatBytes(downloaded)} / ${Utils.formatBytes(total)}`
+                    : `${Utils.formatBytes(downloaded)} downloaded`];
+                if (stats.bytesPerSecond > 0) {
+                    parts.push(`${Utils.formatBytes(stats.bytesPerSecond)}/s`);
+                }
+                if (typeof stats.etaSeconds === "number") {
+                    parts.push(`${Utils.formatDuration(stats.etaSeconds)} left`);
+                }
+                UI.LoadingOverlay.update(parts.join(" · "));
 
-            const onProgress = (downloaded, total) => {
+                // Without a content-length there is nothing to measure against
                 if (total > 0) {
-                    const percent = (downloaded / total) * 100;
-                    const sizeMB = (total / 1024 / 1024).toFixed(1);
-                    const downloadedMB = (downloaded / 1024 / 1024).toFixed(1);
-                    UI.LoadingOverlay.update(`${downloadedMB} MB / ${sizeMB} MB`);
-                    UI.LoadingOverlay.showProgress(percent);
+                    UI.LoadingOverlay.showProgress((downloaded / total) * 100);
+                } else {
+                    UI.LoadingOverlay.showIndeterminate();
                 }
             };
 
-            const importPath = await FS.downloadFileToTemp(payload.url, fileName, {}, onProgress);
+            const { path: importPath } = await getAssetFile(asset, {
+                signal,
+                onProgress,
+                onDownloadStart: () => UI.LoadingOverlay.show(`Downloading ${displayName}`, "Starting download..."),
+                forceDownload: !!options.forceDownload
+            });
 
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await Utils.delay(100, signal);
 
             UI.LoadingOverlay.show(`Importing ${displayName}`, "Adding to project...");
             UI.LoadingOverlay.hideProgress();
+            UI.LoadingOverlay.setCancelHandler(() => controller.abort());
 
             log("Importing asset into After Effects from:", importPath);
 
@@ -398,8 +731,10 @@
                     if (attempts > 0) {
                         const delay = 500 * attempts;
                         log(`Waiting ${delay}ms before retry attempt ${attempts + 1}...`);
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        await Utils.delay(delay, signal);
                     }
+                    // An import already handed to After Effects can't be stopped, only further retries
+                    Utils.throwIfAborted(signal);
 
                     result = await Utils.evalScript(
                         `importAndAddAsset("${Utils.escapeForEval(importPath)}")`
@@ -416,6 +751,9 @@
 
                     break;
                 } catch (e) {
+                    if (Utils.isAbortError(e)) {
+                        throw e;
+                    }
                     attempts++;
                     log(`Import attempt ${attempts} failed (${e.message}), retrying...`);
                     if (attempts >= maxAttempts) {
@@ -429,20 +767,29 @@
             }
 
             log("Asset imported successfully:", asset.id);
+            recordImport(asset.id, await getImportContext());
             UI.setStatus(result || `${displayName || "Asset"} imported successfully.`, "success");
+            await enforceCacheLimit([asset.id]);
         } catch (error) {
-            console.error("Import failed", error);
+            if (Utils.isAbortError(error)) {
+                log("Import cancelled:", asset.id);
+                UI.setStatus(`Import of ${displayName} cancelled.`, "info");
+                return;
+            }
 
-            let errorMessage = error.message || "Unable to import asset.";
+            console.error("Import failed", error);
 
-            if (errorMessage.includes("corrupted") || errorMessage.includes("not of the correct type") ||
-                errorMessage.includes("doesn't seem to be a PNG") || errorMessage.includes("Import failed")) {
-                errorMessage = `Failed to import ${displayName}: File appears to be corrupted or invalid. Report this issue in a ticket on discord.gg/views`;
-            } else if (errorMessage.includes("couldn't be open")) {
-                errorMessage = `File is locked or in use. Please try again in a moment.`;
+            // After Effects reports a locked file as a script result, not a typed error
+            if (!(error instanceof Errors.ViewsError) && String(error.message).includes("couldn't be open")) {
+                UI.setStatus("File is locked or in use. Please try again in a moment.", "error");
+                return;
             }
 
-            UI.setStatus(errorMessage, "error");
+            UI.showError(error, {
+                context: `Failed to import ${displayName}`,
+                fallback: error.message || "Unable to import asset.",
+                onRetry: () => handleAssetDownload(asset, button, options)
+            });
         } finally {
             UI.LoadingOverlay.hide();
             button.disabled = false;
@@ -569,14 +916,26 @@
             return;
         }
 
+        // Every asset in the batch goes into the same project and comp
+        const importContext = await getImportContext();
+
         const selectedAssets = state.allAssets.filter(a => state.selectedAssetIds.includes(a.id));
         const total = selectedAssets.length;
         let imported = 0;
         let failed = 0;
+        let unavailable = 0;
+        let lastError = null;
+        const importedIds = [];
+
+        const controller = new AbortController();
+        const { signal } = controller;
 
         UI.LoadingOverlay.show(`Importing ${total} assets`, "Starting batch import...");
+        UI.LoadingOverlay.setCancelHandler(() => controller.abort());
 
         for (const asset of selectedAssets) {
+            if (signal.aborted) break;
+
             const displayName = Utils.getDisplayName(asset.name || asset.id);
 
             try {
@@ -585,15 +944,9 @@
 
                 log(`Batch import: Starting ${asset.id}`);
 
-                const payload = await API.requestAssetDownload(asset.id);
-                if (!payload.url) {
-                    throw new Error("API did not provide a download URL.");
-                }
+                const { path: importPath } = await getAssetFile(asset, { signal });
 
-                const fileName = Utils.sanitizeFileName(asset.name || "asset");
-                const importPath = await FS.downloadFileToTemp(payload.url, fileName, {});
-
-                await new Promise(resolve => setTimeout(resolve, 100));
+                await Utils.delay(100, signal);
 
                 const result = await Utils.evalScript(
                     `importAndAddAsset("${Utils.escapeForEval(importPath)}")`
@@ -604,10 +957,22 @@
                 }
 
                 imported++;
+                importedIds.push(asset.id);
+                recordImport(asset.id, importContext);
                 log(`Batch import: Completed ${asset.id}`);
 
             } catch (error) {
+                if (Utils.isAbortError(error)) {
+                    log(`Batch import: Cancelled during ${asset.id}`);
+                    break;
+                }
+                if (error.offline) {
+                    unavailable++;
+                    log(`Batch import: Skipped ${asset.id} - not cached while offline`);
+                    continue;
+                }
                 failed++;
+                lastError = error;
                 console.error(`Failed to import ${displayName}:`, error);
                 log(`Batch import: Failed ${asset.id} - ${error.message}`);
             }
@@ -616,11 +981,25 @@
         UI.LoadingOverlay.hide();
         clearSelection();
 
-        if (failed === 0) {
+        if (signal.aborted) {
+            const skipped = total - imported - failed - unavailable;
+            UI.setStatus(`Batch import cancelled: ${imported} imported, ${failed} failed, ${skipped} skipped.`, "info");
+        } else if (unavailable > 0) {
+            const failedNote = failed > 0 ? `, ${failed} failed` : "";
+            UI.setStatus(`Imported ${imported} assets${failedNote}. ${unavailable} not cached - go online to import them.`,
+                imported === 0 ? "error" : "info");
+        } else if (failed === 0) {
             UI.setStatus(`Successfully imported ${imported} assets.`, "success");
+        } else if (failed === total) {
+            // Every asset failing usually has one cause (a revoked key, a dead connection) worth naming
+            UI.showError(lastError, { context: "Batch import failed", fallback: `Failed to import ${failed} assets.` });
         } else {
             UI.setStatus(`Imported ${imported} assets, ${failed} failed.`, failed === total ? "error" : "info");
         }
+
+        if (importedIds.length > 0) {
+            await enforceCacheLimit(importedIds);
+        }
     };
 
     /**
@@ -674,14 +1053,21 @@
     };
 
     global.Views.AssetController = {
-        preloadAssetsInBackground,
+        SORT_ORDERS,
+        sortAssets,
         preloadFoldersInBackground,
         startBackgroundPreload,
         filterAssetsByFolder,
+        filterAssetsByProject,
         filterAssetsBySearch,
         updateFolderCounts,
         updateAssetView,
+        hydrateAssets,
+        renderAssetDiff,
+        handleSyncEvent,
+        syncAssetChanges,
         syncAssets,
+        refreshProjectPath,
         handleAssetDownload,
         handleAssetPreview,
         previewPrevAsset,
@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Backup Controller
+ * Exports the active profile's favorites, collections and view settings to a JSON
+ * file and imports them again, so they survive a reinstall or a move to another machine.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const UI = global.Views.UI;
+    const State = global.Views.State;
+    const Preferences = global.Views.Preferences;
+    const Profiles = global.Views.Profiles;
+    const FS = global.Views.FileSystem;
+    const CollectionController = global.Views.CollectionController;
+
+    const log = Utils.log;
+
+    /** Extensions offered by the file dialogs */
+    const FILE_TYPES = ["json"];
+
+    /** @type {{onImported: Function}|null} */
+    let callbacks = null;
+
+    /**
+     * Formats a count with its noun
+     * @param {number} count - Count
+     * @param {string} noun - Singular noun
+     * @returns {string} e.g. "1 favorite", "3 favorites"
+     */
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+    /**
+     * Gets the file name part of a path
+     * @param {string} filePath - Full path
+     * @returns {string} File name
+     */
+    const getFileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+    /**
+     * Suggests a file name for an export, e.g. "views-preferences-studio-2026-10-19.json"
+     * @returns {string} File name
+     */
+    const getDefaultFileName = () => {
+        const profile = Profiles.getActiveProfile();
+        const slug = profile ? Utils.sanitizeFileName(profile.name).toLowerCase().replace(/\s+/g, "-") : "";
+        const date = new Date().toISOString().slice(0, 10);
+        return `views-preferences-${slug ? `${slug}-` : ""}${date}.json`;
+    };
+
+    /**
+     * Saves the active profile's preferences to a file the user picks
+     */
+    const exportPreferences = () => {
+        let filePath;
+        try {
+            filePath = FS.chooseSaveFile("Export Preferences", getDefaultFileName(), FILE_TYPES);
+            if (!filePath) return;
+            if (!/\.json$/i.test(filePath)) filePath += ".json";
+
+            const backup = Preferences.createBackup();
+            FS.writeTextFile(filePath, JSON.stringify(backup, null, 2));
+            log(`Exported preferences to ${filePath}.`);
+            UI.setStatus(`Exported ${plural(backup.favorites.length, "favorite")} and ` +
+                `${plural(backup.collections.length, "collection")} to ${getFileName(filePath)}.`, "success");
+        } catch (error) {
+            console.error("Failed to export preferences:", error);
+            UI.showError(error, { fallback: "Couldn't export your preferences. Check that the folder is writable." });
+        }
+    };
+
+    /**
+     * Describes the assets of a backup that aren't in the loaded catalog
+     * @param {Object} backup - Backup from Preferences.readBackup
+     * @returns {string} Warning, or "" if every asset is known
+     */
+    const describeUnknownAssets = (backup) => {
+        const assetIds = Preferences.getBackupAssetIds(backup);
+        if (assetIds.length === 0) return "";
+
+        const state = State.getState();
+        if (state.allAssets.length === 0) {
+            return "The catalog hasn't loaded yet, so the assets in this file couldn't be checked.";
+        }
+
+        const known = new Set(state.allAssets.map(asset => asset.id));
+        const unknown = assetIds.filter(id => !known.has(id)).length;
+        if (unknown === 0) return "";
+
+        if (unknown === assetIds.length) {
+            return `None of the ${plural(unknown, "asset")} in this file are in the catalog. ` +
+                "It may have been exported from a different account.";
+        }
+        return `${unknown} of ${assetIds.length} assets in this file ${unknown === 1 ? "is" : "are"} no longer in the catalog. ` +
+            "They'll be kept, but won't show unless they come back.";
+    };
+
+    /**
+     * Shows the view settings a backup changed
+     */
+    const applyViewSettings = () => {
+        UI.setGridSize(Preferences.getGridSize(), false);
+        UI.toggleSidebar(Preferences.getSidebarCollapsed());
+        UI.setIncludeSubfolders(Preferences.getIncludeSubfolders());
+    };
+
+    /**
+     * Loads preferences from a file the user picks, merging them with or replacing the current ones
+     * @returns {Promise<void>}
+     */
+    const importPreferences = async () => {
+        let filePath;
+        let backup;
+        try {
+            filePath = FS.chooseOpenFile("Import Preferences", FILE_TYPES);
+            if (!filePath) return;
+            backup = Preferences.readBackup(FS.readTextFile(filePath));
+        } catch (error) {
+            console.error("Failed to read preferences file:", error);
+            UI.showError(error, { fallback: "Couldn't read that file." });
+            return;
+        }
+
+        const exported = backup.exportedAt ? ` on ${new Date(backup.exportedAt).toLocaleDateString()}` : "";
+        const from = backup.profile ? ` from "${backup.profile}"` : "";
+        const mode = await UI.BackupImportModal.show({
+            fileName: getFileName(filePath),
+            summary: `${plural(backup.favorites.length, "favorite")} and ${plural(backup.collections.length, "collection")}, ` +
+                `exported${from}${exported}. View settings in the file replace your current ones.`,
+            warning: describeUnknownAssets(backup)
+        });
+        if (!mode) return;
+
+        const result = Preferences.restoreBackup(backup, mode);
+        log(`Imported preferences from ${filePath} (${mode}).`);
+
+        applyViewSettings();
+        CollectionController.refresh();
+        if (callbacks) callbacks.onImported(mode);
+
+        UI.setStatus(mode === "replace"
+            ? `Imported ${plural(result.favorites, "favorite")} and ${plural(result.collections, "collection")}.`
+            : `Added ${plural(result.favorites, "favorite")} and ${plural(result.collections, "new collection")}.`, "success");
+    };
+
+    /**
+     * Wires up the import modal
+     * @param {{onImported: Function}} handlers - Called with the mode after preferences were imported,
+     *   to refresh the folder and asset view
+     */
+    const init = (handlers) => {
+        callbacks = handlers;
+        UI.BackupImportModal.init();
+    };
+
+    global.Views.BackupController = {
+        init,
+        exportPreferences,
+        importPreferences
+    };
+
+})(window);
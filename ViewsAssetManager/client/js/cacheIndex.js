@@ -0,0 +1,461 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Cache Index
+ * Tracks which asset each cached file came from and keeps the cache folder
+ * under the user's size limit by evicting the least recently used files.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const FS = global.Views.FileSystem;
+    const log = Utils ? Utils.log : console.log;
+
+    const INDEX_FILE_NAME = "cache-index.json";
+    const INDEX_FORMAT_VERSION = 1;
+
+    /**
+     * In-memory index, loaded on first use
+     * @type {Object<string, {path: string, size: number, checksum: string|null, downloadedAt: string, lastUsedAt: string}>|null}
+     */
+    let entries = null;
+
+    /**
+     * Files no longer current for any asset (older versions, flat-layout leftovers).
+     * They are evicted before any current file.
+     * @type {Array<{path: string, size: number, lastUsedAt: string}>}
+     */
+    let retired = [];
+
+    /**
+     * Gets the index file path (stored beside the cache folder)
+     * @returns {string|null} Path to cache-index.json, or null without Node.js
+     */
+    const getIndexPath = () => {
+        if (typeof require !== "function") {
+            return null;
+        }
+        const path = require("path");
+        return path.join(FS.getDataFolderPath(), INDEX_FILE_NAME);
+    };
+
+    /**
+     * Normalizes a file path for comparison with paths reported by After Effects
+     * @param {string} filePath - File path
+     * @returns {string} Forward-slash path, lowercased on Windows
+     */
+    const normalizePath = (filePath) => {
+        const normalized = String(filePath || "").replace(/\\/g, "/");
+        return Utils.getPlatform() === "win" ? normalized.toLowerCase() : normalized;
+    };
+
+    /**
+     * Writes the index to disk (atomically via a temp file)
+     */
+    const save = () => {
+        const indexPath = getIndexPath();
+        if (!indexPath || !entries) return;
+
+        try {
+            const fs = require("fs");
+            const path = require("path");
+            const dir = path.dirname(indexPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = indexPath + ".tmp";
+            fs.writeFileSync(tempPath, JSON.stringify({ version: INDEX_FORMAT_VERSION, entries, retired }), "utf8");
+            fs.renameSync(tempPath, indexPath);
+        } catch (error) {
+            console.error("Failed to save cache index:", error);
+        }
+    };
+
+    /**
+     * Loads the index on first use, dropping entries whose file no longer exists
+     * @returns {Object} Entries keyed by asset ID
+     */
+    const load = () => {
+        if (entries) return entries;
+        entries = {};
+
+        const indexPath = getIndexPath();
+        if (!indexPath) return entries;
+
+        try {
+            const fs = require("fs");
+            if (!fs.existsSync(indexPath)) {
+                return entries;
+            }
+
+            const data = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+            if (!data || data.version !== INDEX_FORMAT_VERSION || typeof data.entries !== "object") {
+                log("Cache index has an unknown format, starting fresh.");
+                return entries;
+            }
+
+            let missing = 0;
+            Object.keys(data.entries).forEach(assetId => {
+                const entry = data.entries[assetId];
+                if (entry && entry.path && fs.existsSync(entry.path)) {
+                    entries[assetId] = entry;
+                } else {
+                    missing++;
+                }
+            });
+
+            retired = (Array.isArray(data.retired) ? data.retired : []).filter(file => {
+                if (file && file.path && fs.existsSync(file.path)) return true;
+                missing++;
+                return false;
+            });
+
+            log(`Loaded cache index: ${Object.keys(entries).length} files, ${retired.length} retired`);
+            if (missing > 0) {
+                log(`Dropped ${missing} cache index entries for deleted files.`);
+                save();
+            }
+        } catch (error) {
+            console.error("Failed to load cache index:", error);
+        }
+
+        return entries;
+    };
+
+    /**
+     * Gets the cache entry for an asset if its file still exists
+     * @param {string} assetId - Asset ID
+     * @returns {{path: string, size: number, checksum: string|null, downloadedAt: string, lastUsedAt: string}|null} Entry or null
+     */
+    const get = (assetId) => {
+        const entry = load()[assetId];
+        if (!entry) return null;
+
+        const fs = require("fs");
+        if (!fs.existsSync(entry.path)) {
+            delete entries[assetId];
+            save();
+            return null;
+        }
+        return entry;
+    };
+
+    /**
+     * Checks whether an asset has an indexed file, without touching the disk
+     * @param {string} assetId - Asset ID
+     * @returns {boolean} True if indexed
+     */
+    const isCached = (assetId) => !!load()[assetId];
+
+    /**
+     * Gets an asset's cached file after checking it against the recorded size and
+     * checksum. A file that fails the check is dropped from the index.
+     * @param {string} assetId - Asset ID
+     * @returns {Promise<Object|null>} Entry, or null when there is no intact copy
+     */
+    const getVerified = async (assetId) => {
+        const entry = get(assetId);
+        if (!entry) return null;
+
+        const intact = await FS.verifyCachedFile(entry.path, { size: entry.size, sha256: entry.checksum });
+        if (!intact) {
+            remove(assetId);
+            return null;
+        }
+        return entry;
+    };
+
+    /**
+     * Drops an asset from the index (the file itself is left alone)
+     * @param {string} assetId - Asset ID
+     */
+    const remove = (assetId) => {
+        if (!load()[assetId]) return;
+        delete entries[assetId];
+        save();
+    };
+
+    /**
+     * Moves a file to the retired list so eviction can reclaim it first
+     * @param {{path: string, size: number, lastUsedAt: string}} file - File to retire
+     */
+    const retire = (file) => {
+        const key = normalizePath(file.path);
+        if (retired.some(other => normalizePath(other.path) === key)) return;
+        retired.push({ path: file.path, size: file.size || 0, lastUsedAt: file.lastUsedAt });
+    };
+
+    /**
+     * Records a freshly downloaded file
+     * @param {string} assetId - Asset the file came from
+     * @param {Object} file - File details
+     * @param {string} file.path - Path of the cached file
+     * @param {string|null} [file.checksum] - SHA-256 of the file as saved (after any PNG repair)
+     */
+    const record = (assetId, { path: filePath, checksum = null }) => {
+        if (!getIndexPath()) return;
+        load();
+
+        let size = 0;
+        try {
+            size = require("fs").statSync(filePath).size;
+        } catch (error) {
+            log("Could not stat cached file:", error.message);
+        }
+
+        // A new version lands in a new folder; the old file may still be used by a project
+        const previous = entries[assetId];
+        if (previous && normalizePath(previous.path) !== normalizePath(filePath)) {
+            retire(previous);
+        }
+
+        const now = new Date().toISOString();
+        entries[assetId] = {
+            path: filePath,
+            size,
+            checksum,
+            downloadedAt: now,
+            lastUsedAt: now
+        };
+        save();
+    };
+
+    /**
+     * Marks an asset's cached file as just used
+     * @param {string} assetId - Asset ID
+     */
+    const touch = (assetId) => {
+        const entry = load()[assetId];
+        if (!entry) return;
+        entry.lastUsedAt = new Date().toISOString();
+        save();
+    };
+
+    /**
+     * Gets the total size of all indexed files
+     * @returns {number} Size in bytes
+     */
+    const getTotalSize = () => {
+        const all = load();
+        const current = Object.keys(all).reduce((sum, assetId) => sum + (all[assetId].size || 0), 0);
+        return retired.reduce((sum, file) => sum + (file.size || 0), current);
+    };
+
+    /**
+     * Gets the number of indexed files
+     * @returns {number} File count
+     */
+    const getCount = () => Object.keys(load()).length;
+
+    /**
+     * Asks After Effects which files the open project uses
+     * @returns {Promise<Set<string>>} Normalized footage paths
+     * @throws {Error} If the host script can't be reached or reports an error
+     */
+    const getProjectFootagePaths = async () => {
+        const result = await Utils.evalScript("getProjectFootagePaths()");
+        if (typeof result !== "string" || result === "EvalScript error." || result.indexOf("Error") === 0) {
+            throw new Error(`Host script did not return project footage: ${result}`);
+        }
+        return new Set(result.split("\n").filter(Boolean).map(normalizePath));
+    };
+
+    /**
+     * Evicts least recently used files until the cache fits in maxBytes.
+     * Files used by the open After Effects project are never evicted; if the project
+     * can't be inspected nothing is evicted.
+     * @param {number} maxBytes - Target cache size in bytes (0 evicts everything allowed)
+     * @param {Object} [options] - Eviction options
+     * @param {Array<string>} [options.keepAssetIds] - Assets to keep regardless of age
+     * @returns {Promise<Array<string>>} IDs of evicted assets
+     */
+    const evictToSize = async (maxBytes, options = {}) => {
+        load();
+        let total = getTotalSize();
+        if (total <= maxBytes) return [];
+
+        let projectPaths;
+        try {
+            projectPaths = await getProjectFootagePaths();
+        } catch (error) {
+            log("Could not read project footage, skipping cache eviction:", error.message);
+            return [];
+        }
+
+        const keep = new Set((options.keepAssetIds || []).map(String));
+        const byLastUse = (a, b) => String(a.file.lastUsedAt).localeCompare(String(b.file.lastUsedAt));
+        const isUnused = (file) => !projectPaths.has(normalizePath(file.path));
+
+        // Retired files go before any current one, each group oldest first
+        const candidates = [
+            ...retired.map(file => ({ assetId: null, file })).filter(c => isUnused(c.file)).sort(byLastUse),
+            ...Object.keys(entries)
+                .map(assetId => ({ assetId, file: entries[assetId] }))
+                .filter(c => !keep.has(String(c.assetId)) && isUnused(c.file))
+                .sort(byLastUse)
+        ];
+
+        const fs = require("fs");
+        const evicted = [];
+        let removedFiles = 0;
+
+        for (const { assetId, file } of candidates) {
+            if (total <= maxBytes) break;
+            try {
+                if (fs.existsSync(file.path)) {
+                    fs.unlinkSync(file.path);
+                }
+            } catch (error) {
+                log(`Could not evict ${file.path}:`, error.message);
+                continue;
+            }
+            total -= file.size || 0;
+            removedFiles++;
+            if (assetId === null) {
+                retired.splice(retired.indexOf(file), 1);
+            } else {
+                delete entries[assetId];
+                evicted.push(assetId);
+            }
+        }
+
+        save();
+        log(`Cache eviction: removed ${removedFiles} files, ${Utils.formatBytes(total)} in use.`);
+        return evicted;
+    };
+
+    /**
+     * Applies the user's maximum cache size (no-op when unlimited)
+     * @param {Object} [options] - See evictToSize
+     * @returns {Promise<Array<string>>} IDs of evicted assets
+     */
+    const enforceLimit = async (options = {}) => {
+        const Preferences = global.Views.Preferences;
+        const maxBytes = Preferences ? Preferences.getCacheMaxBytes() : 0;
+        if (!maxBytes || !getIndexPath()) return [];
+        return evictToSize(maxBytes, options);
+    };
+
+    /**
+     * Moves files from the old flat layout (cache/<name>) into per-asset folders.
+     * Saved projects may still point at the flat path, so the file is hard-linked
+     * (or copied) instead of moved and the flat copy is retired for the size cap
+     * to reclaim later (with size 0 if hard-linked). Files that can't be matched to an
+     * asset are only retired.
+     * @param {Array} assets - Catalog, used to match files the index doesn't know by name
+     * @returns {number} Number of files migrated
+     */
+    const migrateFlatCache = (assets) => {
+        if (!getIndexPath()) return 0;
+
+        const fs = require("fs");
+        const path = require("path");
+        const cacheDir = FS.getCacheFolderPath();
+        if (!fs.existsSync(cacheDir)) return 0;
+
+        load();
+        const retiredPaths = new Set(retired.map(file => normalizePath(file.path)));
+        const flatNames = fs.readdirSync(cacheDir, { withFileTypes: true })
+            .filter(dirent => dirent.isFile() && !retiredPaths.has(normalizePath(path.join(cacheDir, dirent.name))))
+            .map(dirent => dirent.name);
+        if (flatNames.length === 0) return 0;
+
+        const idsByPath = {};
+        Object.keys(entries).forEach(assetId => {
+            idsByPath[normalizePath(entries[assetId].path)] = assetId;
+        });
+
+        // Only a name shared by exactly one uncached asset identifies the file
+        const idsByName = {};
+        (assets || []).forEach(asset => {
+            const name = Utils.sanitizeFileName(asset.name || "asset");
+            (idsByName[name] = idsByName[name] || []).push(asset.id);
+        });
+
+        let migrated = 0;
+        flatNames.forEach(name => {
+            const flatPath = path.join(cacheDir, name);
+
+            // Partial downloads resume by path, so they can't follow the file
+            if (/\.part(\.json)?$/.test(name)) {
+                try { fs.unlinkSync(flatPath); } catch (e) {}
+                return;
+            }
+
+            const matches = idsByName[name] || [];
+            const assetId = idsByPath[normalizePath(flatPath)] ||
+                (matches.length === 1 && !entries[matches[0]] ? matches[0] : null);
+            const previous = assetId ? entries[assetId] : null;
+            const now = new Date().toISOString();
+
+            let stat;
+            try {
+                stat = fs.statSync(flatPath);
+            } catch (error) {
+                return;
+            }
+            const size = stat.size;
+            // A hard-linked flat file shares its data with the entry, so removing it frees nothing
+            let retiredSize = size;
+
+            if (assetId) {
+                const targetDir = path.join(cacheDir, ...FS.getAssetCacheFolder(assetId).split("/"));
+                const targetPath = path.join(targetDir, name);
+                try {
+                    fs.mkdirSync(targetDir, { recursive: true });
+                    if (!fs.existsSync(targetPath)) {
+                        try {
+                            fs.linkSync(flatPath, targetPath);
+                        } catch (linkError) {
+                            fs.copyFileSync(flatPath, targetPath);
+                        }
+                    }
+                    const target = fs.statSync(targetPath);
+                    if (target.ino === stat.ino && target.dev === stat.dev) {
+                        retiredSize = 0;
+                    }
+                } catch (error) {
+                    log(`Could not migrate cached file ${name}:`, error.message);
+                    return;
+                }
+
+                entries[assetId] = {
+                    path: targetPath.replace(/\\/g, "/"),
+                    size,
+                    checksum: previous ? previous.checksum : null,
+                    downloadedAt: previous ? previous.downloadedAt : now,
+                    lastUsedAt: previous ? previous.lastUsedAt : now
+                };
+                migrated++;
+            }
+
+            retire({
+                path: flatPath.replace(/\\/g, "/"),
+                size: retiredSize,
+                lastUsedAt: previous ? previous.lastUsedAt : new Date(0).toISOString()
+            });
+        });
+
+        save();
+        log(`Migrated ${migrated} flat cache files to per-asset folders.`);
+        return migrated;
+    };
+
+    global.Views.CacheIndex = {
+        get,
+        getVerified,
+        isCached,
+        record,
+        remove,
+        touch,
+        getTotalSize,
+        getCount,
+        evictToSize,
+        enforceLimit,
+        migrateFlatCache,
+        getIndexPath
+    };
+
+})(window);
@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Catalog Store
+ * Persists the last synced catalog (assets + folders) to disk so the panel
+ * can render instantly on launch and revalidate in the background.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const FS = global.Views.FileSystem;
+    const Profiles = global.Views.Profiles;
+    const log = Utils ? Utils.log : console.log;
+
+    const CATALOG_FILE_BASE = "catalog";
+    const CATALOG_FORMAT_VERSION = 1;
+
+    /**
+     * Gets the active profile's catalog file path (stored beside the cache folder)
+     * @returns {string|null} Path to catalog.json (catalog__<profile>.json for added profiles),
+     *   or null without Node.js
+     */
+    const getCatalogPath = () => {
+        if (typeof require !== "function") {
+            return null;
+        }
+        const path = require("path");
+        return path.join(FS.getDataFolderPath(), `${Profiles.scopeKey(CATALOG_FILE_BASE)}.json`);
+    };
+
+    /**
+     * Loads the persisted catalog from disk
+     * @returns {{assets: Array, folders: Array, savedAt: string, syncCursor: string|null, syncEtag: string|null, complete: boolean}|null}
+     *   Catalog or null if unavailable
+     */
+    const load = () => {
+        const catalogPath = getCatalogPath();
+        if (!catalogPath) return null;
+
+        try {
+            const fs = require("fs");
+            if (!fs.existsSync(catalogPath)) {
+                log("No persisted catalog found.");
+                return null;
+            }
+
+            const data = JSON.parse(fs.readFileSync(catalogPath, "utf8"));
+            if (!data || data.version !== CATALOG_FORMAT_VERSION || !Array.isArray(data.assets)) {
+                log("Persisted catalog has an unknown format, ignoring.");
+                return null;
+            }
+
+            log(`Loaded persisted catalog: ${data.assets.length} assets (saved ${data.savedAt})`);
+            return {
+                assets: data.assets,
+                folders: Array.isArray(data.folders) ? data.folders : [],
+                savedAt: data.savedAt,
+                syncCursor: data.syncCursor || null,
+                syncEtag: data.syncEtag || null,
+                complete: data.complete !== false
+            };
+        } catch (error) {
+            console.error("Failed to load persisted catalog:", error);
+            return null;
+        }
+    };
+
+    /**
+     * Writes the catalog to disk (atomically via a temp file)
+     * @param {Object} catalog - Catalog to persist
+     * @param {Array} catalog.assets - All synced assets
+     * @param {Array} catalog.folders - All synced folders
+     * @param {string|null} [catalog.syncCursor] - Cursor for the next delta sync
+     * @param {string|null} [catalog.syncEtag] - ETag of the last delta response
+     * @param {boolean} [catalog.complete] - False when some asset pages failed to load
+     * @returns {boolean} Success status
+     */
+    const save = ({ assets, folders, syncCursor = null, syncEtag = null, complete = true }) => {
+        const catalogPath = getCatalogPath();
+        if (!catalogPath) return false;
+
+        try {
+            const fs = require("fs");
+            const path = require("path");
+            const dir = path.dirname(catalogPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const payload = JSON.stringify({
+                version: CATALOG_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                syncCursor,
+                syncEtag,
+                complete,
+                assets: assets || [],
+                folders: folders || []
+            });
+
+            const tempPath = catalogPath + ".tmp";
+            fs.writeFileSync(tempPath, payload, "utf8");
+            fs.renameSync(tempPath, catalogPath);
+
+            log(`Persisted catalog: ${(assets || []).length} assets, ${(folders || []).length} folders`);
+            return true;
+        } catch (error) {
+            console.error("Failed to persist catalog:", error);
+            return false;
+        }
+    };
+
+    /**
+     * Deletes the persisted catalog (e.g. when the API key changes)
+     * @returns {boolean} Success status
+     */
+    const clear = () => {
+        const catalogPath = getCatalogPath();
+        if (!catalogPath) return false;
+
+        try {
+            const fs = require("fs");
+            if (fs.existsSync(catalogPath)) {
+                fs.unlinkSync(catalogPath);
+                log("Persisted catalog cleared.");
+            }
+            return true;
+        } catch (error) {
+            console.error("Failed to clear persisted catalog:", error);
+            return false;
+        }
+    };
+
+    /**
+     * Computes the differences between two asset lists by id
+     * @param {Array} previous - Currently displayed assets
+     * @param {Array} next - Freshly fetched assets
+     * @returns {{added: Array, removed: Array, changed: Array, hasChanges: boolean}} Asset diff
+     */
+    const diffAssets = (previous, next) => {
+        const previousById = {};
+        (previous || []).forEach(asset => {
+            previousById[asset.id] = asset;
+        });
+
+        const added = [];
+        const changed = [];
+        const seen = {};
+
+        (next || []).forEach(asset => {
+            seen[asset.id] = true;
+            const old = previousById[asset.id];
+            if (!old) {
+                added.push(asset);
+            } else if (JSON.stringify(old) !== JSON.stringify(asset)) {
+                changed.push(asset);
+            }
+        });
+
+        const removed = (previous || []).filter(asset => !seen[asset.id]);
+
+        return {
+            added,
+            removed,
+            changed,
+            hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0
+        };
+    };
+
+    global.Views.CatalogStore = {
+        load,
+        save,
+        clear,
+        diffAssets,
+        getCatalogPath
+    };
+
+})(window);
@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Collection Controller
+ * Handles user collections: creating, renaming, deleting and reordering them, and
+ * adding assets from the context menu or by dropping cards on a collection.
+ * Collections show in the sidebar as virtual folders (see FolderController).
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const UI = global.Views.UI;
+    const State = global.Views.State;
+    const Preferences = global.Views.Preferences;
+    const AssetController = global.Views.AssetController;
+    const FolderController = global.Views.FolderController;
+
+    const log = Utils.log;
+
+    /** @type {{selectFolder: Function, getAssetCallbacks: Function}|null} */
+    let callbacks = null;
+
+    /**
+     * Re-renders the collections in the sidebar with their counts
+     */
+    const refresh = () => {
+        const state = State.getState();
+        UI.renderCollections(Preferences.getCollections());
+        if (!state.isWelcome) {
+            UI.setActiveFolder(state.selectedFolderId);
+        }
+        AssetController.updateFolderCounts();
+    };
+
+    /**
+     * Refreshes the grid if a collection is the current view
+     * @param {string} collectionId - Collection that changed
+     */
+    const refreshViewIfShowing = (collectionId) => {
+        const state = State.getState();
+        if (!state.isWelcome && FolderController.getCollectionId(state.selectedFolderId) === collectionId) {
+            AssetController.updateAssetView(callbacks.getAssetCallbacks());
+        }
+    };
+
+    /**
+     * Asks for a collection name
+     * @param {Object} options - Prompt options
+     * @param {string} options.title - Modal title
+     * @param {string} options.confirmLabel - Confirm button text
+     * @param {string} [options.value] - Current name
+     * @param {string} [options.exceptId] - Collection being renamed
+     * @returns {Promise<string|null>} Cleaned-up name, or null if cancelled
+     */
+    const promptName = async ({ title, confirmLabel, value = "", exceptId = null }) => {
+        const name = await UI.PromptModal.show({
+            title,
+            label: "Collection name",
+            value,
+            confirmLabel,
+            maxLength: Preferences.MAX_COLLECTION_NAME_LENGTH,
+            validate: (input) => {
+                if (!Preferences.normalizeCollectionName(input)) return "Please enter a name.";
+                if (Preferences.isCollectionNameTaken(input, exceptId)) return `A collection named "${input}" already exists.`;
+                return "";
+            }
+        });
+        return name === null ? null : Preferences.normalizeCollectionName(name);
+    };
+
+    /**
+     * Creates a collection, optionally with assets already in it
+     * @param {Array<string>} [assetIds] - Assets to add to the new collection
+     * @returns {Promise<void>}
+     */
+    const create = async (assetIds = []) => {
+        const name = await promptName({ title: "New Collection", confirmLabel: "Create" });
+        if (!name) return;
+
+        const collection = Preferences.createCollection(name);
+        if (assetIds.length > 0) {
+            Preferences.addToCollection(collection.id, assetIds);
+        }
+        refresh();
+        log(`Created collection "${name}".`);
+        UI.setStatus(assetIds.length > 0
+            ? `Created "${name}" with ${assetIds.length} ${assetIds.length === 1 ? "asset" : "assets"}.`
+            : `Created collection "${name}". Drag assets onto it to add them.`, "success");
+    };
+
+    /**
+     * Renames a collection
+     * @param {{id: string, name: string}} collection - Collection to rename
+     * @returns {Promise<void>}
+     */
+    const rename = async (collection) => {
+        const name = await promptName({
+            title: "Rename Collection",
+            confirmLabel: "Rename",
+            value: collection.name,
+            exceptId: collection.id
+        });
+        if (!name || name === collection.name) return;
+
+        Preferences.renameCollection(collection.id, name);
+        refresh();
+        log(`Renamed collection "${collection.name}" to "${name}".`);
+    };
+
+    /**
+     * Deletes a collection, offering to undo it. The assets themselves are untouched.
+     * @param {{id: string, name: string}} collection - Collection to delete
+     */
+    const remove = (collection) => {
+        const state = State.getState();
+        const saved = Preferences.getCollections();
+        const index = saved.findIndex(c => c.id === collection.id);
+        if (index === -1) return;
+
+        Preferences.deleteCollection(collection.id);
+        const wasShowing = !state.isWelcome && FolderController.getCollectionId(state.selectedFolderId) === collection.id;
+        refresh();
+        if (wasShowing) {
+            callbacks.selectFolder("all");
+        }
+        log(`Deleted collection "${collection.name}".`);
+
+        UI.setStatus(`Deleted collection "${collection.name}".`, "info", true, {
+            label: "Undo",
+            onClick: () => {
+                Preferences.restoreCollection(saved[index], index);
+                refresh();
+                UI.setStatus(`Restored collection "${collection.name}".`, "success");
+            }
+        });
+    };
+
+    /**
+     * Moves a collection to a new position in the sidebar
+     * @param {string} collectionId - Collection to move
+     * @param {number} index - New position
+     */
+    const move = (collectionId, index) => {
+        if (Preferences.moveCollection(collectionId, index)) {
+            refresh();
+        }
+    };
+
+    /**
+     * Adds assets to a collection (e.g. dropped cards)
+     * @param {string} collectionId - Target collection
+     * @param {Array<string>} assetIds - Assets to add
+     */
+    const addAssets = (collectionId, assetIds) => {
+        const collection = Preferences.getCollection(collectionId);
+        if (!collection) return;
+
+        const added = Preferences.addToCollection(collectionId, assetIds);
+        AssetController.updateFolderCounts();
+        refreshViewIfShowing(collectionId);
+
+        if (added === 0) {
+            UI.setStatus(`Already in "${collection.name}".`, "info");
+        } else {
+            UI.setStatus(`Added ${added} ${added === 1 ? "asset" : "assets"} to "${collection.name}".`, "success");
+        }
+    };
+
+    /**
+     * Adds an asset to a collection, or takes it out if it is already in it
+     * @param {{id: string, name: string, assetIds: Array<string>}} collection - Collection
+     * @param {string} assetId - Asset ID
+     */
+    const toggleAsset = (collection, assetId) => {
+        if (collection.assetIds.includes(assetId)) {
+            Preferences.removeFromCollection(collection.id, [assetId]);
+            AssetController.updateFolderCounts();
+            refreshViewIfShowing(collection.id);
+            UI.setStatus(`Removed from "${collection.name}".`, "info");
+        } else {
+            addAssets(collection.id, [assetId]);
+        }
+    };
+
+    /**
+     * Shows the collections an asset can be added to (checked where it already is)
+     * @param {Object} asset - Asset from the context menu
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    const showAssetMenu = (asset, x, y) => {
+        const items = Preferences.getCollections().map(collection => ({
+            label: collection.name,
+            checked: collection.assetIds.includes(asset.id),
+            onClick: () => toggleAsset(collection, asset.id)
+        }));
+        if (items.length > 0) {
+            items.push({ divider: true });
+        }
+        items.push({ label: "New collection...", onClick: () => create([asset.id]) });
+        UI.showActionMenu(x, y, items);
+    };
+
+    /**
+     * Shows the actions for a collection in the sidebar
+     * @param {{id: string, name: string}} collection - Collection
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    const showCollectionMenu = (collection, x, y) => {
+        const collections = Preferences.getCollections();
+        const index = collections.findIndex(c => c.id === collection.id);
+        UI.showActionMenu(x, y, [
+            { label: "Rename...", onClick: () => rename(collection) },
+            { label: "Move up", disabled: index <= 0, onClick: () => move(collection.id, index - 1) },
+            { label: "Move down", disabled: index >= collections.length - 1, onClick: () => move(collection.id, index + 1) },
+            { divider: true },
+            { label: "Delete collection", danger: true, onClick: () => remove(collection) }
+        ]);
+    };
+
+    /**
+     * Wires the sidebar's collection entries
+     * @param {{selectFolder: Function, getAssetCallbacks: Function}} handlers - Selects a folder by ID /
+     *   builds the asset rendering callbacks
+     */
+    const init = (handlers) => {
+        callbacks = handlers;
+        UI.setCollectionHandlers({
+            onSelect: handlers.selectFolder,
+            onCreate: () => create(),
+            onMenu: showCollectionMenu,
+            onDropAssets: addAssets,
+            onReorder: move
+        });
+        UI.PromptModal.init();
+    };
+
+    global.Views.CollectionController = {
+        init,
+        refresh,
+        create,
+        showAssetMenu
+    };
+
+})(window);
@@ -0,0 +1,167 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Connectivity
+ * Tracks whether the panel is offline, either because requests to the API
+ * keep failing at the network level or because the user chose to work offline.
+ * While offline the panel shows the last synced catalog and imports from the cache.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const Errors = global.Views.Errors;
+    const log = Utils ? Utils.log : console.log;
+
+    /** How often to check whether the API is reachable again */
+    const PROBE_INTERVAL_MS = 15000;
+
+    /** Set after a request failed at the network level */
+    let detectedOffline = false;
+
+    /** Set while the user works offline by choice */
+    let manualOffline = false;
+
+    /** Interval ID of the reconnect probe */
+    let probeTimer = null;
+
+    /** @type {Array<Function>} */
+    const listeners = [];
+
+    /**
+     * Checks whether the panel is offline for any reason
+     * @returns {boolean} True if offline
+     */
+    const isOffline = () => detectedOffline || manualOffline;
+
+    /**
+     * Checks whether the user chose to work offline
+     * @returns {boolean} True if offline by hand
+     */
+    const isManualOffline = () => manualOffline;
+
+    /**
+     * Registers a listener for connectivity changes
+     * @param {Function} listener - Called with { offline, manual, reconnected }
+     * @returns {Function} Unsubscribe function
+     */
+    const subscribe = (listener) => {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index > -1) listeners.splice(index, 1);
+        };
+    };
+
+    /**
+     * Notifies listeners of the current state
+     * @param {boolean} reconnected - True when the panel just came back online
+     */
+    const emit = (reconnected) => {
+        const event = { offline: isOffline(), manual: manualOffline, reconnected };
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error("Connectivity listener failed:", error);
+            }
+        });
+    };
+
+    /**
+     * Stops the reconnect probe
+     */
+    const stopProbe = () => {
+        if (probeTimer) {
+            clearInterval(probeTimer);
+            probeTimer = null;
+        }
+    };
+
+    /**
+     * Checks whether the API answers again (any HTTP response counts)
+     * @returns {Promise<boolean>} True if reachable
+     */
+    const probe = async () => {
+        const API = global.Views.API;
+        try {
+            // fetchVersion reports the outcome itself
+            await API.fetchVersion();
+            return true;
+        } catch (error) {
+            // A non-2xx response still means the API is reachable
+            return !(error instanceof Errors.NetworkError);
+        }
+    };
+
+    /**
+     * Starts polling the API until it answers
+     */
+    const startProbe = () => {
+        if (probeTimer) return;
+        probeTimer = setInterval(() => {
+            if (!manualOffline) probe();
+        }, PROBE_INTERVAL_MS);
+    };
+
+    /**
+     * Records a request that failed at the network level
+     */
+    const reportNetworkFailure = () => {
+        if (detectedOffline) return;
+        detectedOffline = true;
+        log("API unreachable, switching to offline mode.");
+        startProbe();
+        if (!manualOffline) emit(false);
+    };
+
+    /**
+     * Records a request that reached the API
+     */
+    const reportSuccess = () => {
+        if (!detectedOffline) return;
+        detectedOffline = false;
+        stopProbe();
+        log("API reachable again, leaving offline mode.");
+        if (!manualOffline) emit(true);
+    };
+
+    /**
+     * Turns working offline on or off by hand
+     * @param {boolean} offline - True to stop using the network
+     */
+    const setManualOffline = (offline) => {
+        if (manualOffline === !!offline) return;
+        const wasOffline = isOffline();
+        manualOffline = !!offline;
+        log(manualOffline ? "Working offline." : "Leaving manual offline mode.");
+
+        if (!manualOffline && detectedOffline) {
+            // Still unreachable as far as we know - check right away rather than wait for the probe
+            emit(false);
+            probe();
+            return;
+        }
+        emit(wasOffline && !isOffline());
+    };
+
+    /**
+     * Creates the error thrown for requests attempted while working offline
+     * @returns {NetworkError} Error with `offline = true`
+     */
+    const createOfflineError = () => new Errors.NetworkError("Working offline. Go online to reach the Views API.", {
+        offline: true
+    });
+
+    global.Views.Connectivity = {
+        isOffline,
+        isManualOffline,
+        subscribe,
+        probe,
+        reportNetworkFailure,
+        reportSuccess,
+        setManualOffline,
+        createOfflineError
+    };
+
+})(window);
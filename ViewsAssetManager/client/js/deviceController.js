@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Device Controller
+ * Shows which devices an API key is registered to and lets the user release one,
+ * or move the key to this device, without asking an administrator.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const API = global.Views.API;
+    const UI = global.Views.UI;
+    const Errors = global.Views.Errors;
+
+    const log = Utils.log;
+
+    /** How long a Release button stays armed after the first click */
+    const CONFIRM_TIMEOUT_MS = 4000;
+
+    /** Key being managed: a key typed into the API key form, or null for the stored one */
+    let managedApiKey = null;
+
+    /** Whether the server lists devices */
+    let devicesSupported = true;
+
+    /** Armed Release button and its disarm timer */
+    let armedButton = null;
+    let armedTimer = null;
+
+    /** @type {{onReleasedThisDevice: Function, onTransferred: Function}|null} */
+    let callbacks = null;
+
+    /**
+     * Gets the request options for the managed key
+     * @returns {{apiKey: string|undefined}} Options for the device API calls
+     */
+    const getKeyOptions = () => ({ apiKey: managedApiKey || undefined });
+
+    /**
+     * Disarms the Release button waiting for confirmation
+     */
+    const disarm = () => {
+        clearTimeout(armedTimer);
+        armedTimer = null;
+        if (armedButton) {
+            armedButton.textContent = "Release";
+            armedButton = null;
+        }
+    };
+
+    /**
+     * Loads and renders the devices registered to the managed key
+     * @returns {Promise<void>}
+     */
+    const loadDevices = async () => {
+        disarm();
+        UI.DeviceModal.showError("");
+        UI.DeviceModal.render([]);
+        UI.DeviceModal.setStatus("Loading devices...");
+
+        try {
+            const { supported, devices } = await API.fetchDevices(getKeyOptions());
+            devicesSupported = supported;
+            UI.DeviceModal.render(devices);
+
+            if (!supported) {
+                UI.DeviceModal.setStatus("Your Views server doesn't list devices. You can still try moving the key to this device.");
+            } else if (devices.length === 0) {
+                UI.DeviceModal.setStatus("No devices are registered to this key yet.");
+            } else {
+                UI.DeviceModal.setStatus("");
+            }
+        } catch (error) {
+            console.error("Failed to load devices:", error);
+            UI.DeviceModal.setStatus("");
+            UI.DeviceModal.showError(Errors.getUserMessage(error, "Couldn't load the devices for this key."));
+        }
+    };
+
+    /**
+     * Opens the device modal
+     * @param {Object} [options] - Modal options
+     * @param {string} [options.apiKey] - Manage this key instead of the stored one (e.g. one rejected
+     *   by the API key form because it is bound to another device)
+     * @returns {Promise<void>}
+     */
+    const open = async (options = {}) => {
+        managedApiKey = options.apiKey || null;
+        log(managedApiKey ? "Managing devices for the entered API key." : "Managing devices.");
+
+        const diagnostics = typeof DeviceId !== "undefined" ? DeviceId.getDiagnostics() : {};
+        UI.DeviceModal.setThisDevice({ id: "", name: diagnostics.hostname });
+        UI.DeviceModal.setTransferEnabled(true);
+        UI.DeviceModal.show();
+
+        try {
+            UI.DeviceModal.setThisDevice({ id: await API.getDeviceId(), name: diagnostics.hostname });
+        } catch (error) {
+            console.error("Failed to get device ID:", error);
+            UI.DeviceModal.setThisDevice({ id: "Unavailable", name: diagnostics.hostname });
+        }
+        await loadDevices();
+    };
+
+    /**
+     * Releases a device from the managed key. The first click only arms the button.
+     * @param {Object} device - Device from API.fetchDevices
+     * @param {HTMLButtonElement} button - The device's Release button
+     * @returns {Promise<void>}
+     */
+    const handleRelease = async (device, button) => {
+        if (armedButton !== button) {
+            disarm();
+            armedButton = button;
+            button.textContent = "Click to confirm";
+            armedTimer = setTimeout(disarm, CONFIRM_TIMEOUT_MS);
+            return;
+        }
+        disarm();
+
+        button.disabled = true;
+        button.textContent = "Releasing...";
+        UI.DeviceModal.showError("");
+
+        try {
+            await API.releaseDevice(device.id, getKeyOptions());
+            log(`Released device "${device.name}".`);
+
+            if (device.current && !managedApiKey) {
+                UI.DeviceModal.hide();
+                if (callbacks) callbacks.onReleasedThisDevice();
+                return;
+            }
+            UI.setStatus(`Released "${device.name}".`, "success");
+            await loadDevices();
+        } catch (error) {
+            console.error("Failed to release device:", error);
+            button.disabled = false;
+            button.textContent = "Release";
+            UI.DeviceModal.showError(Errors.getUserMessage(error, "Couldn't release the device."));
+        }
+    };
+
+    /**
+     * Moves the managed key to this device
+     * @returns {Promise<void>}
+     */
+    const handleTransfer = async () => {
+        disarm();
+        UI.DeviceModal.setTransferEnabled(false);
+        UI.DeviceModal.showError("");
+
+        try {
+            await API.transferDevice(getKeyOptions());
+            log("API key transferred to this device.");
+
+            const transferredKey = managedApiKey;
+            UI.DeviceModal.hide();
+            if (callbacks) callbacks.onTransferred(transferredKey);
+        } catch (error) {
+            console.error("Failed to transfer API key:", error);
+            UI.DeviceModal.showError(Errors.getUserMessage(error, "Couldn't move the key to this device."));
+            if (devicesSupported) {
+                await loadDevices();
+            }
+        } finally {
+            UI.DeviceModal.setTransferEnabled(true);
+        }
+    };
+
+    /**
+     * Wires up the device modal
+     * @param {{onReleasedThisDevice: Function, onTransferred: Function}} handlers - Called after this device
+     *   was released from the stored key / after a key was moved here (with the entered key, or null)
+     */
+    const init = (handlers) => {
+        callbacks = handlers;
+        UI.DeviceModal.init({ onRelease: handleRelease, onTransfer: handleTransfer });
+    };
+
+    global.Views.DeviceController = {
+        init,
+        open
+    };
+
+})(window);
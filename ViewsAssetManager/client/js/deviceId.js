@@ -179,6 +179,15 @@
         return hashedId;
     }
 
+    /**
+     * Gets the raw (unhashed) device fingerprint. Never sent anywhere - used locally
+     * to derive the key that encrypts stored secrets.
+     * @returns {string} Raw device identifier
+     */
+    function getFingerprint() {
+        return generateRawDeviceId();
+    }
+
     /**
      * Gets diagnostic information about device ID generation (for debugging)
      * @returns {Object} Diagnostic information
@@ -198,6 +207,7 @@
     // Export to global scope
     global.DeviceId = {
         getDeviceId: getDeviceId,
+        getFingerprint: getFingerprint,
         getDiagnostics: getDeviceIdDiagnostics
     };
 
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Errors
+ * Typed errors for API, network and download failures. Each carries the HTTP
+ * status (when there is one), whether retrying can help, a message fit for the
+ * status bar and the recovery action the UI should offer.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    /** Recovery actions the UI knows how to offer */
+    const RECOVERY = {
+        API_KEY: "api-key",
+        NETWORK_SETTINGS: "network-settings",
+        GO_ONLINE: "go-online",
+        MANAGE_DEVICES: "manage-devices",
+        RETRY: "retry"
+    };
+
+    /** Server statuses that usually clear up on their own */
+    const RETRYABLE_SERVER_STATUSES = [502, 503, 504];
+
+    /**
+     * Merges error options over a subclass's defaults, ignoring options left undefined
+     * @param {Object} defaults - Subclass defaults
+     * @param {Object} options - Caller's options
+     * @returns {Object} Merged options
+     */
+    const withDefaults = (defaults, options) => {
+        const merged = { ...defaults };
+        Object.keys(options).forEach(key => {
+            if (options[key] !== undefined) merged[key] = options[key];
+        });
+        return merged;
+    };
+
+    /**
+     * Base class for all typed errors
+     */
+    class ViewsError extends Error {
+        /**
+         * @param {string} message - Technical message (logged)
+         * @param {Object} [options] - Error details
+         * @param {number|null} [options.status] - HTTP status
+         * @param {boolean} [options.retryable] - Whether trying again may succeed
+         * @param {string} [options.userMessage] - Message shown in the UI (defaults to message)
+         * @param {string|null} [options.recovery] - One of RECOVERY, or null
+         * @param {Error} [options.cause] - Underlying error
+         */
+        constructor(message, options = {}) {
+            super(message);
+            this.name = "ViewsError";
+            this.status = options.status !== undefined ? options.status : null;
+            this.retryable = !!options.retryable;
+            this.userMessage = options.userMessage || message;
+            this.recovery = options.recovery !== undefined ? options.recovery : null;
+            if (options.cause) this.cause = options.cause;
+        }
+    }
+
+    /**
+     * The API key is missing, invalid or revoked (401)
+     */
+    class AuthError extends ViewsError {
+        constructor(message, options = {}) {
+            super(message, withDefaults({
+                status: 401,
+                userMessage: "Your API key was rejected. Enter a valid key to continue.",
+                recovery: RECOVERY.API_KEY
+            }, options));
+            this.name = "AuthError";
+        }
+    }
+
+    /**
+     * The API key is bound to another device (403)
+     */
+    class DeviceLimitError extends ViewsError {
+        constructor(message, options = {}) {
+            super(message, withDefaults({
+                status: 403,
+                userMessage: "This API key is registered to another device. Use Manage devices to move it here.",
+                recovery: RECOVERY.MANAGE_DEVICES
+            }, options));
+            this.name = "DeviceLimitError";
+        }
+    }
+
+    /**
+     * The request never got an HTTP response, or the panel is working offline
+     * (`offline = true`)
+     */
+    class NetworkError extends ViewsError {
+        /**
+         * @param {string} message - Technical message
+         * @param {Object} [options] - See ViewsError, plus:
+         * @param {boolean} [options.offline] - Not attempted because the user works offline
+         */
+        constructor(message, options = {}) {
+            const offline = !!options.offline;
+            super(message, withDefaults({
+                status: null,
+                retryable: !offline,
+                userMessage: offline ? message : "Can't reach the Views server. Check your connection.",
+                recovery: offline ? RECOVERY.GO_ONLINE : RECOVERY.NETWORK_SETTINGS
+            }, options));
+            this.name = "NetworkError";
+            this.offline = offline;
+        }
+    }
+
+    /**
+     * Too many requests (429). `retryAfterMs` holds the server's Retry-After, if sent.
+     */
+    class RateLimitError extends ViewsError {
+        constructor(message, options = {}) {
+            super(message, withDefaults({
+                status: 429,
+                retryable: true,
+                userMessage: "The Views server is busy. Wait a moment and try again.",
+                recovery: RECOVERY.RETRY
+            }, options));
+            this.name = "RateLimitError";
+            this.retryAfterMs = options.retryAfterMs !== undefined ? options.retryAfterMs : null;
+        }
+    }
+
+    /**
+     * The server failed to handle the request (5xx)
+     */
+    class ServerError extends ViewsError {
+        constructor(message, options = {}) {
+            const status = options.status || 500;
+            super(message, withDefaults({
+                retryable: RETRYABLE_SERVER_STATUSES.includes(status),
+                userMessage: "The Views server ran into a problem. Please try again later.",
+                recovery: RECOVERY.RETRY
+            }, { ...options, status }));
+            this.name = "ServerError";
+            this.retryAfterMs = options.retryAfterMs !== undefined ? options.retryAfterMs : null;
+        }
+    }
+
+    /**
+     * The requested asset or folder no longer exists (404)
+     */
+    class NotFoundError extends ViewsError {
+        constructor(message, options = {}) {
+            super(message, withDefaults({
+                status: 404,
+                userMessage: "This item is no longer available. Refresh to update the catalog."
+            }, options));
+            this.name = "NotFoundError";
+        }
+    }
+
+    /**
+     * A download did not match the size or checksum the API promised
+     */
+    class CorruptFileError extends ViewsError {
+        constructor(message, options = {}) {
+            super(message, withDefaults({
+                userMessage: "The download was corrupted and could not be verified after several tries. Report this issue in a ticket on discord.gg/views"
+            }, options));
+            this.name = "CorruptFileError";
+        }
+    }
+
+    /**
+     * Creates the typed error for an HTTP status
+     * @param {number} status - HTTP status
+     * @param {string} message - Technical message
+     * @param {Object} [options] - Extra error options (userMessage, retryAfterMs...)
+     * @returns {ViewsError} Typed error
+     */
+    const fromStatus = (status, message, options = {}) => {
+        if (status === 401) return new AuthError(message, options);
+        if (status === 403) return new DeviceLimitError(message, options);
+        if (status === 404) return new NotFoundError(message, options);
+        if (status === 429) return new RateLimitError(message, options);
+        if (status >= 500) return new ServerError(message, { ...options, status });
+        return new ViewsError(message, { ...options, status });
+    };
+
+    /**
+     * Gets the message to show for any error
+     * @param {Error} error - Error to describe
+     * @param {string} [fallback] - Used when the error has no message
+     * @returns {string} Message for the status bar
+     */
+    const getUserMessage = (error, fallback = "Something went wrong.") => {
+        if (error instanceof ViewsError) return error.userMessage;
+        return (error && error.message) || fallback;
+    };
+
+    /**
+     * Gets the recovery action for an error
+     * @param {Error} error - Error to check
+     * @returns {string|null} One of RECOVERY, or null
+     */
+    const getRecovery = (error) => (error instanceof ViewsError ? error.recovery : null);
+
+    global.Views.Errors = {
+        RECOVERY,
+        ViewsError,
+        AuthError,
+        DeviceLimitError,
+        NetworkError,
+        RateLimitError,
+        ServerError,
+        NotFoundError,
+        CorruptFileError,
+        fromStatus,
+        getUserMessage,
+        getRecovery
+    };
+
+})(window);
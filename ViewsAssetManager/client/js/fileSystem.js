@@ -8,15 +8,35 @@
     global.Views = global.Views || {};
     
     const Utils = global.Views.Utils;
+    const Network = global.Views.Network;
+    const Errors = global.Views.Errors;
     const log = Utils ? Utils.log : console.log;
 
+    /** Minimum interval between download progress callbacks */
+    const PROGRESS_INTERVAL_MS = 150;
+
+    /** Window over which download speed is averaged */
+    const SPEED_WINDOW_MS = 3000;
+
+    /** Number of automatic resume attempts after a dropped connection */
+    const DOWNLOAD_RETRIES = 3;
+
+    /** Base delay between resume attempts */
+    const DOWNLOAD_RETRY_DELAY_MS = 1000;
+
+    /** Idle time after which a download connection counts as dropped */
+    const DOWNLOAD_STALL_TIMEOUT_MS = 30000;
+
+    /** Number of fresh downloads after a size/checksum mismatch */
+    const INTEGRITY_RETRIES = 2;
+
     /**
-     * Gets the cache folder path (cross-platform: Windows & Mac)
-     * - Windows: C:\Users\{user}\Documents\ViewsAssetManager\cache
-     * - Mac: /Users/{user}/Documents/ViewsAssetManager/cache
-     * @returns {string} Path to the cache folder
+     * Gets the extension data folder path (parent of the cache folder)
+     * - Windows: C:\Users\{user}\Documents\ViewsAssetManager
+     * - Mac: /Users/{user}/Documents/ViewsAssetManager
+     * @returns {string} Path to the data folder
      */
-    const getCacheFolderPath = () => {
+    const getDataFolderPath = () => {
         if (typeof require === "function") {
             const path = require("path");
             const os = require("os");
@@ -26,11 +46,44 @@
             // On Windows, Documents is always at %USERPROFILE%\Documents
             const documentsPath = path.join(homeDir, "Documents");
             
-            return path.join(documentsPath, "ViewsAssetManager", "cache");
+            return path.join(documentsPath, "ViewsAssetManager");
+        }
+        return "Documents/ViewsAssetManager";
+    };
+
+    /**
+     * Gets the cache folder path (cross-platform: Windows & Mac)
+     * - Windows: C:\Users\{user}\Documents\ViewsAssetManager\cache
+     * - Mac: /Users/{user}/Documents/ViewsAssetManager/cache
+     * @returns {string} Path to the cache folder
+     */
+    const getCacheFolderPath = () => {
+        if (typeof require === "function") {
+            const path = require("path");
+            return path.join(getDataFolderPath(), "cache");
         }
         return "Documents/ViewsAssetManager/cache";
     };
 
+    /**
+     * Gets the cache sub-folder for one version of an asset, so assets that share a
+     * display name never overwrite each other
+     * @param {string} assetId - Asset ID
+     * @param {string|null} [version] - Asset version, when the API reports one
+     * @returns {string} Folder relative to the cache folder, e.g. "abc123" or "abc123/v2"
+     */
+    const getAssetCacheFolder = (assetId, version = null) => {
+        const segment = (value) => {
+            const safe = Utils.sanitizeFileName(String(value));
+            return /^\.+$/.test(safe) ? "_" : safe;
+        };
+        const parts = [segment(assetId)];
+        if (version) {
+            parts.push(segment(`v${version}`));
+        }
+        return parts.join("/");
+    };
+
     /**
      * Checks if the cache folder exists
      * @returns {boolean} True if the folder exists
@@ -43,6 +96,60 @@
         return false;
     };
 
+    /**
+     * Asks the user where to save a file
+     * @param {string} title - Dialog title
+     * @param {string} defaultName - Suggested file name
+     * @param {Array<string>} fileTypes - Allowed extensions (without the dot)
+     * @returns {string|null} Chosen path, or null if cancelled
+     */
+    const chooseSaveFile = (title, defaultName, fileTypes) => {
+        if (!global.cep || !global.cep.fs) {
+            throw new Error("File dialogs are not available outside the host application");
+        }
+        const result = global.cep.fs.showSaveDialogEx(title, getDataFolderPath(), fileTypes, defaultName);
+        if (result.err !== global.cep.fs.NO_ERROR) {
+            throw new Error(`Save dialog failed (error ${result.err})`);
+        }
+        return result.data || null;
+    };
+
+    /**
+     * Asks the user to pick a file to open
+     * @param {string} title - Dialog title
+     * @param {Array<string>} fileTypes - Allowed extensions (without the dot)
+     * @returns {string|null} Chosen path, or null if cancelled
+     */
+    const chooseOpenFile = (title, fileTypes) => {
+        if (!global.cep || !global.cep.fs) {
+            throw new Error("File dialogs are not available outside the host application");
+        }
+        const result = global.cep.fs.showOpenDialogEx(false, false, title, getDataFolderPath(), fileTypes);
+        if (result.err !== global.cep.fs.NO_ERROR) {
+            throw new Error(`Open dialog failed (error ${result.err})`);
+        }
+        return (result.data && result.data[0]) || null;
+    };
+
+    /**
+     * Writes a UTF-8 text file, replacing it in one step so a failed write leaves the old file intact
+     * @param {string} filePath - Destination path
+     * @param {string} text - Contents
+     */
+    const writeTextFile = (filePath, text) => {
+        const fs = require("fs");
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, text, "utf8");
+        fs.renameSync(tempPath, filePath);
+    };
+
+    /**
+     * Reads a UTF-8 text file
+     * @param {string} filePath - File path
+     * @returns {string} Contents
+     */
+    const readTextFile = (filePath) => require("fs").readFileSync(filePath, "utf8");
+
     /**
      * Checks if this is the first time creating the cache folder and shows notice if needed.
      * Should be called before first download.
@@ -84,23 +191,94 @@
         }
     };
 
+    /**
+     * Wraps a download progress callback with throttling and speed/ETA estimates
+     * @param {Function} [onProgress] - Called with (downloaded, total, { bytesPerSecond, etaSeconds });
+     *   total is 0 and etaSeconds null when the server sent no content-length
+     * @returns {{start: Function, add: Function, done: Function}} Progress tracker
+     */
+    const createProgressTracker = (onProgress) => {
+        let total = 0;
+        let downloaded = 0;
+        let lastEmit = 0;
+        const samples = [];
+
+        const emit = (force) => {
+            if (!onProgress) return;
+            const now = Date.now();
+            if (!force && now - lastEmit < PROGRESS_INTERVAL_MS) return;
+            lastEmit = now;
+
+            samples.push({ time: now, bytes: downloaded });
+            while (samples.length > 2 && now - samples[0].time > SPEED_WINDOW_MS) {
+                samples.shift();
+            }
+
+            const oldest = samples[0];
+            const elapsed = (now - oldest.time) / 1000;
+            const bytesPerSecond = elapsed > 0 ? (downloaded - oldest.bytes) / elapsed : 0;
+            const etaSeconds = total > 0 && bytesPerSecond > 0
+                ? Math.max(0, total - downloaded) / bytesPerSecond
+                : null;
+
+            onProgress(downloaded, total, { bytesPerSecond, etaSeconds });
+        };
+
+        return {
+            /** Starts counting for the final (post-redirect) response, from a resume offset */
+            start(contentLength, initialBytes = 0) {
+                total = contentLength > 0 ? contentLength : 0;
+                downloaded = initialBytes;
+                samples.length = 0;
+                emit(true);
+            },
+            /** Records received bytes */
+            add(bytes) {
+                downloaded += bytes;
+                emit(false);
+            },
+            /** Reports the final byte count */
+            done() {
+                emit(true);
+            }
+        };
+    };
+
     /**
      * Loads the PNG into an HTML Canvas and re-exports it.
      * This "sanitizes" the PNG, fixing corruption, CMYK issues, or weird compression that AE hates.
+     * @param {string} filePath - PNG to repair in place
+     * @param {Object} fs - Node fs module
+     * @param {AbortSignal} [signal] - Rejects with an AbortError and leaves the file untouched
+     * @returns {Promise<boolean>} Whether the file was rewritten
      */
-    const repairPngWithCanvas = async (filePath, fs) => {
-        return new Promise((resolve) => {
+    const repairPngWithCanvas = async (filePath, fs, signal) => {
+        Utils.throwIfAborted(signal);
+
+        return new Promise((resolve, reject) => {
             log("Attempting to repair/normalize PNG via Canvas...");
             const img = new Image();
+
+            const onAbort = () => {
+                clearTimeout(timeout);
+                img.onload = null;
+                img.onerror = null;
+                img.src = "";
+                log("PNG repair cancelled.");
+                reject(Utils.createAbortError("PNG repair cancelled"));
+            };
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
             
             // 5s timeout
             const timeout = setTimeout(() => {
+                if (signal) signal.removeEventListener("abort", onAbort);
                 log("Image load timed out during repair.");
                 resolve(false);
             }, 5000);
 
             img.onload = () => {
                 clearTimeout(timeout);
+                if (signal) signal.removeEventListener("abort", onAbort);
                 try {
                     const canvas = document.createElement('canvas');
                     canvas.width = img.width;
@@ -124,6 +302,7 @@
             
             img.onerror = (e) => {
                 clearTimeout(timeout);
+                if (signal) signal.removeEventListener("abort", onAbort);
                 log("Image failed to load for repair (browser cannot read it): " + e);
                 resolve(false); 
             };
@@ -137,120 +316,443 @@
         });
     };
 
-    const downloadFileToTemp = async (downloadUrl, fileName, headers = {}, onProgress) => {
-        const safeName = Utils.sanitizeFileName(fileName);
-
-        // Prefer Node.js (enabled via --enable-nodejs in the manifest)
-        if (typeof require === "function") {
-            log("Downloading file via Node.js stream...");
+    /**
+     * Gets the paths used while a download is in progress
+     * @param {string} filePath - Final file path
+     * @returns {{partPath: string, metaPath: string}} Partial data and its metadata
+     */
+    const getPartPaths = (filePath) => ({
+        partPath: filePath + ".part",
+        metaPath: filePath + ".part.json"
+    });
 
-            /** @type {typeof import('fs')} */
+    /**
+     * Reads the metadata saved beside a partial download
+     * @param {string} metaPath - Metadata file path
+     * @returns {{etag: string|null, lastModified: string|null, total: number}|null} Metadata or null
+     */
+    const readPartMeta = (metaPath) => {
+        try {
             const fs = require("fs");
-            /** @type {typeof import('path')} */
-            const path = require("path");
-            /** @type {typeof import('os')} */
-            const os = require("os");
-            /** @type {typeof import('http')} */
-            const http = require("http");
-            /** @type {typeof import('https')} */
-            const https = require("https");
+            return JSON.parse(fs.readFileSync(metaPath, "utf8"));
+        } catch (e) {
+            return null;
+        }
+    };
 
-            return new Promise((resolve, reject) => {
-                try {
-                    // Use Documents folder for permanent storage (matches hostscript.jsx getCacheFolder)
-                    // Cross-platform: Works on both Windows and Mac
-                    // - Windows: C:\Users\{user}\Documents\ViewsAssetManager\cache
-                    // - Mac: /Users/{user}/Documents/ViewsAssetManager/cache
-                    const cacheDir = getCacheFolderPath();
-                    if (!fs.existsSync(cacheDir)) {
-                        fs.mkdirSync(cacheDir, { recursive: true });
-                    }
+    /**
+     * Deletes a partial download and its metadata
+     * @param {string} filePath - Final file path
+     */
+    const removePartFiles = (filePath) => {
+        const fs = require("fs");
+        const { partPath, metaPath } = getPartPaths(filePath);
+        [partPath, metaPath].forEach(p => {
+            try {
+                if (fs.existsSync(p)) fs.unlinkSync(p);
+            } catch (e) {
+                // ignore cleanup errors
+            }
+        });
+    };
 
-                    const filePath = path.join(cacheDir, safeName);
-                    const fileStream = fs.createWriteStream(filePath);
-                    
-                    const makeRequest = (url) => {
-                        // Parse URL to handle options correctly
-                        const urlObj = new URL(url);
-                        const options = {
-                            hostname: urlObj.hostname,
-                            port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-                            path: urlObj.pathname + urlObj.search,
-                            method: 'GET',
-                            headers: headers
-                        };
-    
-                        const client = urlObj.protocol === "https:" ? https : http;
-    
-                        const request = client.get(options, (response) => {
-                            // Handle Redirects
-                            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                                log(`Redirecting to ${response.headers.location}...`);
-                                request.destroy(); // Stop current request
-                                makeRequest(response.headers.location); // Recurse
-                                return;
-                            }
-
-                            if (response.statusCode !== 200) {
-                                const message = "Failed to download file: " + response.statusCode + " " + (response.statusMessage || "");
-                                response.resume();
-                                reject(new Error(message));
-                                return;
-                            }
-    
-                            response.pipe(fileStream);
-    
-                            fileStream.on("finish", function () {
-                                fileStream.close(async function () {
-                                    try {
-                                        // Repair the PNG to ensure AE compatibility
-                                        await repairPngWithCanvas(filePath, fs);
-
-                                        // Normalize path to forward slashes for ExtendScript compatibility
-                                        const normalizedPath = filePath.replace(/\\/g, "/");
-                                        log("Downloaded and validated file: " + normalizedPath);
-                                        resolve(normalizedPath);
-                                    } catch (validationError) {
-                                        // Delete invalid file
-                                        try { fs.unlinkSync(filePath); } catch(e) {}
-                                        reject(validationError);
-                                    }
-                                });
-                            });
-                        });
-    
-                        request.on("error", function (error) {
-                            try {
-                                fileStream.close();
-                                fs.unlinkSync(filePath);
-                            } catch (e) {
-                                // ignore cleanup errors
-                            }
-                            reject(error);
-                        });
-                    };
-
-                    makeRequest(downloadUrl);
+    /**
+     * Flags an error as a dropped connection, so the .part file is kept and resumed
+     * @param {Error} error - Error to flag
+     * @returns {Error} The same error
+     */
+    const markResumable = (error) => {
+        error.resumable = true;
+        return error;
+    };
 
-                } catch (error) {
-                    reject(error);
+    /**
+     * Streams one download attempt into `<file>.part`. An existing part is resumed
+     * with Range / If-Range when its validator (ETag or Last-Modified) is known;
+     * a 200 reply means the server sent the whole file, so the part is rewritten.
+     * @param {string} downloadUrl - URL to download (redirects are followed)
+     * @param {string} filePath - Final file path
+     * @param {Object} headers - Extra request headers
+     * @param {Object} tracker - Progress tracker
+     * @param {AbortSignal} [signal] - Cancels the attempt
+     * @returns {Promise<void>} Resolves once the part holds the complete file
+     */
+    const downloadPartWithNode = (downloadUrl, filePath, headers, tracker, signal) => new Promise((resolve, reject) => {
+        /** @type {typeof import('fs')} */
+        const fs = require("fs");
+        const { partPath, metaPath } = getPartPaths(filePath);
+        const meta = readPartMeta(metaPath);
+        const validator = meta ? (meta.etag || meta.lastModified) : null;
+        const offset = validator && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+        const requestHeaders = { ...headers };
+        if (offset > 0) {
+            requestHeaders.Range = `bytes=${offset}-`;
+            requestHeaders["If-Range"] = validator;
+            log(`Resuming download from ${Utils.formatBytes(offset)}...`);
+        }
+
+        let fileStream = null;
+        let streamClosed = false;
+        let currentRequest = null;
+        let settled = false;
+
+        const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener("abort", onAbort);
+
+            const done = () => (error ? reject(error) : resolve());
+            if (error && currentRequest) {
+                currentRequest.destroy();
+            }
+            // Wait for the part file to be released before anyone renames or deletes it
+            if (fileStream && !streamClosed) {
+                fileStream.once("close", done);
+                if (error) fileStream.destroy();
+            } else {
+                done();
+            }
+        };
+
+        const onAbort = () => settle(Utils.createAbortError("Download cancelled"));
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+        const makeRequest = (url) => {
+            // Goes through the user's proxy when one is configured
+            const { client, options } = Network.getNodeRequest(url, { headers: requestHeaders });
+
+            const request = client.get(options, (response) => {
+                if (settled) {
+                    response.resume();
+                    return;
+                }
+
+                // Handle Redirects
+                if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                    // Location may be relative to the current URL
+                    const location = new URL(response.headers.location, url).toString();
+                    log(`Redirecting to ${location}...`);
+                    request.destroy(); // Stop current request
+                    makeRequest(location); // Recurse
+                    return;
+                }
+
+                // The saved range is no longer valid - start over on the next attempt
+                if (response.statusCode === 416) {
+                    response.resume();
+                    removePartFiles(filePath);
+                    settle(markResumable(new Error("Saved partial download is no longer valid")));
+                    return;
+                }
+
+                if (response.statusCode !== 200 && response.statusCode !== 206) {
+                    response.resume();
+                    settle(createDownloadStatusError(response.statusCode, response.statusMessage));
+                    return;
+                }
+
+                let startAt = 0;
+                let total = parseInt(response.headers["content-length"], 10) || 0;
+
+                if (response.statusCode === 206) {
+                    const range = /bytes (\d+)-\d+\/(\d+|\*)/.exec(response.headers["content-range"] || "");
+                    if (!range || parseInt(range[1], 10) !== offset) {
+                        response.resume();
+                        removePartFiles(filePath);
+                        settle(markResumable(new Error("Server resumed at an unexpected offset")));
+                        return;
+                    }
+                    startAt = offset;
+                    total = range[2] === "*" ? 0 : parseInt(range[2], 10);
+                } else if (offset > 0) {
+                    log("Server sent the full file instead of a range, restarting download.");
                 }
+
+                // Remember what we are downloading so an interrupted part can be resumed
+                const etag = response.headers["etag"] || null;
+                const lastModified = response.headers["last-modified"] || null;
+                if (etag || lastModified) {
+                    fs.writeFileSync(metaPath, JSON.stringify({
+                        etag,
+                        lastModified,
+                        total,
+                        updatedAt: new Date().toISOString()
+                    }));
+                }
+
+                fileStream = fs.createWriteStream(partPath, { flags: startAt > 0 ? "a" : "w" });
+                fileStream.on("close", () => {
+                    streamClosed = true;
+                });
+                fileStream.on("error", (error) => settle(error));
+
+                // Progress is measured on the final response, after any redirects
+                let received = startAt;
+                tracker.start(total, startAt);
+                response.on("data", (chunk) => {
+                    received += chunk.length;
+                    tracker.add(chunk.length);
+                });
+                response.on("aborted", () => settle(markResumable(new Error("Connection lost during download"))));
+                response.on("error", (error) => settle(markResumable(error)));
+                response.pipe(fileStream);
+
+                fileStream.on("finish", () => {
+                    if (total > 0 && received < total) {
+                        settle(markResumable(new Error("Connection closed before the download completed")));
+                        return;
+                    }
+                    tracker.done();
+                    settle(null);
+                });
+            });
+            currentRequest = request;
+
+            // A stalled connection on flaky networks is treated like a dropped one
+            request.setTimeout(DOWNLOAD_STALL_TIMEOUT_MS, () => {
+                request.destroy(new Error("Download stalled"));
             });
+
+            request.on("error", (error) => settle(markResumable(error)));
+        };
+
+        try {
+            makeRequest(downloadUrl);
+        } catch (error) {
+            settle(error);
         }
+    });
 
-        // Fallback: browser fetch + CEP FileReader + JSX bridge (original implementation)
-        log("Downloading file via fetch/blob fallback...");
-        const response = await fetch(downloadUrl, {
-            method: "GET",
-            cache: "no-cache",
-            headers: headers
+    /**
+     * Downloads into `<file>.part`, automatically resuming after dropped connections
+     * @param {string} downloadUrl - URL to download
+     * @param {string} filePath - Final file path
+     * @param {Object} headers - Extra request headers
+     * @param {Object} tracker - Progress tracker
+     * @param {AbortSignal} [signal] - Cancels the download
+     * @returns {Promise<void>} Resolves once the part holds the complete file
+     */
+    const downloadWithResume = async (downloadUrl, filePath, headers, tracker, signal) => {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                await downloadPartWithNode(downloadUrl, filePath, headers, tracker, signal);
+                return;
+            } catch (error) {
+                if (Utils.isAbortError(error) || !error.resumable || attempt >= DOWNLOAD_RETRIES) {
+                    throw error;
+                }
+                attempt++;
+                const wait = DOWNLOAD_RETRY_DELAY_MS * attempt;
+                log(`Download interrupted (${error.message}), resuming in ${wait}ms (attempt ${attempt}/${DOWNLOAD_RETRIES})...`);
+                await Utils.delay(wait, signal);
+            }
+        }
+    };
+
+    /**
+     * Creates the error reported when a download does not match its expected size or checksum
+     * @param {string} detail - What did not match
+     * @returns {CorruptFileError} Corrupt file error
+     */
+    const createCorruptDownloadError = (detail) => new Errors.CorruptFileError(`Corrupted download: ${detail}`);
+
+    /**
+     * Creates the error for a download URL that answered with an error status.
+     * The URL points at storage rather than the API, so 401/403 mean an expired link, not a bad key.
+     * @param {number} status - HTTP status
+     * @param {string} statusText - Status text
+     * @returns {ViewsError} Typed error
+     */
+    const createDownloadStatusError = (status, statusText) => {
+        const message = `Failed to download file: ${status} ${statusText || ""}`.trim();
+        if (status === 404) {
+            return new Errors.NotFoundError(message, { userMessage: "The file for this asset is missing on the server." });
+        }
+        if (status >= 500) {
+            return new Errors.ServerError(message, { status, userMessage: "The download server ran into a problem. Please try again later." });
+        }
+        return new Errors.ViewsError(message, {
+            status,
+            retryable: status === 401 || status === 403,
+            userMessage: "The download link was rejected. Please try again.",
+            recovery: Errors.RECOVERY.RETRY
         });
+    };
+
+    /**
+     * Computes the SHA-256 of a file by streaming it
+     * @param {string} filePath - File to hash
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    const hashFile = (filePath) => new Promise((resolve, reject) => {
+        const fs = require("fs");
+        const crypto = require("crypto");
+        const hash = crypto.createHash("sha256");
+        const stream = fs.createReadStream(filePath);
+        stream.on("data", (chunk) => hash.update(chunk));
+        stream.on("error", reject);
+        stream.on("end", () => resolve(hash.digest("hex")));
+    });
+
+    /**
+     * Computes the SHA-256 of an in-memory blob (fetch fallback)
+     * @param {Blob} blob - Downloaded data
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    const hashBlob = async (blob) => {
+        const buffer = await blob.arrayBuffer();
+        const digest = await crypto.subtle.digest("SHA-256", buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, "0"))
+            .join("");
+    };
+
+    /**
+     * Checks downloaded data against the size and SHA-256 the API promised.
+     * Checks that have no expected value are skipped.
+     * @param {number} size - Actual size in bytes
+     * @param {Function} computeHash - Async function returning the actual hex digest
+     * @param {Object} expected - Expected values
+     * @param {number} [expected.size] - Expected size in bytes
+     * @param {string} [expected.sha256] - Expected hex digest
+     * @throws {CorruptFileError} On mismatch
+     */
+    const verifyDownload = async (size, computeHash, expected) => {
+        if (expected.size > 0 && size !== expected.size) {
+            throw createCorruptDownloadError(`expected ${expected.size} bytes, got ${size}`);
+        }
+        if (expected.sha256) {
+            const actual = await computeHash();
+            if (actual !== String(expected.sha256).toLowerCase()) {
+                throw createCorruptDownloadError("checksum mismatch");
+            }
+            log("Download checksum verified.");
+        } else {
+            log("No checksum provided, skipping integrity check.");
+        }
+    };
+
+    /**
+     * Downloads via Node.js into the cache folder, verifying the completed
+     * `.part` before it replaces the cached file
+     * @param {string} downloadUrl - URL to download
+     * @param {string} safeName - Sanitized file name
+     * @param {Object} options - See downloadFileToTemp
+     * @param {Object} tracker - Progress tracker
+     * @returns {Promise<{path: string, sha256: string|null}>} Downloaded file (forward slashes) and
+     *   its SHA-256 as saved
+     */
+    const downloadWithNode = async (downloadUrl, safeName, options, tracker) => {
+        const { headers, signal, expected } = options;
+        log("Downloading file via Node.js stream...");
+
+        /** @type {typeof import('fs')} */
+        const fs = require("fs");
+        /** @type {typeof import('path')} */
+        const path = require("path");
+
+        // Use Documents folder for permanent storage (matches hostscript.jsx getCacheFolder)
+        // Cross-platform: Works on both Windows and Mac
+        // - Windows: C:\Users\{user}\Documents\ViewsAssetManager\cache
+        // - Mac: /Users/{user}/Documents/ViewsAssetManager/cache
+        const cacheDir = path.join(getCacheFolderPath(), ...options.folder.split("/").filter(Boolean));
+        if (!fs.existsSync(cacheDir)) {
+            fs.mkdirSync(cacheDir, { recursive: true });
+        }
+
+        const filePath = path.join(cacheDir, safeName);
+        const { partPath } = getPartPaths(filePath);
+
+        try {
+            await downloadWithResume(downloadUrl, filePath, headers, tracker, signal);
+            // Verify the raw payload before anything (like the PNG repair) rewrites it
+            await verifyDownload(fs.statSync(partPath).size, () => hashFile(partPath), expected);
+        } catch (error) {
+            // Only a dropped connection keeps the .part for the next attempt
+            if (Utils.isAbortError(error) || !error.resumable) {
+                removePartFiles(filePath);
+            } else {
+                log("Download interrupted, keeping partial file for the next attempt.");
+            }
+            throw error;
+        }
+
+        fs.renameSync(partPath, filePath);
+        removePartFiles(filePath);
+
+        let sha256 = expected.sha256 ? String(expected.sha256).toLowerCase() : null;
+        try {
+            // Repair the PNG to ensure AE compatibility
+            const repaired = await repairPngWithCanvas(filePath, fs, signal);
+            Utils.throwIfAborted(signal);
+            // The payload hash no longer describes a rewritten file, and the cache checks the file
+            if (repaired && sha256) {
+                sha256 = await hashFile(filePath);
+            }
+        } catch (validationError) {
+            // Delete the invalid (or cancelled) file
+            try { fs.unlinkSync(filePath); } catch (e) {}
+            throw validationError;
+        }
+
+        // Normalize path to forward slashes for ExtendScript compatibility
+        const normalizedPath = filePath.replace(/\\/g, "/");
+        log("Downloaded and validated file: " + normalizedPath);
+        return { path: normalizedPath, sha256 };
+    };
+
+    /**
+     * Fallback: browser fetch + CEP FileReader + JSX bridge (original implementation)
+     * @param {string} downloadUrl - URL to download
+     * @param {string} safeName - Sanitized file name
+     * @param {Object} options - See downloadFileToTemp
+     * @param {Object} tracker - Progress tracker
+     * @returns {Promise<{path: string, sha256: string|null}>} Saved file and its SHA-256 (the
+     *   verified payload's, as the bytes are saved unchanged)
+     */
+    const downloadWithFetch = async (downloadUrl, safeName, options, tracker) => {
+        const { headers, signal, expected } = options;
+        log("Downloading file via fetch/blob fallback...");
+        let response;
+        try {
+            response = await fetch(downloadUrl, {
+                method: "GET",
+                cache: "no-cache",
+                headers: headers,
+                signal
+            });
+        } catch (error) {
+            if (Utils.isAbortError(error)) throw error;
+            throw new Errors.NetworkError(`Download failed: ${error.message}`, { cause: error });
+        }
 
         if (!response.ok) {
-            throw new Error("Failed to download file: " + response.status + " " + response.statusText);
+            throw createDownloadStatusError(response.status, response.statusText);
         }
 
-        const blob = await response.blob();
+        // fetch follows redirects itself, so these headers belong to the final response
+        tracker.start(parseInt(response.headers.get("content-length"), 10));
+
+        let blob;
+        if (response.body && typeof response.body.getReader === "function") {
+            const streamReader = response.body.getReader();
+            const chunks = [];
+            while (true) {
+                const { done, value } = await streamReader.read();
+                if (done) break;
+                chunks.push(value);
+                tracker.add(value.length);
+            }
+            blob = new Blob(chunks, { type: response.headers.get("content-type") || "" });
+        } else {
+            blob = await response.blob();
+            tracker.add(blob.size);
+        }
+        tracker.done();
+
         const sizeInMB = (blob.size / 1024 / 1024).toFixed(2);
 
         log("Downloaded " + sizeInMB + " MB (" + blob.type + ")");
@@ -259,17 +761,28 @@
             log("Warning: Large file (" + sizeInMB + " MB) - this may take a moment...");
         }
 
+        await verifyDownload(blob.size, () => hashBlob(blob), expected);
+
         // Convert blob to base64 and send through JSX, as before
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
+            const onAbort = () => {
+                reader.abort();
+                reject(Utils.createAbortError("Download cancelled"));
+            };
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
             reader.onload = async () => {
+                if (signal) signal.removeEventListener("abort", onAbort);
                 try {
+                    Utils.throwIfAborted(signal);
                     const base64 = reader.result.split(",")[1];
                     log("Converted to base64, saving as " + safeName + " via JSX...");
 
                     const tempPath = await Utils.evalScript(
-                        'saveToTemp(\"' + Utils.escapeForEval(base64) + '\", \"' + Utils.escapeForEval(safeName) + '\")'
+                        'saveToTemp(\"' + Utils.escapeForEval(base64) + '\", \"' + Utils.escapeForEval(safeName) +
+                        '\", \"' + Utils.escapeForEval(options.folder) + '\")'
                     );
 
                     if (!tempPath || (typeof tempPath === "string" && tempPath.indexOf("Error") === 0)) {
@@ -278,7 +791,7 @@
                     }
 
                     log("File saved via JSX: " + tempPath);
-                    resolve(tempPath);
+                    resolve({ path: tempPath, sha256: expected.sha256 ? String(expected.sha256).toLowerCase() : null });
                 } catch (error) {
                     reject(error);
                 }
@@ -292,11 +805,106 @@
         });
     };
 
+    /**
+     * Checks that a previously downloaded file still matches its recorded size and SHA-256
+     * @param {string} filePath - Cached file
+     * @param {Object} expected - Recorded values
+     * @param {number} [expected.size] - Size in bytes
+     * @param {string|null} [expected.sha256] - SHA-256 hex digest
+     * @returns {Promise<boolean>} True if the file is intact
+     */
+    const verifyCachedFile = async (filePath, expected) => {
+        if (typeof require !== "function") return false;
+
+        let size;
+        try {
+            size = require("fs").statSync(filePath).size;
+        } catch (error) {
+            return false;
+        }
+
+        try {
+            await verifyDownload(size, () => hashFile(filePath), expected);
+            return true;
+        } catch (error) {
+            if (error instanceof Errors.CorruptFileError) {
+                log(`Cached file failed verification (${error.message}): ${filePath}`);
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Downloads a file into the cache folder so ExtendScript can import it.
+     * A download that fails its size/checksum check is deleted and fetched again.
+     * @param {string} downloadUrl - URL to download (redirects are followed)
+     * @param {string} fileName - Target file name
+     * @param {Object} [options] - Download options
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {Function} [options.onProgress] - Progress callback (downloaded, total, { bytesPerSecond, etaSeconds });
+     *   total is 0 when the size is unknown
+     * @param {AbortSignal} [options.signal] - Cancels the download; the partial file is removed
+     * @param {number} [options.expectedSize] - Size in bytes from the download payload
+     * @param {string} [options.expectedSha256] - SHA-256 hex digest from the download payload
+     * @param {string} [options.assetId] - Stores the file under cache/<assetId>/ (flat when omitted)
+     * @param {string|null} [options.version] - Adds a version sub-folder under the asset folder
+     * @returns {Promise<{path: string, sha256: string|null}>} Downloaded file (forward slashes) and the
+     *   SHA-256 of the file as saved, which differs from options.expectedSha256 when a PNG was repaired.
+     *   sha256 is null when the payload had no checksum.
+     * @throws {NetworkError} When the connection kept dropping (the `.part` file is kept so the
+     *   next download of this file resumes)
+     * @throws {CorruptFileError} When every attempt failed verification
+     */
+    const downloadFileToTemp = async (downloadUrl, fileName, options = {}) => {
+        const safeName = Utils.sanitizeFileName(fileName);
+        const tracker = createProgressTracker(options.onProgress);
+        const downloadOptions = {
+            headers: options.headers || {},
+            signal: options.signal,
+            folder: options.assetId ? getAssetCacheFolder(options.assetId, options.version) : "",
+            expected: {
+                size: Number(options.expectedSize) || 0,
+                sha256: options.expectedSha256 || null
+            }
+        };
+
+        // Prefer Node.js (enabled via --enable-nodejs in the manifest)
+        const download = typeof require === "function" ? downloadWithNode : downloadWithFetch;
+
+        let attempt = 0;
+        while (true) {
+            Utils.throwIfAborted(options.signal);
+            try {
+                return await download(downloadUrl, safeName, downloadOptions, tracker);
+            } catch (error) {
+                if (error.resumable && !(error instanceof Errors.ViewsError)) {
+                    throw new Errors.NetworkError(`Download interrupted: ${error.message}`, {
+                        cause: error,
+                        userMessage: "The download kept getting interrupted. Check your connection and try again - it will resume where it stopped."
+                    });
+                }
+                if (!(error instanceof Errors.CorruptFileError) || attempt >= INTEGRITY_RETRIES) {
+                    throw error;
+                }
+                attempt++;
+                log(`${error.message} - downloading again (attempt ${attempt}/${INTEGRITY_RETRIES})...`);
+            }
+        }
+    };
+
     global.Views.FileSystem = {
         downloadFileToTemp,
+        verifyCachedFile,
+        getDataFolderPath,
         getCacheFolderPath,
+        getAssetCacheFolder,
         cacheExists,
-        checkAndNotifyCacheCreation
+        checkAndNotifyCacheCreation,
+        chooseSaveFile,
+        chooseOpenFile,
+        writeTextFile,
+        readTextFile
     };
 
 })(window);
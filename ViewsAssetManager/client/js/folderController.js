@@ -14,19 +14,82 @@
 
     const log = Utils.log;
 
+    /** Prefix of the folder IDs standing for user collections */
+    const COLLECTION_PREFIX = "collection:";
+
+    /**
+     * Gets the folder ID a collection is selected by
+     * @param {string} collectionId - Collection ID
+     * @returns {string} Virtual folder ID
+     */
+    const getCollectionFolderId = (collectionId) => `${COLLECTION_PREFIX}${collectionId}`;
+
+    /**
+     * Gets the collection a folder ID stands for
+     * @param {string} folderId - Folder ID
+     * @returns {string|null} Collection ID, or null for other folders
+     */
+    const getCollectionId = (folderId) => {
+        const id = String(folderId || "");
+        return id.startsWith(COLLECTION_PREFIX) ? id.slice(COLLECTION_PREFIX.length) : null;
+    };
+
+    /**
+     * Checks whether a folder ID is a virtual folder (All Assets, Favorites, Recent or a collection)
+     * rather than a folder from the API
+     * @param {string} folderId - Folder ID
+     * @returns {boolean} True if virtual
+     */
+    const isVirtualFolder = (folderId) => {
+        const id = String(folderId || "");
+        return id === "all" || id === "favorites" || id === "recent" || getCollectionId(id) !== null;
+    };
+
+    /**
+     * Stores folders in state and builds the lookup map
+     * @param {Array} folders - Array of folder objects
+     */
+    const setFolders = (folders) => {
+        const state = State.getState();
+        state.folders = folders;
+
+        state.folderMap = {};
+        folders.forEach(folder => {
+            state.folderMap[folder.id] = folder;
+        });
+    };
+
+    /**
+     * Checks whether two folder lists differ
+     * @param {Array} previous - Previous folder list
+     * @param {Array} next - New folder list
+     * @returns {boolean} True if the folder lists differ
+     */
+    const haveFoldersChanged = (previous, next) => {
+        return JSON.stringify(previous || []) !== JSON.stringify(next || []);
+    };
+
     /**
      * Loads folders from API and builds lookup map.
      * Uses preloaded data if available.
-     * @returns {Promise<Array>} Array of folder objects
+     * @param {Object} [options] - Load options
+     * @param {Function} [options.isCurrent] - Returns false once the folders are no longer wanted
+     *   (e.g. the profile changed while they loaded); they are then dropped without touching state
+     * @returns {Promise<Array|null>} Array of folder objects, or null if the load went stale
      */
-    const loadFolders = async () => {
+    const loadFolders = async (options = {}) => {
         const state = State.getState();
+        const isCurrent = options.isCurrent || (() => true);
         let folders;
 
         if (state.preloadFoldersPromise) {
             log("Using preloaded folders...");
-            folders = await state.preloadFoldersPromise;
-            state.preloadFoldersPromise = null;
+            const preload = state.preloadFoldersPromise;
+            folders = await preload;
+            if (!isCurrent()) return null;
+            if (state.preloadFoldersPromise === preload) {
+                state.preloadFoldersPromise = null;
+            }
 
             if (!folders) {
                 log("Preloaded folders unavailable, fetching fresh...");
@@ -36,12 +99,18 @@
             folders = await API.fetchFolders();
         }
 
-        state.folders = folders;
+        if (!isCurrent()) {
+            log("Dropped folders from a stale load.");
+            return null;
+        }
 
-        state.folderMap = {};
-        folders.forEach(folder => {
-            state.folderMap[folder.id] = folder;
-        });
+        // fetchFolders returns [] on failure - keep the persisted folders rather than wiping the sidebar
+        if (folders.length === 0 && state.folders.length > 0) {
+            log("No folders returned, keeping previously loaded folders.");
+            return state.folders;
+        }
+
+        setFolders(folders);
 
         log(`Loaded ${folders.length} folders into state.`);
         return folders;
@@ -66,9 +135,35 @@
         return path;
     };
 
+    /**
+     * Collects a folder and all folders below it
+     * @param {string} folderId - Top folder ID
+     * @returns {Set<string>} IDs of the folder and its descendants
+     */
+    const getDescendantIds = (folderId) => {
+        const state = State.getState();
+        const childrenMap = {};
+        state.folders.forEach(folder => {
+            if (folder.parentId) {
+                const parentId = String(folder.parentId);
+                (childrenMap[parentId] = childrenMap[parentId] || []).push(String(folder.id));
+            }
+        });
+
+        const ids = new Set();
+        const pending = [String(folderId)];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (ids.has(id)) continue;
+            ids.add(id);
+            (childrenMap[id] || []).forEach(childId => pending.push(childId));
+        }
+        return ids;
+    };
+
     /**
      * Selects a folder and triggers asset view update
-     * @param {string} folderId - Folder ID to select ("all", "favorites", or folder UUID)
+     * @param {string} folderId - Folder ID to select ("all", "favorites", "recent", a collection, or folder UUID)
      * @param {Object} callbacks - Event callbacks for asset rendering
      * @param {Function} updateAssetViewFn - Function to update asset view
      */
@@ -97,7 +192,7 @@
         state.searchQuery = "";
         UI.clearSearch();
 
-        if (targetId === "all" || targetId === "favorites") {
+        if (isVirtualFolder(targetId)) {
             state.currentFolderPath = [];
             UI.hideBreadcrumbs();
         } else {
@@ -112,8 +207,14 @@
     };
 
     global.Views.FolderController = {
+        getCollectionFolderId,
+        getCollectionId,
+        isVirtualFolder,
+        setFolders,
+        haveFoldersChanged,
         loadFolders,
         buildFolderPath,
+        getDescendantIds,
         selectFolder
     };
 
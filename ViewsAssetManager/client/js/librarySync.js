@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Library Sync
+ * Keeps favorites and collections in step across devices. Changes are saved locally
+ * first and queued by Preferences; this module sends the queue to the server shortly
+ * after a change, after every catalog sync and when the panel comes back online, and
+ * applies what other devices changed (the most recent change per item wins).
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const API = global.Views.API;
+    const State = global.Views.State;
+    const Preferences = global.Views.Preferences;
+    const Profiles = global.Views.Profiles;
+    const Connectivity = global.Views.Connectivity;
+    const SyncEngine = global.Views.SyncEngine;
+
+    const log = Utils.log;
+
+    /** Wait after a local change before sending it, so bursts go out together */
+    const PUSH_DELAY_MS = 2000;
+
+    /** Cleared once the server turns out not to support library sync, until reset */
+    let supported = true;
+
+    /** Pending push timer */
+    let pushTimer = null;
+
+    /** Sync in progress, and whether another is needed after it */
+    let currentSync = null;
+    let syncAgain = false;
+
+    /** @type {{onRemoteChanges: Function}|null} */
+    let callbacks = null;
+
+    /**
+     * Checks whether a sync can reach the server now
+     * @returns {boolean} True if it can
+     */
+    const canSync = () => supported && !!State.get("apiKey") && !Connectivity.isOffline();
+
+    /**
+     * Sends queued changes and applies the server's
+     * @returns {Promise<void>}
+     */
+    const run = async () => {
+        const profileId = Profiles.getActiveId();
+        const cursor = Preferences.getLibraryCursor();
+        if (!cursor) {
+            Preferences.seedLibraryChanges();
+        }
+        const changes = Preferences.getPendingLibraryChanges();
+
+        try {
+            const result = await API.syncLibrary({ since: cursor, changes });
+            if (!result.supported) {
+                supported = false;
+                return;
+            }
+            // The answer belongs to the profile that asked
+            if (Profiles.getActiveId() !== profileId) return;
+
+            Preferences.acknowledgeLibraryChanges(changes);
+            const applied = Preferences.applyRemoteLibraryChanges(result.changes);
+            if (result.cursor) {
+                Preferences.setLibraryCursor(result.cursor);
+            }
+            if (applied > 0) {
+                log(`Applied ${applied} favorite/collection change(s) from other devices.`);
+                if (callbacks) callbacks.onRemoteChanges();
+            }
+        } catch (error) {
+            // Changes stay queued and go out with the next sync
+            console.error("Library sync failed:", error);
+        }
+    };
+
+    /**
+     * Syncs favorites and collections now. Calls made during a sync run once more after it.
+     * @returns {Promise<void>}
+     */
+    const sync = () => {
+        clearTimeout(pushTimer);
+        pushTimer = null;
+
+        if (currentSync) {
+            syncAgain = true;
+            return currentSync;
+        }
+        if (!canSync()) return Promise.resolve();
+
+        currentSync = run().finally(() => {
+            currentSync = null;
+            if (syncAgain) {
+                syncAgain = false;
+                sync();
+            }
+        });
+        return currentSync;
+    };
+
+    /**
+     * Sends local changes shortly, unless more follow
+     */
+    const schedule = () => {
+        if (!canSync()) return;
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(sync, PUSH_DELAY_MS);
+    };
+
+    /**
+     * Forgets that the server lacked library sync and drops a pending push, so the next
+     * sync asks again. Called when the endpoint or the profile changes.
+     */
+    const reset = () => {
+        supported = true;
+        clearTimeout(pushTimer);
+        pushTimer = null;
+    };
+
+    /**
+     * Starts syncing on local changes, finished catalog syncs and reconnects
+     * @param {{onRemoteChanges: Function}} handlers - Called after changes from other devices
+     *   were applied, to refresh the sidebar and grid
+     */
+    const init = (handlers) => {
+        callbacks = handlers;
+        Preferences.subscribeLibraryChanges(schedule);
+        SyncEngine.subscribe((event) => {
+            if (event.result && event.result.state !== SyncEngine.STATES.FAILED) {
+                sync();
+            }
+        });
+        Connectivity.subscribe((event) => {
+            if (event.reconnected) sync();
+        });
+    };
+
+    global.Views.LibrarySync = {
+        init,
+        sync,
+        reset
+    };
+
+})(window);
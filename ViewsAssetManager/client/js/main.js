@@ -7,31 +7,105 @@
  */
 (function() {
     const Utils = Views.Utils;
+    const Errors = Views.Errors;
     const API = Views.API;
     const UI = Views.UI;
     const State = Views.State;
     const AssetController = Views.AssetController;
     const FolderController = Views.FolderController;
+    const DeviceController = Views.DeviceController;
+    const CollectionController = Views.CollectionController;
+    const BackupController = Views.BackupController;
     const FS = Views.FileSystem;
+    const CatalogStore = Views.CatalogStore;
+    const SyncEngine = Views.SyncEngine;
+    const LibrarySync = Views.LibrarySync;
+    const CacheIndex = Views.CacheIndex;
+    const Search = Views.Search;
+    const Connectivity = Views.Connectivity;
+    const Network = Views.Network;
+    const Profiles = Views.Profiles;
 
     const log = Utils.log;
 
     const Preferences = Views.Preferences;
 
+    /** Set while the API key modal is adding a profile rather than setting the active one's key */
+    let addingProfile = false;
+
+    /** Incremented on every profile switch so a slower, older switch stops touching the UI */
+    let profileLoadId = 0;
+
+    /**
+     * Creates a check that fails once another profile has been loaded since
+     * @returns {Function} Returns true while the profile loaded at creation is still active
+     */
+    const createProfileLoadGuard = () => {
+        const loadId = profileLoadId;
+        return () => loadId === profileLoadId;
+    };
+
+    /** Timer that disarms the delete profile button */
+    let deleteProfileTimer = null;
+
     /**
      * Creates asset rendering callbacks object
      * @returns {Object} Callbacks for asset rendering
      */
     const getAssetCallbacks = () => ({
-        onImport: AssetController.handleAssetDownload,
+        onImport: importAsset,
         onPreview: AssetController.handleAssetPreview,
         onSelect: AssetController.handleAssetSelect,
         onFavorite: (asset, isFavorited) => {
             AssetController.handleFavoriteToggle(asset, isFavorited, getAssetCallbacks());
         },
-        getSelectedIds: AssetController.getSelectedIds
+        getSelectedIds: AssetController.getSelectedIds,
+        isCached: CacheIndex.isCached,
+        getHighlightRanges: (text) => Search.getHighlightRanges(text, State.getState().searchQuery),
+        onRedownload: (asset, button) => {
+            importAsset(asset, button, { forceDownload: true });
+        }
     });
 
+    /**
+     * Brings views built from the import history up to date after an import: the Recent
+     * count always, and the grid when showing Recent or only this project's assets
+     * @returns {Promise<void>}
+     */
+    const refreshImportViews = async () => {
+        const state = State.getState();
+        if (state.isWelcome || (state.selectedFolderId !== "recent" && !state.projectFilterEnabled)) {
+            AssetController.updateFolderCounts();
+            return;
+        }
+        if (state.projectFilterEnabled) {
+            // The project may have been saved (and so got a path) since the last check
+            await AssetController.refreshProjectPath();
+        }
+        AssetController.updateAssetView(getAssetCallbacks(), { keepStatus: true });
+    };
+
+    /**
+     * Imports an asset into the active composition
+     * @param {Object} asset - Asset to import
+     * @param {HTMLElement} button - Button that started the import
+     * @param {Object} [options] - Import options (see AssetController.handleAssetDownload)
+     * @returns {Promise<void>}
+     */
+    const importAsset = async (asset, button, options) => {
+        await AssetController.handleAssetDownload(asset, button, options);
+        await refreshImportViews();
+    };
+
+    /**
+     * Imports the selected assets into the active composition
+     * @returns {Promise<void>}
+     */
+    const importSelected = async () => {
+        await AssetController.handleImportSelected();
+        await refreshImportViews();
+    };
+
     /**
      * Wrapper for selectFolder that provides callbacks
      * @param {string} folderId - Folder ID to select
@@ -49,12 +123,22 @@
         const state = State.getState();
 
         const apiKey = UI.elements.apiKeyInput.value.trim();
+        const profileName = addingProfile ? Profiles.normalizeName(UI.elements.profileNameInput.value) : "";
 
+        if (addingProfile && !profileName) {
+            UI.showApiKeyError("Please enter a profile name");
+            return;
+        }
+        if (addingProfile && Profiles.isNameTaken(profileName)) {
+            UI.showApiKeyError(`A profile named "${profileName}" already exists`);
+            return;
+        }
         if (!apiKey) {
             UI.showApiKeyError("Please enter an API key");
             return;
         }
 
+        const submitLabel = UI.elements.saveApiKeyButton.textContent;
         UI.elements.saveApiKeyButton.disabled = true;
         UI.elements.saveApiKeyButton.textContent = "Validating...";
         UI.elements.apiKeyError.classList.add("form-error--hidden");
@@ -63,6 +147,11 @@
             log("Validating API key...");
             await API.validateApiKey(apiKey);
 
+            if (addingProfile) {
+                await addProfile(profileName, apiKey);
+                return;
+            }
+
             const success = API.storeApiKey(apiKey);
             if (!success) {
                 throw new Error("Failed to store API key");
@@ -85,6 +174,9 @@
                 FS.checkAndNotifyCacheCreation();
             } else {
                 UI.setStatus("API key updated successfully!", "success");
+                // The running sync and persisted catalog belong to the previous key
+                SyncEngine.cancel();
+                CatalogStore.clear();
                 State.clearCache();
                 State.clearPreloadPromises();
                 AssetController.startBackgroundPreload();
@@ -96,10 +188,567 @@
             }
         } catch (error) {
             console.error("API key validation failed:", error);
-            UI.showApiKeyError(error.message || "Failed to validate API key");
+            UI.showApiKeyError(Errors.getUserMessage(error, "Failed to validate API key"), {
+                manageDevices: error instanceof Errors.DeviceLimitError
+            });
         } finally {
             UI.elements.saveApiKeyButton.disabled = false;
-            UI.elements.saveApiKeyButton.textContent = "Save Key";
+            UI.elements.saveApiKeyButton.textContent = submitLabel;
+        }
+    };
+
+    /**
+     * Shows the active profile in the header switcher
+     */
+    const refreshProfileSwitcher = () => {
+        UI.ProfileSwitcher.render(Profiles.getProfiles(), Profiles.getActiveId());
+    };
+
+    /**
+     * Loads the active profile's saved catalog into State
+     * @returns {Object|null} Persisted catalog, or null if there is none
+     */
+    const hydratePersistedCatalog = () => {
+        const persisted = CatalogStore.load();
+        if (persisted) {
+            FolderController.setFolders(persisted.folders);
+            State.set("syncCursor", persisted.syncCursor);
+            State.set("syncEtag", persisted.syncEtag);
+            State.set("catalogIncomplete", !persisted.complete);
+            AssetController.hydrateAssets(persisted.assets);
+        }
+        return persisted;
+    };
+
+    /**
+     * Stops syncing and forgets the catalog in memory, before another profile's is loaded
+     */
+    const resetSession = () => {
+        const state = State.getState();
+
+        SyncEngine.cancel();
+        LibrarySync.reset();
+        State.clearPreloadPromises();
+        State.clearCache();
+        AssetController.clearSelection();
+        if (UI.isPreviewOpen()) {
+            UI.hidePreview();
+        }
+
+        state.allAssets = [];
+        state.displayedAssets = [];
+        state.selectedFolderId = null;
+        state.isWelcome = true;
+        State.set("syncCursor", null);
+        State.set("syncEtag", null);
+        State.set("catalogIncomplete", false);
+        FolderController.setFolders([]);
+    };
+
+    /**
+     * Opens the folder the active profile was last in, or the welcome screen
+     */
+    const openLastFolder = () => {
+        const state = State.getState();
+        const lastFolder = Preferences.getLastFolder();
+        const collectionId = FolderController.getCollectionId(lastFolder);
+        if (["all", "favorites", "recent"].includes(lastFolder) || (lastFolder && state.folderMap[lastFolder]) ||
+            (collectionId && Preferences.getCollection(collectionId))) {
+            selectFolder(lastFolder);
+        } else {
+            UI.renderWelcomeScreen();
+        }
+    };
+
+    /**
+     * Loads the active profile: its API key, saved catalog and last folder.
+     * A profile without a stored key asks for one.
+     */
+    const activateProfile = async () => {
+        const state = State.getState();
+        profileLoadId++;
+        const isCurrentLoad = createProfileLoadGuard();
+        const profile = Profiles.getActiveProfile();
+        refreshProfileSwitcher();
+
+        const storedKey = API.getStoredApiKey() || "";
+        API.setApiKey(storedKey);
+        state.apiKey = storedKey;
+        state.isFirstRun = !storedKey;
+
+        if (!storedKey) {
+            UI.hideFeedbackButton();
+            UI.renderFolders([], selectFolder);
+            UI.renderWelcomeScreen();
+            UI.showApiKeyModal(Profiles.getProfiles().length === 1);
+            UI.setStatus(`Enter the API key for ${profile.name}.`, "info");
+            return;
+        }
+
+        UI.showFeedbackButton();
+        const persisted = hydratePersistedCatalog();
+        AssetController.startBackgroundPreload();
+
+        if (persisted) {
+            UI.renderFolders(persisted.folders, selectFolder);
+            AssetController.updateFolderCounts();
+            openLastFolder();
+            revalidateCatalog();
+            return;
+        }
+
+        const folders = await FolderController.loadFolders({ isCurrent: isCurrentLoad });
+        if (!folders) return;
+        UI.renderFolders(folders, selectFolder);
+        UI.renderWelcomeScreen();
+        AssetController.syncAssets(getAssetCallbacks(), true);
+    };
+
+    /**
+     * Switches to another profile without restarting the panel
+     * @param {string} profileId - Profile to switch to
+     */
+    const switchProfile = async (profileId) => {
+        if (profileId === Profiles.getActiveId()) return;
+
+        resetSession();
+        Profiles.setActive(profileId);
+        const profile = Profiles.getActiveProfile();
+        log(`Switching to profile "${profile.name}".`);
+
+        try {
+            await activateProfile();
+            if (State.get("apiKey") && Profiles.getActiveId() === profileId) {
+                UI.setStatus(`Switched to ${profile.name}.`, "success");
+            }
+        } catch (error) {
+            console.error("Profile switch failed:", error);
+            UI.showError(error, { context: `Failed to load ${profile.name}` });
+        }
+    };
+
+    /**
+     * Creates a profile for a validated API key and switches to it. If the key can't be
+     * stored the profile is removed again and the current one stays loaded.
+     * @param {string} name - Profile name
+     * @param {string} apiKey - Validated API key
+     * @throws {Error} If the API key can't be stored
+     */
+    const addProfile = async (name, apiKey) => {
+        const previousId = Profiles.getActiveId();
+        const profile = Profiles.create(name);
+
+        // The key is stored under the active profile, so switch first and undo on failure
+        Profiles.setActive(profile.id);
+        if (!API.storeApiKey(apiKey)) {
+            Profiles.remove(profile.id);
+            Profiles.setActive(previousId);
+            API.setApiKey(State.get("apiKey"));
+            throw new Error("Failed to store API key");
+        }
+
+        resetSession();
+        addingProfile = false;
+        UI.hideApiKeyModal();
+        await activateProfile();
+        UI.setStatus(`Profile "${profile.name}" added.`, "success");
+    };
+
+    /**
+     * Opens the API key modal to add a profile
+     */
+    const handleAddProfile = () => {
+        addingProfile = true;
+        UI.SettingsModal.hide();
+        UI.showApiKeyModal(false, { newProfile: true });
+    };
+
+    /**
+     * Closes the API key modal unless it is required (no key yet and nowhere else to go)
+     */
+    const cancelApiKeyModal = () => {
+        if (UI.elements.cancelApiKeyButton.style.display === "none") return;
+        addingProfile = false;
+        UI.hideApiKeyModal();
+    };
+
+    /**
+     * Renames the active profile from the settings form
+     * @param {Event} event - Form submit event
+     */
+    const handleProfileRename = (event) => {
+        event.preventDefault();
+        const profile = Profiles.getActiveProfile();
+        const name = Profiles.normalizeName(UI.elements.settingsProfileName.value);
+
+        if (!name) {
+            UI.SettingsModal.showProfileError("Please enter a profile name.");
+            return;
+        }
+        if (Profiles.isNameTaken(name, profile.id)) {
+            UI.SettingsModal.showProfileError(`A profile named "${name}" already exists.`);
+            return;
+        }
+
+        Profiles.rename(profile.id, name);
+        UI.SettingsModal.setProfile({ name, canDelete: Profiles.getProfiles().length > 1 });
+        refreshProfileSwitcher();
+        UI.setStatus(`Profile renamed to ${name}.`, "success");
+    };
+
+    /**
+     * Deletes the active profile with its key, favorites and saved catalog, then switches
+     * to the next one. The first click only arms the button.
+     */
+    const handleDeleteProfile = async () => {
+        const button = UI.elements.settingsDeleteProfileButton;
+        const profile = Profiles.getActiveProfile();
+        if (Profiles.getProfiles().length <= 1) return;
+
+        if (!deleteProfileTimer) {
+            button.textContent = "Click again to delete";
+            deleteProfileTimer = setTimeout(() => {
+                deleteProfileTimer = null;
+                button.textContent = "Delete profile";
+            }, 4000);
+            return;
+        }
+        clearTimeout(deleteProfileTimer);
+        deleteProfileTimer = null;
+        button.textContent = "Delete profile";
+
+        log(`Deleting profile "${profile.name}".`);
+        resetSession();
+        API.removeApiKey();
+        CatalogStore.clear();
+        Preferences.clearProfileData();
+        Profiles.remove(profile.id);
+
+        UI.SettingsModal.hide();
+        try {
+            await activateProfile();
+            UI.setStatus(`Deleted profile "${profile.name}".`, "success");
+        } catch (error) {
+            console.error("Profile switch failed:", error);
+            UI.showError(error, { context: "Failed to load the next profile" });
+        }
+    };
+
+    /**
+     * Revalidates a catalog rendered from disk: refreshes folders, then applies
+     * asset differences in the background without a full re-render.
+     * Stops if another profile is loaded meanwhile.
+     */
+    const revalidateCatalog = async () => {
+        const state = State.getState();
+        const previousFolders = state.folders;
+
+        const folders = await FolderController.loadFolders({ isCurrent: createProfileLoadGuard() });
+        if (!folders) return;
+        if (FolderController.haveFoldersChanged(previousFolders, folders)) {
+            log("Revalidation: folder list changed, re-rendering sidebar.");
+            UI.renderFolders(folders, selectFolder);
+            if (state.selectedFolderId) {
+                UI.setActiveFolder(state.selectedFolderId);
+            }
+        }
+
+        await AssetController.syncAssets(getAssetCallbacks(), false, { revalidate: true });
+    };
+
+    /**
+     * Connectivity listener - switches the grid into offline mode and catches up
+     * on changes once the API is reachable again
+     * @param {Object} event - Connectivity event
+     */
+    const handleConnectivityChange = async (event) => {
+        const state = State.getState();
+        UI.setOfflineMode(event.offline, event.manual);
+
+        if (event.offline) {
+            UI.setStatus(event.manual
+                ? "Working offline. Only cached assets can be imported."
+                : "Can't reach the Views server. Showing the last synced catalog; only cached assets can be imported.",
+                "info", false);
+            return;
+        }
+
+        if (!event.reconnected || !state.apiKey || state.isFirstRun) return;
+
+        UI.showReconnected();
+        UI.setStatus("Back online. Checking for changes...", "info");
+
+        const previousFolders = state.folders;
+        const folders = await FolderController.loadFolders({ isCurrent: createProfileLoadGuard() });
+        if (!folders) return;
+        if (FolderController.haveFoldersChanged(previousFolders, folders)) {
+            UI.renderFolders(folders, selectFolder);
+            if (state.selectedFolderId) {
+                UI.setActiveFolder(state.selectedFolderId);
+            }
+        }
+        await AssetController.syncAssetChanges(getAssetCallbacks());
+    };
+
+    /**
+     * Handles a click on the offline indicator: leaves manual offline mode, or
+     * checks the connection right away
+     */
+    const handleConnectionIndicatorClick = async () => {
+        if (!Connectivity.isOffline()) return;
+        if (Connectivity.isManualOffline()) {
+            Connectivity.setManualOffline(false);
+            return;
+        }
+        UI.setStatus("Checking connection...", "info");
+        const reachable = await Connectivity.probe();
+        if (!reachable) {
+            UI.setStatus("Still can't reach the Views server. Retrying in the background.", "error");
+        }
+    };
+
+    /**
+     * Refreshes the cache section of the settings modal
+     */
+    const refreshSettingsCacheInfo = () => {
+        UI.SettingsModal.setCacheInfo({
+            path: FS.getCacheFolderPath(),
+            usedBytes: CacheIndex.getTotalSize(),
+            fileCount: CacheIndex.getCount(),
+            maxBytes: Preferences.getCacheMaxBytes()
+        });
+    };
+
+    /**
+     * Opens the settings modal
+     */
+    const openSettings = () => {
+        log("Settings opened.");
+        refreshSettingsCacheInfo();
+        UI.SettingsModal.setProfile({
+            name: Profiles.getActiveProfile().name,
+            canDelete: Profiles.getProfiles().length > 1
+        });
+        UI.SettingsModal.setNetworkSettings({
+            apiBaseUrl: Preferences.getApiBaseUrl(),
+            proxy: Preferences.getProxySettings()
+        });
+        UI.SettingsModal.show();
+    };
+
+    /**
+     * Validates and saves the API endpoint and proxy settings
+     * @param {Event} event - Form submit event
+     */
+    const handleNetworkSettingsSubmit = async (event) => {
+        event.preventDefault();
+        const { apiBaseUrl, proxy } = UI.SettingsModal.getNetworkSettings();
+
+        if (apiBaseUrl && !Network.isValidHttpUrl(apiBaseUrl)) {
+            UI.SettingsModal.showNetworkError("The API endpoint must be a full http:// or https:// URL.");
+            return;
+        }
+        if (proxy.url && !Network.isValidHttpUrl(proxy.url)) {
+            UI.SettingsModal.showNetworkError("The proxy must be a full http:// or https:// URL, e.g. http://proxy:8080.");
+            return;
+        }
+        if (proxy.password && !proxy.username) {
+            UI.SettingsModal.showNetworkError("Enter the proxy username to go with the password.");
+            return;
+        }
+        UI.SettingsModal.showNetworkError("");
+
+        const endpointChanged = apiBaseUrl !== Preferences.getApiBaseUrl();
+        Preferences.setApiBaseUrl(apiBaseUrl);
+        if (!Preferences.setProxySettings(proxy.url ? proxy : { url: "", username: "", password: "" })) {
+            UI.SettingsModal.showNetworkError("The proxy password couldn't be stored securely, so it wasn't saved.");
+        }
+        log(`Network settings saved (endpoint: ${Network.getApiBaseUrl()}, proxy: ${proxy.url ? "on" : "off"}).`);
+
+        if (endpointChanged) {
+            // A different endpoint may serve a different catalog; the saved cursor doesn't apply to it
+            SyncEngine.cancel();
+            LibrarySync.reset();
+            State.set("syncCursor", null);
+            State.set("syncEtag", null);
+        }
+
+        if (Connectivity.isManualOffline()) {
+            UI.setStatus("Network settings saved. They apply when you go back online.", "success");
+            return;
+        }
+
+        UI.setStatus("Network settings saved. Checking connection...", "info");
+        const reachable = await Connectivity.probe();
+        UI.setStatus(reachable
+            ? "Network settings saved. Connected to the Views server."
+            : "Network settings saved, but the Views server can't be reached with them.",
+            reachable ? "success" : "error");
+    };
+
+    /**
+     * Saves a new cache size limit and evicts down to it
+     */
+    const handleCacheLimitChange = async () => {
+        const maxBytes = Number(UI.elements.settingsCacheLimit.value);
+        Preferences.setCacheMaxBytes(maxBytes);
+        log("Cache limit set to", maxBytes > 0 ? Utils.formatBytes(maxBytes) : "unlimited");
+
+        const evicted = await CacheIndex.enforceLimit();
+        evicted.forEach(assetId => UI.setAssetCardCached(assetId, false));
+        if (evicted.length > 0) {
+            UI.setStatus(`Removed ${evicted.length} least recently used cached files.`, "info");
+        }
+        refreshSettingsCacheInfo();
+    };
+
+    /**
+     * Deletes every cached file not used by the open project
+     */
+    const handleClearCache = async () => {
+        const button = UI.elements.settingsClearCacheButton;
+        button.disabled = true;
+        try {
+            const evicted = await CacheIndex.evictToSize(0);
+            evicted.forEach(assetId => UI.setAssetCardCached(assetId, false));
+            const kept = CacheIndex.getCount();
+            UI.setStatus(kept > 0
+                ? `Cleared ${evicted.length} cached files. ${kept} still used by the open project were kept.`
+                : `Cleared ${evicted.length} cached files.`, "success");
+        } catch (error) {
+            console.error("Failed to clear cache:", error);
+            UI.setStatus("Failed to clear the cache.", "error");
+        } finally {
+            button.disabled = false;
+            refreshSettingsCacheInfo();
+        }
+    };
+
+    /**
+     * Re-renders the current view after favorites or collections changed outside of it.
+     * Leaves a collection that no longer exists for All Assets.
+     */
+    const refreshLibraryView = () => {
+        const state = State.getState();
+        if (state.isWelcome) return;
+        const collectionId = FolderController.getCollectionId(state.selectedFolderId);
+        if (collectionId && !Preferences.getCollection(collectionId)) {
+            selectFolder("all");
+            return;
+        }
+        AssetController.updateAssetView(getAssetCallbacks());
+    };
+
+    /**
+     * Shows imported preferences: a replace goes to the file's last folder, a merge
+     * re-renders the current view with the added favorites and collections
+     * @param {string} mode - "merge" or "replace"
+     */
+    const handleBackupImported = (mode) => {
+        if (mode === "replace") {
+            openLastFolder();
+        } else {
+            refreshLibraryView();
+        }
+    };
+
+    /**
+     * Shows favorites and collections changed on another device
+     */
+    const handleRemoteLibraryChanges = () => {
+        CollectionController.refresh();
+        refreshLibraryView();
+    };
+
+    /**
+     * Signs out of the active profile: deletes its stored API key and everything fetched
+     * with it, then asks for a key again
+     */
+    const handleSignOut = () => {
+        const state = State.getState();
+        log("Signing out.");
+
+        resetSession();
+        API.removeApiKey();
+        CatalogStore.clear();
+        state.apiKey = "";
+        state.isFirstRun = true;
+
+        UI.SettingsModal.hide();
+        UI.hideFeedbackButton();
+        UI.renderFolders([], selectFolder);
+        UI.renderWelcomeScreen();
+        // Other profiles stay signed in and can still be switched to
+        UI.showApiKeyModal(Profiles.getProfiles().length === 1);
+        UI.setStatus("Signed out. Your API key was removed from this computer.", "success");
+    };
+
+    /**
+     * Called once a key was moved to this device from the device modal
+     * @param {string|null} apiKey - The key typed into the API key form, or null for the stored key
+     */
+    const handleKeyTransferred = (apiKey) => {
+        if (apiKey) {
+            UI.elements.apiKeyError.classList.add("form-error--hidden");
+            UI.elements.apiKeyDevicesRow.classList.add("hidden");
+            UI.setStatus(`Key moved to this device. Click ${UI.elements.saveApiKeyButton.textContent} to finish.`, "success");
+            return;
+        }
+        UI.setStatus("Your API key is now registered to this device.", "success");
+    };
+
+    /**
+     * Saves the sort order chosen for the current folder and re-sorts the grid
+     */
+    const handleSortChange = () => {
+        const state = State.getState();
+        const order = UI.elements.sortSelect.value;
+        if (state.isWelcome) return;
+        Preferences.setSortOrder(state.selectedFolderId, order);
+        state.visibleCount = 20;
+        AssetController.updateAssetView(getAssetCallbacks());
+        log(`Sort order for ${state.selectedFolderId}: ${order}`);
+    };
+
+    /**
+     * Shows or hides subfolder assets in folder views
+     */
+    const handleIncludeSubfoldersChange = () => {
+        const state = State.getState();
+        const enabled = UI.elements.includeSubfoldersToggle.checked;
+        Preferences.setIncludeSubfolders(enabled);
+        state.visibleCount = 20;
+        AssetController.updateAssetView(getAssetCallbacks());
+        log(`Include subfolders: ${enabled}`);
+    };
+
+    /**
+     * Shows only the assets imported into the open project, or all of them again
+     * @returns {Promise<void>}
+     */
+    const handleProjectFilterChange = async () => {
+        const state = State.getState();
+        const enabled = UI.elements.projectFilterToggle.checked;
+        state.projectFilterEnabled = enabled;
+        if (enabled) {
+            await AssetController.refreshProjectPath();
+        }
+        state.visibleCount = 20;
+        AssetController.updateAssetView(getAssetCallbacks());
+        log(`Project filter: ${enabled}`);
+    };
+
+    /**
+     * Follows a switch to another After Effects project while the panel was in the background
+     * @returns {Promise<void>}
+     */
+    const handleWindowFocus = async () => {
+        const state = State.getState();
+        if (!state.projectFilterEnabled) return;
+        const changed = await AssetController.refreshProjectPath();
+        if (changed && !state.isWelcome) {
+            state.visibleCount = 20;
+            AssetController.updateAssetView(getAssetCallbacks());
         }
     };
 
@@ -305,8 +954,28 @@
     const bindEvents = () => {
         const state = State.getState();
 
-        UI.elements.refreshButton.addEventListener("click", async () => {
-            log("Manual refresh requested.");
+        SyncEngine.subscribe(event => UI.SyncModal.handleSyncEvent(event));
+        SyncEngine.subscribe(AssetController.handleSyncEvent);
+        Connectivity.subscribe(handleConnectivityChange);
+
+        if (UI.elements.connectionIndicator) {
+            UI.elements.connectionIndicator.addEventListener("click", handleConnectionIndicatorClick);
+        }
+
+        if (UI.elements.syncCancelButton) {
+            UI.elements.syncCancelButton.addEventListener("click", () => {
+                log("Sync cancelled by user.");
+                SyncEngine.cancel();
+                UI.SyncModal.hide();
+                UI.setStatus("Sync cancelled. Press Refresh to try again.", "info");
+            });
+        }
+
+        UI.elements.refreshButton.addEventListener("click", async (event) => {
+            // Shift+click forces a full re-download of the catalog
+            const fullResync = event.shiftKey;
+            log(`Manual refresh requested (${fullResync ? "full" : "delta"}).`);
+            SyncEngine.cancel();
             State.clearCache();
             State.clearPreloadPromises();
             handleClearSearch();
@@ -319,13 +988,70 @@
 
             const folders = await FolderController.loadFolders();
             UI.renderFolders(folders, selectFolder);
-            await AssetController.syncAssets(getAssetCallbacks());
+            if (state.selectedFolderId && !state.isWelcome) {
+                UI.setActiveFolder(state.selectedFolderId);
+            }
+
+            if (fullResync) {
+                await AssetController.syncAssets(getAssetCallbacks());
+            } else {
+                await AssetController.syncAssetChanges(getAssetCallbacks());
+            }
+        });
+
+        UI.elements.settingsButton.addEventListener("click", openSettings);
+
+        UI.setRecoveryHandlers({
+            [Errors.RECOVERY.API_KEY]: () => UI.showApiKeyModal(false),
+            [Errors.RECOVERY.NETWORK_SETTINGS]: openSettings,
+            [Errors.RECOVERY.GO_ONLINE]: () => Connectivity.setManualOffline(false),
+            [Errors.RECOVERY.MANAGE_DEVICES]: () => DeviceController.open()
         });
 
-        UI.elements.settingsButton.addEventListener("click", () => {
-            log("Settings opened.");
-            UI.showApiKeyModal(false);
+        DeviceController.init({
+            onReleasedThisDevice: () => {
+                handleSignOut();
+                UI.setStatus("This device was released and your API key removed from it.", "success");
+            },
+            onTransferred: handleKeyTransferred
         });
+        CollectionController.init({ selectFolder, getAssetCallbacks });
+        BackupController.init({ onImported: handleBackupImported });
+        LibrarySync.init({ onRemoteChanges: handleRemoteLibraryChanges });
+
+        if (UI.elements.apiKeyManageDevicesButton) {
+            UI.elements.apiKeyManageDevicesButton.addEventListener("click", () => {
+                DeviceController.open({ apiKey: UI.elements.apiKeyInput.value.trim() });
+            });
+        }
+
+        if (UI.SettingsModal) {
+            UI.SettingsModal.init();
+            UI.elements.settingsApiKeyButton.addEventListener("click", () => {
+                UI.SettingsModal.hide();
+                UI.showApiKeyModal(false);
+            });
+            UI.elements.settingsSignOutButton.addEventListener("click", handleSignOut);
+            UI.elements.settingsDevicesButton.addEventListener("click", () => {
+                UI.SettingsModal.hide();
+                DeviceController.open();
+            });
+            UI.elements.profileSettingsForm.addEventListener("submit", handleProfileRename);
+            UI.elements.settingsDeleteProfileButton.addEventListener("click", handleDeleteProfile);
+            UI.elements.settingsOfflineToggle.addEventListener("change", () => {
+                Connectivity.setManualOffline(UI.elements.settingsOfflineToggle.checked);
+            });
+            if (UI.elements.networkSettingsForm) {
+                UI.elements.networkSettingsForm.addEventListener("submit", handleNetworkSettingsSubmit);
+            }
+            UI.elements.settingsCacheLimit.addEventListener("change", handleCacheLimitChange);
+            UI.elements.settingsClearCacheButton.addEventListener("click", handleClearCache);
+            UI.elements.settingsExportButton.addEventListener("click", BackupController.exportPreferences);
+            UI.elements.settingsImportButton.addEventListener("click", () => {
+                UI.SettingsModal.hide();
+                BackupController.importPreferences();
+            });
+        }
 
         if (UI.elements.feedbackButton) {
             UI.elements.feedbackButton.addEventListener("click", () => {
@@ -372,7 +1098,7 @@
             UI.elements.previewImportBtn.addEventListener("click", () => {
                 if (state.previewAsset) {
                     UI.hidePreview();
-                    AssetController.handleAssetDownload(state.previewAsset, UI.elements.previewImportBtn);
+                    importAsset(state.previewAsset, UI.elements.previewImportBtn);
                 }
             });
         }
@@ -393,15 +1119,34 @@
             }
         });
 
+        if (UI.elements.sortSelect) {
+            UI.elements.sortSelect.addEventListener("change", handleSortChange);
+        }
+
+        if (UI.elements.includeSubfoldersToggle) {
+            UI.setIncludeSubfolders(Preferences.getIncludeSubfolders());
+            UI.elements.includeSubfoldersToggle.addEventListener("change", handleIncludeSubfoldersChange);
+        }
+
+        if (UI.elements.projectFilterToggle) {
+            UI.setProjectFilter(State.getState().projectFilterEnabled);
+            UI.elements.projectFilterToggle.addEventListener("change", handleProjectFilterChange);
+        }
+        window.addEventListener("focus", handleWindowFocus);
+
         if (UI.elements.clearSelectionBtn) {
             UI.elements.clearSelectionBtn.addEventListener("click", AssetController.clearSelection);
         }
 
         if (UI.elements.importSelectedBtn) {
-            UI.elements.importSelectedBtn.addEventListener("click", AssetController.handleImportSelected);
+            UI.elements.importSelectedBtn.addEventListener("click", importSelected);
         }
 
         document.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && UI.isActionMenuOpen()) {
+                UI.hideActionMenu();
+                return;
+            }
             if (UI.isPreviewOpen()) {
                 switch (e.key) {
                     case "Escape":
@@ -419,7 +1164,7 @@
                         e.preventDefault();
                         if (state.previewAsset) {
                             UI.hidePreview();
-                            AssetController.handleAssetDownload(state.previewAsset, UI.elements.previewImportBtn);
+                            importAsset(state.previewAsset, UI.elements.previewImportBtn);
                         }
                         break;
                 }
@@ -428,19 +1173,13 @@
 
         UI.elements.apiKeyForm.addEventListener("submit", handleApiKeySubmit);
 
-        UI.elements.cancelApiKeyButton.addEventListener("click", () => {
-            if (!state.isFirstRun) {
-                UI.hideApiKeyModal();
-            }
-        });
+        UI.elements.cancelApiKeyButton.addEventListener("click", cancelApiKeyModal);
 
         UI.elements.toggleApiKeyVisibility.addEventListener("click", UI.toggleApiKeyVisibility);
 
-        UI.elements.apiKeyModal.querySelector(".modal__overlay").addEventListener("click", () => {
-            if (!state.isFirstRun && UI.elements.cancelApiKeyButton.style.display !== "none") {
-                UI.hideApiKeyModal();
-            }
-        });
+        UI.elements.apiKeyModal.querySelector(".modal__overlay").addEventListener("click", cancelApiKeyModal);
+
+        UI.ProfileSwitcher.init({ onSelect: switchProfile, onAdd: handleAddProfile });
 
         const allAssetsItem = UI.elements.folderList.querySelector('[data-folder-id="all"]');
         if (allAssetsItem) {
@@ -453,6 +1192,12 @@
             favoritesItem.addEventListener("click", () => selectFolder("favorites"));
         }
 
+        // Recently imported
+        const recentItem = UI.elements.folderList.querySelector('[data-folder-id="recent"]');
+        if (recentItem) {
+            recentItem.addEventListener("click", () => selectFolder("recent"));
+        }
+
         // Sidebar toggle
         if (UI.elements.sidebarToggle) {
             UI.elements.sidebarToggle.addEventListener("click", () => UI.toggleSidebar());
@@ -465,10 +1210,16 @@
                 if (!UI.elements.contextMenu.contains(e.target)) {
                     UI.hideContextMenu();
                 }
+                if (!e.target.closest(".context-menu")) {
+                    UI.hideActionMenu();
+                }
             });
 
             // Hide context menu on scroll
-            document.addEventListener("scroll", () => UI.hideContextMenu(), true);
+            document.addEventListener("scroll", () => {
+                UI.hideContextMenu();
+                UI.hideActionMenu();
+            }, true);
 
             // Context menu actions
             UI.elements.contextMenu.querySelectorAll(".context-menu__item").forEach(item => {
@@ -490,6 +1241,11 @@
                                 callbacks.onPreview(asset);
                             }
                             break;
+                        case "redownload":
+                            if (callbacks.onRedownload) {
+                                callbacks.onRedownload(asset, item);
+                            }
+                            break;
                         case "favorite":
                             if (Preferences) {
                                 const nowFavorited = Preferences.toggleFavorite(asset.id);
@@ -506,6 +1262,11 @@
                                 }
                             }
                             break;
+                        case "collections": {
+                            const rect = UI.elements.contextMenu.getBoundingClientRect();
+                            CollectionController.showAssetMenu(asset, rect.left, rect.top);
+                            break;
+                        }
                         case "copy":
                             const displayName = Utils.getDisplayName(asset.name || asset.id);
                             navigator.clipboard.writeText(displayName).then(() => {
@@ -609,11 +1370,20 @@
         try {
             log("Initializing panel UI.");
 
+            refreshProfileSwitcher();
+
+            let persisted = null;
             const storedKey = API.getStoredApiKey();
             if (storedKey) {
                 state.apiKey = storedKey;
                 API.setApiKey(storedKey);
 
+                // Hydrate before the preload starts so its diff is taken against the saved catalog
+                persisted = hydratePersistedCatalog();
+                if (persisted) {
+                    CacheIndex.migrateFlatCache(persisted.assets);
+                }
+
                 AssetController.startBackgroundPreload();
 
                 UI.showFeedbackButton();
@@ -622,35 +1392,48 @@
                 log("No API key found - first run");
                 state.isFirstRun = true;
                 UI.setLoading(false);
-                UI.showApiKeyModal(true);
+                UI.showApiKeyModal(Profiles.getProfiles().length === 1);
                 return;
             }
 
             const versionOk = await checkVersion();
             if (!versionOk) {
                 UI.setLoading(false);
+                SyncEngine.cancel();
                 State.clearPreloadPromises();
                 return;
             }
 
             await Utils.loadHostScript();
 
-            const folders = await FolderController.loadFolders();
-            UI.renderFolders(folders, selectFolder);
+            if (persisted) {
+                // Stale-while-revalidate: render the saved catalog now, refresh it in the background
+                UI.renderFolders(persisted.folders, selectFolder);
+                AssetController.updateFolderCounts();
 
-            UI.renderWelcomeScreen();
+                UI.renderWelcomeScreen();
+                FS.checkAndNotifyCacheCreation();
 
-            // Check if cache folder needs to be created and show notice
-            FS.checkAndNotifyCacheCreation();
+                revalidateCatalog();
+            } else {
+                const folders = await FolderController.loadFolders();
+                UI.renderFolders(folders, selectFolder);
+
+                UI.renderWelcomeScreen();
 
-            // Show sync modal on initial load
-            AssetController.syncAssets(getAssetCallbacks(), true);
+                // Check if cache folder needs to be created and show notice
+                FS.checkAndNotifyCacheCreation();
+
+                // Show sync modal on initial load
+                AssetController.syncAssets(getAssetCallbacks(), true)
+                    .then(() => CacheIndex.migrateFlatCache(state.allAssets));
+            }
 
             startVersionCheckInterval();
 
         } catch (error) {
             console.error("Initialization failed", error);
-            UI.setStatus(error.message || "Initialization failed.", "error");
+            UI.showError(error, { context: "Initialization failed", fallback: error.message || "Initialization failed." });
             UI.setLoading(false);
         }
     };
@@ -0,0 +1,301 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Network
+ * Resolves the API endpoint and routes requests through the user's HTTP(S) proxy.
+ * Chromium's fetch can't be pointed at a proxy from the panel, so while a proxy is
+ * configured requests go through Node.js instead, tunnelling HTTPS with CONNECT.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const log = Utils ? Utils.log : console.log;
+
+    const DEFAULT_API_BASE_URL = "https://api.viewseditors.com";
+
+    /** Redirects followed by proxied requests before giving up */
+    const MAX_REDIRECTS = 5;
+
+    /** Tunnel agent for the current proxy settings */
+    let cachedAgent = null;
+    let cachedAgentKey = null;
+
+    /**
+     * Gets the API base URL (the user's override, if any)
+     * @returns {string} Base URL without a trailing slash
+     */
+    const getApiBaseUrl = () => {
+        const Preferences = global.Views.Preferences;
+        const override = Preferences ? Preferences.getApiBaseUrl() : "";
+        return (override || DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+    };
+
+    /**
+     * Gets the default API base URL
+     * @returns {string} Base URL
+     */
+    const getDefaultApiBaseUrl = () => DEFAULT_API_BASE_URL;
+
+    /**
+     * Gets the proxy settings, or null when requests go direct (or Node.js is unavailable)
+     * @returns {{url: URL, username: string, password: string}|null} Proxy settings
+     */
+    const getProxy = () => {
+        const Preferences = global.Views.Preferences;
+        if (!Preferences || typeof require !== "function") return null;
+
+        const settings = Preferences.getProxySettings();
+        if (!settings || !settings.url) return null;
+
+        try {
+            return { url: new URL(settings.url), username: settings.username || "", password: settings.password || "" };
+        } catch (error) {
+            log("Ignoring invalid proxy URL:", settings.url);
+            return null;
+        }
+    };
+
+    /**
+     * Checks that a URL is an absolute http(s) URL
+     * @param {string} value - URL to check
+     * @returns {boolean} True if usable as an API base URL or proxy URL
+     */
+    const isValidHttpUrl = (value) => {
+        try {
+            const url = new URL(value);
+            return url.protocol === "http:" || url.protocol === "https:";
+        } catch (error) {
+            return false;
+        }
+    };
+
+    /**
+     * Builds the Proxy-Authorization header for a proxy with credentials
+     * @param {Object} proxy - Proxy settings
+     * @returns {Object} Headers (empty without credentials)
+     */
+    const getProxyAuthHeaders = (proxy) => {
+        if (!proxy.username) return {};
+        const credentials = Buffer.from(`${proxy.username}:${proxy.password}`).toString("base64");
+        return { "Proxy-Authorization": `Basic ${credentials}` };
+    };
+
+    /**
+     * Creates an https.Agent that opens each connection as a CONNECT tunnel through the proxy
+     * @param {Object} proxy - Proxy settings
+     * @returns {import('https').Agent} Tunnelling agent
+     */
+    const createTunnelAgent = (proxy) => {
+        const http = require("http");
+        const https = require("https");
+        const tls = require("tls");
+
+        const agent = new https.Agent({ keepAlive: false });
+        agent.createConnection = (options, callback) => {
+            const target = `${options.host}:${options.port}`;
+            const proxyClient = proxy.url.protocol === "https:" ? https : http;
+            const connectRequest = proxyClient.request({
+                host: proxy.url.hostname,
+                port: proxy.url.port || (proxy.url.protocol === "https:" ? 443 : 80),
+                method: "CONNECT",
+                path: target,
+                headers: { Host: target, ...getProxyAuthHeaders(proxy) }
+            });
+
+            connectRequest.once("connect", (response, socket) => {
+                if (response.statusCode !== 200) {
+                    socket.destroy();
+                    const error = new Error(response.statusCode === 407
+                        ? "Proxy authentication failed. Check the proxy username and password."
+                        : `Proxy refused the connection (${response.statusCode}).`);
+                    error.proxy = true;
+                    callback(error);
+                    return;
+                }
+                callback(null, tls.connect({ socket, servername: options.servername || options.host }));
+            });
+            connectRequest.once("error", (error) => {
+                error.proxy = true;
+                callback(error);
+            });
+            connectRequest.end();
+        };
+        return agent;
+    };
+
+    /**
+     * Gets the tunnel agent for the current proxy, recreating it when settings change
+     * @param {Object} proxy - Proxy settings
+     * @returns {import('https').Agent} Tunnelling agent
+     */
+    const getTunnelAgent = (proxy) => {
+        const key = `${proxy.url.href}|${proxy.username}|${proxy.password}`;
+        if (!cachedAgent || cachedAgentKey !== key) {
+            cachedAgent = createTunnelAgent(proxy);
+            cachedAgentKey = key;
+        }
+        return cachedAgent;
+    };
+
+    /**
+     * Builds the Node.js client and request options for a URL, going through the proxy when set
+     * @param {string} url - Absolute URL
+     * @param {Object} [init] - Request settings
+     * @param {string} [init.method] - HTTP method (default GET)
+     * @param {Object} [init.headers] - Request headers
+     * @returns {{client: Object, options: Object}} Module to call `.request`/`.get` on, and its options
+     */
+    const getNodeRequest = (url, init = {}) => {
+        const http = require("http");
+        const https = require("https");
+
+        const target = new URL(url);
+        const secure = target.protocol === "https:";
+        const method = init.method || "GET";
+        const headers = init.headers || {};
+        const proxy = getProxy();
+
+        if (!proxy) {
+            return {
+                client: secure ? https : http,
+                options: {
+                    hostname: target.hostname,
+                    port: target.port || (secure ? 443 : 80),
+                    path: target.pathname + target.search,
+                    method,
+                    headers
+                }
+            };
+        }
+
+        if (secure) {
+            return {
+                client: https,
+                options: {
+                    hostname: target.hostname,
+                    port: target.port || 443,
+                    path: target.pathname + target.search,
+                    method,
+                    headers,
+                    agent: getTunnelAgent(proxy)
+                }
+            };
+        }
+
+        // Plain HTTP goes to the proxy as an absolute-URI request
+        return {
+            client: proxy.url.protocol === "https:" ? https : http,
+            options: {
+                hostname: proxy.url.hostname,
+                port: proxy.url.port || (proxy.url.protocol === "https:" ? 443 : 80),
+                path: target.href,
+                method,
+                headers: { ...headers, Host: target.host, ...getProxyAuthHeaders(proxy) }
+            }
+        };
+    };
+
+    /**
+     * Performs a request through Node.js and wraps the reply in a fetch Response
+     * @param {string} url - Absolute URL
+     * @param {Object} init - fetch-style settings (method, headers, body, signal)
+     * @param {number} redirects - Redirects followed so far
+     * @returns {Promise<Response>} Response
+     */
+    const fetchWithNode = (url, init, redirects = 0) => new Promise((resolve, reject) => {
+        const { signal } = init;
+        if (signal && signal.aborted) {
+            reject(Utils.createAbortError("Request cancelled"));
+            return;
+        }
+
+        const { client, options } = getNodeRequest(url, init);
+        const request = client.request(options, (response) => {
+            const { statusCode } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && response.headers.location) {
+                response.resume();
+                cleanup();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new TypeError("Too many redirects"));
+                    return;
+                }
+                const location = new URL(response.headers.location, url).toString();
+                resolve(fetchWithNode(location, init, redirects + 1));
+                return;
+            }
+
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("error", (error) => {
+                cleanup();
+                reject(toNetworkError(error));
+            });
+            response.on("end", () => {
+                cleanup();
+                const headers = new Headers();
+                Object.keys(response.headers).forEach(name => {
+                    const value = response.headers[name];
+                    headers.set(name, Array.isArray(value) ? value.join(", ") : value);
+                });
+                // Null-body statuses must not be given a body
+                const body = [101, 204, 205, 304].includes(statusCode) ? null : Buffer.concat(chunks);
+                resolve(new Response(body, { status: statusCode, statusText: response.statusMessage || "", headers }));
+            });
+        });
+
+        const onAbort = () => {
+            request.destroy();
+            reject(Utils.createAbortError("Request cancelled"));
+        };
+        const cleanup = () => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+        };
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+        request.on("error", (error) => {
+            cleanup();
+            reject(toNetworkError(error));
+        });
+
+        if (init.body) {
+            request.write(init.body);
+        }
+        request.end();
+    });
+
+    /**
+     * Makes a Node.js socket error look like a failed fetch (a TypeError), so callers
+     * treat it as a network failure
+     * @param {Error} error - Socket or proxy error
+     * @returns {TypeError} Network error
+     */
+    const toNetworkError = (error) => {
+        const networkError = new TypeError(error.proxy ? error.message : `Network request failed: ${error.message}`);
+        networkError.cause = error;
+        return networkError;
+    };
+
+    /**
+     * fetch() that honours the proxy settings; without a proxy this is window.fetch
+     * @param {string} url - Absolute URL
+     * @param {Object} [init] - fetch options (method, headers, body, signal, cache)
+     * @returns {Promise<Response>} Response
+     */
+    const proxiedFetch = (url, init = {}) => {
+        if (!getProxy()) {
+            return fetch(url, init);
+        }
+        return fetchWithNode(url, init);
+    };
+
+    global.Views.Network = {
+        getApiBaseUrl,
+        getDefaultApiBaseUrl,
+        isValidHttpUrl,
+        getNodeRequest,
+        fetch: proxiedFetch
+    };
+
+})(window);
@@ -3,18 +3,96 @@
 /**
  * Views Asset Manager - Preferences
  * Handles persistent user preferences and favorites storage.
+ * Favorites, collections, the last folder, sort orders, import counts and history belong to
+ * the active profile; everything else is shared.
+ * Every change to favorites and collections is also queued as a timestamped change
+ * record, which LibrarySync sends to the server.
  */
 (function(global) {
     global.Views = global.Views || {};
 
+    const Utils = global.Views.Utils;
+    const Profiles = global.Views.Profiles;
+    const Errors = global.Views.Errors;
+    const SecureStore = global.Views.SecureStore;
+
     const STORAGE_KEYS = {
         GRID_SIZE: "views_grid_size",
         LAST_FOLDER: "views_last_folder",
         SIDEBAR_COLLAPSED: "views_sidebar_collapsed",
         FAVORITES: "views_favorites",
-        CACHE_NOTICE_SEEN: "views_cache_notice_seen"
+        CACHE_NOTICE_SEEN: "views_cache_notice_seen",
+        SYNC_CONCURRENCY: "views_sync_concurrency",
+        CACHE_MAX_BYTES: "views_cache_max_bytes",
+        API_BASE_URL: "views_api_base_url",
+        PROXY: "views_proxy",
+        SORT_ORDERS: "views_sort_orders",
+        IMPORT_STATS: "views_import_stats",
+        IMPORT_HISTORY: "views_import_history",
+        INCLUDE_SUBFOLDERS: "views_include_subfolders",
+        COLLECTIONS: "views_collections",
+        LIBRARY_PENDING: "views_library_pending",
+        LIBRARY_CURSOR: "views_library_cursor"
     };
 
+    /** Keys stored separately for each profile */
+    const PROFILE_KEYS = [
+        STORAGE_KEYS.LAST_FOLDER,
+        STORAGE_KEYS.FAVORITES,
+        STORAGE_KEYS.COLLECTIONS,
+        STORAGE_KEYS.SORT_ORDERS,
+        STORAGE_KEYS.IMPORT_STATS,
+        STORAGE_KEYS.IMPORT_HISTORY,
+        STORAGE_KEYS.LIBRARY_PENDING,
+        STORAGE_KEYS.LIBRARY_CURSOR
+    ];
+
+    /** Keys whose changes are queued for the server */
+    const LIBRARY_KEYS = [STORAGE_KEYS.FAVORITES, STORAGE_KEYS.COLLECTIONS];
+
+    /** Timestamp of items that existed before syncing started, so any server change beats them */
+    const BASELINE_TIMESTAMP = new Date(0).toISOString();
+
+    /** Set while server changes are written, which must not be queued again */
+    let applyingRemoteChanges = false;
+
+    /** @type {Array<Function>} */
+    const libraryListeners = [];
+
+    /** SecureStore name of the proxy password (kept out of views_proxy) */
+    const PROXY_PASSWORD_SECRET = "proxyPassword";
+
+    /** Number of imports kept in the history (oldest are dropped) */
+    const MAX_IMPORT_HISTORY = 500;
+
+    /** Longest allowed collection name */
+    const MAX_COLLECTION_NAME_LENGTH = 40;
+
+    /** Identifies an exported preferences file */
+    const BACKUP_FORMAT = "views-asset-manager-preferences";
+
+    /** Version of the exported file layout; files from newer versions are refused */
+    const BACKUP_VERSION = 1;
+
+    /** Grid sizes a backup may carry */
+    const GRID_SIZES = ["small", "medium", "large"];
+
+    /** Sort order of folders without a saved one (the API's order) */
+    const DEFAULT_SORT_ORDER = "default";
+
+    /** Default number of asset pages fetched in parallel during a sync */
+    const DEFAULT_SYNC_CONCURRENCY = 4;
+
+    /** Default maximum size of the download cache (5 GB) */
+    const DEFAULT_CACHE_MAX_BYTES = 5 * 1024 * 1024 * 1024;
+
+    /**
+     * Resolves the localStorage key, scoping per-profile keys to the active profile
+     * @param {string} key - Preference key
+     * @returns {string} Storage key
+     */
+    const storageKey = (key) => (PROFILE_KEYS.includes(key) ? Profiles.scopeKey(key) : key);
+
     /**
      * Safely gets a value from localStorage
      * @param {string} key - Storage key
@@ -23,7 +101,7 @@
      */
     const get = (key, defaultValue = null) => {
         try {
-            const stored = localStorage.getItem(key);
+            const stored = localStorage.getItem(storageKey(key));
             if (stored === null) return defaultValue;
             return JSON.parse(stored);
         } catch (e) {
@@ -39,13 +117,109 @@
      * @returns {boolean} Success status
      */
     const set = (key, value) => {
+        const previous = LIBRARY_KEYS.includes(key) && !applyingRemoteChanges ? get(key, []) : null;
         try {
-            localStorage.setItem(key, JSON.stringify(value));
-            return true;
+            localStorage.setItem(storageKey(key), JSON.stringify(value));
         } catch (e) {
             console.error("Preferences: Failed to write", key, e);
             return false;
         }
+        if (previous) {
+            queueLibraryChanges(key === STORAGE_KEYS.FAVORITES
+                ? diffFavorites(previous, value)
+                : diffCollections(previous, value));
+        }
+        return true;
+    };
+
+    /**
+     * Gets the key under which a change record is queued; a newer change to the same
+     * favorite, collection or membership replaces the older one
+     * @param {Object} record - Change record
+     * @returns {string} Record key
+     */
+    const getRecordKey = (record) => {
+        switch (record.type) {
+            case "favorite":
+                return `favorite:${record.assetId}`;
+            case "collection":
+                return `collection:${record.collectionId}`;
+            default:
+                return `member:${record.collectionId}:${record.assetId}`;
+        }
+    };
+
+    /**
+     * Describes how the favorites list changed
+     * @param {Array<string>} previous - Favorites before
+     * @param {Array<string>} next - Favorites after
+     * @param {string} [updatedAt] - Timestamp of the records
+     * @returns {Array<Object>} Favorite change records
+     */
+    const diffFavorites = (previous, next, updatedAt = new Date().toISOString()) => {
+        const before = new Set(previous);
+        const after = new Set(next);
+        return [
+            ...next.filter(assetId => !before.has(assetId)).map(assetId => ({ type: "favorite", assetId, favorite: true, updatedAt })),
+            ...previous.filter(assetId => !after.has(assetId)).map(assetId => ({ type: "favorite", assetId, favorite: false, updatedAt }))
+        ];
+    };
+
+    /**
+     * Describes how the collections changed: added, renamed, moved or deleted collections
+     * and assets added to or taken out of them
+     * @param {Array<Object>} previous - Collections before
+     * @param {Array<Object>} next - Collections after
+     * @param {string} [updatedAt] - Timestamp of the records
+     * @returns {Array<Object>} Collection and membership change records
+     */
+    const diffCollections = (previous, next, updatedAt = new Date().toISOString()) => {
+        const records = [];
+        const nextIds = new Set(next.map(c => c.id));
+
+        previous.filter(c => !nextIds.has(c.id)).forEach(c => {
+            records.push({ type: "collection", collectionId: c.id, name: c.name, position: -1, deleted: true, updatedAt });
+        });
+
+        next.forEach((collection, position) => {
+            const previousPosition = previous.findIndex(c => c.id === collection.id);
+            const before = previous[previousPosition];
+            if (!before || before.name !== collection.name || previousPosition !== position) {
+                records.push({ type: "collection", collectionId: collection.id, name: collection.name, position, deleted: false, updatedAt });
+            }
+
+            const beforeIds = new Set(before ? before.assetIds : []);
+            const afterIds = new Set(collection.assetIds);
+            collection.assetIds.filter(assetId => !beforeIds.has(assetId)).forEach(assetId => {
+                records.push({ type: "member", collectionId: collection.id, assetId, member: true, updatedAt });
+            });
+            (before ? before.assetIds : []).filter(assetId => !afterIds.has(assetId)).forEach(assetId => {
+                records.push({ type: "member", collectionId: collection.id, assetId, member: false, updatedAt });
+            });
+        });
+
+        return records;
+    };
+
+    /**
+     * Queues change records for the server and tells the listeners
+     * @param {Array<Object>} records - Change records
+     */
+    const queueLibraryChanges = (records) => {
+        if (records.length === 0) return;
+        const pending = get(STORAGE_KEYS.LIBRARY_PENDING, {});
+        records.forEach(record => {
+            pending[getRecordKey(record)] = record;
+        });
+        set(STORAGE_KEYS.LIBRARY_PENDING, pending);
+
+        libraryListeners.slice().forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error("Library listener failed:", error);
+            }
+        });
     };
 
     /**
@@ -84,6 +258,18 @@
      */
     const setSidebarCollapsed = (collapsed) => set(STORAGE_KEYS.SIDEBAR_COLLAPSED, collapsed);
 
+    /**
+     * Gets whether folders also show the assets of their subfolders
+     * @returns {boolean} True if subfolders are included
+     */
+    const getIncludeSubfolders = () => get(STORAGE_KEYS.INCLUDE_SUBFOLDERS, false);
+
+    /**
+     * Saves whether folders also show the assets of their subfolders
+     * @param {boolean} enabled - Include subfolders
+     */
+    const setIncludeSubfolders = (enabled) => set(STORAGE_KEYS.INCLUDE_SUBFOLDERS, enabled);
+
     /**
      * Gets the list of favorite asset IDs
      * @returns {Array<string>} Array of favorited asset IDs
@@ -144,6 +330,212 @@
         }
     };
 
+    /**
+     * Gets the user's collections, in display order
+     * @returns {Array<{id: string, name: string, assetIds: Array<string>, createdAt: string}>} Collections
+     */
+    const getCollections = () => get(STORAGE_KEYS.COLLECTIONS, []);
+
+    /**
+     * Gets one collection
+     * @param {string} id - Collection ID
+     * @returns {{id: string, name: string, assetIds: Array<string>, createdAt: string}|null} Collection or null
+     */
+    const getCollection = (id) => getCollections().find(c => c.id === id) || null;
+
+    /**
+     * Cleans up a collection name
+     * @param {string} name - Name as entered
+     * @returns {string} Trimmed name, cut to the maximum length
+     */
+    const normalizeCollectionName = (name) =>
+        String(name || "").trim().replace(/\s+/g, " ").slice(0, MAX_COLLECTION_NAME_LENGTH);
+
+    /**
+     * Checks whether another collection already has a name (case-insensitive)
+     * @param {string} name - Name to check
+     * @param {string} [exceptId] - Collection to ignore (when renaming)
+     * @returns {boolean} True if taken
+     */
+    const isCollectionNameTaken = (name, exceptId = null) => {
+        const wanted = normalizeCollectionName(name).toLowerCase();
+        return getCollections().some(c => c.id !== exceptId && c.name.toLowerCase() === wanted);
+    };
+
+    /**
+     * Applies a change to one collection and saves the list
+     * @param {string} id - Collection ID
+     * @param {Function} change - Receives the collection to modify
+     * @returns {boolean} True if the collection exists and was saved
+     */
+    const updateCollection = (id, change) => {
+        const collections = getCollections();
+        const collection = collections.find(c => c.id === id);
+        if (!collection) return false;
+        change(collection);
+        return set(STORAGE_KEYS.COLLECTIONS, collections);
+    };
+
+    /**
+     * Generates an ID for a new collection
+     * @returns {string} Collection ID
+     */
+    const createCollectionId = () => `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    /**
+     * Creates an empty collection at the end of the list
+     * @param {string} name - Collection name
+     * @returns {{id: string, name: string, assetIds: Array<string>, createdAt: string}} New collection
+     */
+    const createCollection = (name) => {
+        const collections = getCollections();
+        const collection = {
+            id: createCollectionId(),
+            name: normalizeCollectionName(name),
+            assetIds: [],
+            createdAt: new Date().toISOString()
+        };
+        collections.push(collection);
+        set(STORAGE_KEYS.COLLECTIONS, collections);
+        return collection;
+    };
+
+    /**
+     * Renames a collection
+     * @param {string} id - Collection ID
+     * @param {string} name - New name
+     * @returns {boolean} Success status
+     */
+    const renameCollection = (id, name) => updateCollection(id, collection => {
+        collection.name = normalizeCollectionName(name);
+    });
+
+    /**
+     * Deletes a collection (the assets themselves are untouched)
+     * @param {string} id - Collection ID
+     * @returns {boolean} Success status
+     */
+    const deleteCollection = (id) => set(STORAGE_KEYS.COLLECTIONS, getCollections().filter(c => c.id !== id));
+
+    /**
+     * Puts a deleted collection back (undo)
+     * @param {{id: string, name: string, assetIds: Array<string>, createdAt: string}} collection - Collection as it was
+     * @param {number} index - Position it had
+     * @returns {boolean} Success status
+     */
+    const restoreCollection = (collection, index) => {
+        const collections = getCollections().filter(c => c.id !== collection.id);
+        collections.splice(Math.max(0, Math.min(index, collections.length)), 0, collection);
+        return set(STORAGE_KEYS.COLLECTIONS, collections);
+    };
+
+    /**
+     * Moves a collection to a new position in the list
+     * @param {string} id - Collection ID
+     * @param {number} index - New position (clamped to the list)
+     * @returns {boolean} True if moved
+     */
+    const moveCollection = (id, index) => {
+        const collections = getCollections();
+        const from = collections.findIndex(c => c.id === id);
+        if (from === -1) return false;
+        const to = Math.max(0, Math.min(index, collections.length - 1));
+        if (from === to) return false;
+        collections.splice(to, 0, collections.splice(from, 1)[0]);
+        return set(STORAGE_KEYS.COLLECTIONS, collections);
+    };
+
+    /**
+     * Adds assets to a collection, skipping ones already in it
+     * @param {string} id - Collection ID
+     * @param {Array<string>} assetIds - Assets to add
+     * @returns {number} Number of assets added
+     */
+    const addToCollection = (id, assetIds) => {
+        let added = 0;
+        updateCollection(id, collection => {
+            assetIds.forEach(assetId => {
+                if (!collection.assetIds.includes(assetId)) {
+                    collection.assetIds.push(assetId);
+                    added++;
+                }
+            });
+        });
+        return added;
+    };
+
+    /**
+     * Removes assets from a collection
+     * @param {string} id - Collection ID
+     * @param {Array<string>} assetIds - Assets to remove
+     * @returns {boolean} Success status
+     */
+    const removeFromCollection = (id, assetIds) => updateCollection(id, collection => {
+        collection.assetIds = collection.assetIds.filter(assetId => !assetIds.includes(assetId));
+    });
+
+    /**
+     * Gets the sort order chosen for a folder
+     * @param {string} folderId - Folder ID ("all", "favorites", or folder UUID)
+     * @returns {string} Sort order (see AssetController.SORT_ORDERS)
+     */
+    const getSortOrder = (folderId) => get(STORAGE_KEYS.SORT_ORDERS, {})[folderId] || DEFAULT_SORT_ORDER;
+
+    /**
+     * Saves the sort order for a folder
+     * @param {string} folderId - Folder ID
+     * @param {string} order - Sort order
+     * @returns {boolean} Success status
+     */
+    const setSortOrder = (folderId, order) => {
+        const orders = get(STORAGE_KEYS.SORT_ORDERS, {});
+        if (order === DEFAULT_SORT_ORDER) {
+            delete orders[folderId];
+        } else {
+            orders[folderId] = order;
+        }
+        return set(STORAGE_KEYS.SORT_ORDERS, orders);
+    };
+
+    /**
+     * Gets how often and when each asset was imported
+     * @returns {Object<string, {count: number, lastImportedAt: string}>} Stats by asset ID
+     */
+    const getImportStats = () => get(STORAGE_KEYS.IMPORT_STATS, {});
+
+    /**
+     * Gets the import history, newest first
+     * @returns {Array<{assetId: string, importedAt: string, projectPath: string, compName: string}>} Imports;
+     *   projectPath is "" for imports into an unsaved project
+     */
+    const getImportHistory = () => get(STORAGE_KEYS.IMPORT_HISTORY, []);
+
+    /**
+     * Counts an import of an asset and adds it to the history
+     * @param {string} assetId - Imported asset ID
+     * @param {Object} [context] - Where it was imported (see AssetController.getImportContext)
+     * @param {string} [context.projectPath] - After Effects project file ("" if unsaved)
+     * @param {string} [context.compName] - Composition the asset was added to
+     * @returns {boolean} Success status
+     */
+    const recordImport = (assetId, context = {}) => {
+        const importedAt = new Date().toISOString();
+        const stats = getImportStats();
+        const entry = stats[assetId] || { count: 0, lastImportedAt: null };
+        stats[assetId] = { count: entry.count + 1, lastImportedAt: importedAt };
+
+        const history = getImportHistory();
+        history.unshift({
+            assetId,
+            importedAt,
+            projectPath: context.projectPath || "",
+            compName: context.compName || ""
+        });
+
+        return set(STORAGE_KEYS.IMPORT_STATS, stats) &&
+            set(STORAGE_KEYS.IMPORT_HISTORY, history.slice(0, MAX_IMPORT_HISTORY));
+    };
+
     /**
      * Checks if the cache location notice has been shown
      * @returns {boolean} True if user has seen the notice
@@ -155,6 +547,415 @@
      */
     const setCacheNoticeSeen = () => set(STORAGE_KEYS.CACHE_NOTICE_SEEN, true);
 
+    /**
+     * Gets the maximum number of asset pages fetched in parallel during a sync
+     * @returns {number} Concurrency limit (at least 1)
+     */
+    const getSyncConcurrency = () => {
+        const value = parseInt(get(STORAGE_KEYS.SYNC_CONCURRENCY, DEFAULT_SYNC_CONCURRENCY), 10);
+        return value > 0 ? value : DEFAULT_SYNC_CONCURRENCY;
+    };
+
+    /**
+     * Saves the sync concurrency limit
+     * @param {number} limit - Maximum parallel page requests
+     */
+    const setSyncConcurrency = (limit) => set(STORAGE_KEYS.SYNC_CONCURRENCY, limit);
+
+    /**
+     * Gets the maximum size of the download cache
+     * @returns {number} Limit in bytes (0 = unlimited)
+     */
+    const getCacheMaxBytes = () => {
+        const value = Number(get(STORAGE_KEYS.CACHE_MAX_BYTES, DEFAULT_CACHE_MAX_BYTES));
+        return value >= 0 ? value : DEFAULT_CACHE_MAX_BYTES;
+    };
+
+    /**
+     * Saves the maximum size of the download cache
+     * @param {number} bytes - Limit in bytes (0 = unlimited)
+     */
+    const setCacheMaxBytes = (bytes) => set(STORAGE_KEYS.CACHE_MAX_BYTES, bytes);
+
+    /**
+     * Gets the API base URL override
+     * @returns {string} Override, or "" to use the default endpoint
+     */
+    const getApiBaseUrl = () => get(STORAGE_KEYS.API_BASE_URL, "") || "";
+
+    /**
+     * Saves the API base URL override
+     * @param {string} url - Base URL, or "" for the default endpoint
+     */
+    const setApiBaseUrl = (url) => set(STORAGE_KEYS.API_BASE_URL, url || "");
+
+    /**
+     * Gets the HTTP(S) proxy settings. The password comes from encrypted storage; one saved
+     * in plain text by an older version is moved there first.
+     * @returns {{url: string, username: string, password: string}} Proxy settings (empty url = no proxy)
+     */
+    const getProxySettings = () => {
+        const { password: legacyPassword, ...settings } = get(STORAGE_KEYS.PROXY, {});
+        if (legacyPassword && SecureStore.set(PROXY_PASSWORD_SECRET, legacyPassword)) {
+            set(STORAGE_KEYS.PROXY, settings);
+            Utils.log("Migrated proxy password to encrypted storage");
+        }
+        return {
+            url: "",
+            username: "",
+            ...settings,
+            password: legacyPassword || SecureStore.get(PROXY_PASSWORD_SECRET) || ""
+        };
+    };
+
+    /**
+     * Saves the HTTP(S) proxy settings, with the password encrypted. Without secure storage
+     * (no Node.js, which the proxy needs anyway) the password is not saved.
+     * @param {{url: string, username: string, password: string}} settings - Proxy settings
+     * @returns {boolean} Success status
+     */
+    const setProxySettings = ({ password = "", ...settings }) => {
+        const passwordSaved = password
+            ? SecureStore.set(PROXY_PASSWORD_SECRET, password)
+            : SecureStore.remove(PROXY_PASSWORD_SECRET);
+        return set(STORAGE_KEYS.PROXY, settings) && passwordSaved;
+    };
+
+    /**
+     * Registers a listener for local changes to favorites and collections
+     * @param {Function} listener - Called after changes were queued
+     * @returns {Function} Unsubscribe function
+     */
+    const subscribeLibraryChanges = (listener) => {
+        libraryListeners.push(listener);
+        return () => {
+            const index = libraryListeners.indexOf(listener);
+            if (index > -1) libraryListeners.splice(index, 1);
+        };
+    };
+
+    /**
+     * Gets the changes not yet confirmed by the server
+     * @returns {Array<Object>} Change records
+     */
+    const getPendingLibraryChanges = () => Object.values(get(STORAGE_KEYS.LIBRARY_PENDING, {}));
+
+    /**
+     * Queues every favorite and collection of a profile that never synced, dated so that
+     * anything already on the server wins
+     */
+    const seedLibraryChanges = () => {
+        const pending = get(STORAGE_KEYS.LIBRARY_PENDING, {});
+        [
+            ...diffFavorites([], getFavorites(), BASELINE_TIMESTAMP),
+            ...diffCollections([], getCollections(), BASELINE_TIMESTAMP)
+        ].forEach(record => {
+            const key = getRecordKey(record);
+            if (!pending[key]) pending[key] = record;
+        });
+        set(STORAGE_KEYS.LIBRARY_PENDING, pending);
+    };
+
+    /**
+     * Drops changes the server accepted, unless they were changed again meanwhile
+     * @param {Array<Object>} records - Change records that were sent
+     */
+    const acknowledgeLibraryChanges = (records) => {
+        const pending = get(STORAGE_KEYS.LIBRARY_PENDING, {});
+        records.forEach(record => {
+            const key = getRecordKey(record);
+            if (pending[key] && pending[key].updatedAt === record.updatedAt) {
+                delete pending[key];
+            }
+        });
+        set(STORAGE_KEYS.LIBRARY_PENDING, pending);
+    };
+
+    /**
+     * Checks that a change record from the server is complete
+     * @param {Object} record - Change record
+     * @returns {boolean} True if it can be applied
+     */
+    const isValidRecord = (record) => {
+        if (!record || typeof record !== "object" || Number.isNaN(Date.parse(record.updatedAt))) return false;
+        switch (record.type) {
+            case "favorite":
+                return typeof record.assetId === "string" && typeof record.favorite === "boolean";
+            case "collection":
+                return typeof record.collectionId === "string" && typeof record.deleted === "boolean" &&
+                    (record.deleted || !!normalizeCollectionName(record.name));
+            case "member":
+                return typeof record.collectionId === "string" && typeof record.assetId === "string" &&
+                    typeof record.member === "boolean";
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Applies changes from the server. Per favorite, collection and membership the most
+     * recent change wins: a queued local change that is newer is kept (and sent later),
+     * an older one is dropped.
+     * @param {Array<Object>} records - Change records from the server
+     * @returns {number} Number of changes that altered the local favorites or collections
+     *   (the server also returns this device's own changes)
+     */
+    const applyRemoteLibraryChanges = (records) => {
+        const pending = get(STORAGE_KEYS.LIBRARY_PENDING, {});
+        const winners = records.filter(isValidRecord).filter(record => {
+            const key = getRecordKey(record);
+            const local = pending[key];
+            if (local && Date.parse(local.updatedAt) > Date.parse(record.updatedAt)) return false;
+            delete pending[key];
+            return true;
+        });
+        if (winners.length === 0) return 0;
+
+        let favorites = getFavorites();
+        let collections = getCollections();
+        let applied = 0;
+
+        winners.filter(r => r.type === "favorite").forEach(record => {
+            const has = favorites.includes(record.assetId);
+            if (record.favorite === has) return;
+            favorites = record.favorite ? favorites.concat(record.assetId) : favorites.filter(id => id !== record.assetId);
+            applied++;
+        });
+
+        winners.filter(r => r.type === "collection")
+            .sort((a, b) => (a.position || 0) - (b.position || 0))
+            .forEach(record => {
+                const index = collections.findIndex(c => c.id === record.collectionId);
+                const existing = collections[index];
+                if (record.deleted) {
+                    if (existing) {
+                        collections.splice(index, 1);
+                        applied++;
+                    }
+                    return;
+                }
+
+                const name = normalizeCollectionName(record.name);
+                const position = Math.max(0, Math.min(Number(record.position) || 0, collections.length - (existing ? 1 : 0)));
+                if (existing && existing.name === name && index === position) return;
+
+                const collection = existing || { id: record.collectionId, assetIds: [], createdAt: record.updatedAt };
+                collection.name = name;
+                if (existing) collections.splice(index, 1);
+                collections.splice(position, 0, collection);
+                applied++;
+            });
+
+        winners.filter(r => r.type === "member").forEach(record => {
+            const collection = collections.find(c => c.id === record.collectionId);
+            if (!collection) return;
+            const has = collection.assetIds.includes(record.assetId);
+            if (record.member === has) return;
+            collection.assetIds = record.member
+                ? collection.assetIds.concat(record.assetId)
+                : collection.assetIds.filter(id => id !== record.assetId);
+            applied++;
+        });
+
+        applyingRemoteChanges = true;
+        try {
+            set(STORAGE_KEYS.FAVORITES, favorites);
+            set(STORAGE_KEYS.COLLECTIONS, collections);
+            set(STORAGE_KEYS.LIBRARY_PENDING, pending);
+        } finally {
+            applyingRemoteChanges = false;
+        }
+        return applied;
+    };
+
+    /**
+     * Gets the server cursor of the last library sync
+     * @returns {string|null} Cursor, or null if the profile never synced
+     */
+    const getLibraryCursor = () => get(STORAGE_KEYS.LIBRARY_CURSOR, null);
+
+    /**
+     * Saves the server cursor of a library sync
+     * @param {string} cursor - Cursor returned by the server
+     */
+    const setLibraryCursor = (cursor) => set(STORAGE_KEYS.LIBRARY_CURSOR, cursor);
+
+    /**
+     * Gathers the active profile's favorites, collections, view settings and last folder
+     * for export to a file
+     * @returns {Object} Backup (see readBackup for the layout)
+     */
+    const createBackup = () => {
+        const profile = Profiles.getActiveProfile();
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: profile ? profile.name : null,
+            favorites: getFavorites(),
+            collections: getCollections(),
+            lastFolder: getLastFolder(),
+            settings: {
+                gridSize: getGridSize(),
+                sidebarCollapsed: getSidebarCollapsed(),
+                includeSubfolders: getIncludeSubfolders(),
+                sortOrders: get(STORAGE_KEYS.SORT_ORDERS, {})
+            }
+        };
+    };
+
+    /**
+     * Keeps the unique non-empty strings of a list
+     * @param {*} list - Value from a backup file
+     * @returns {Array<string>} Cleaned-up list
+     */
+    const toIdList = (list) => (Array.isArray(list)
+        ? [...new Set(list.filter(id => typeof id === "string" && id))]
+        : []);
+
+    /**
+     * Parses and checks an exported preferences file. Unknown or malformed entries are dropped.
+     * @param {string} text - File contents
+     * @returns {{version: number, exportedAt: string|null, profile: string|null, favorites: Array<string>,
+     *   collections: Array<{id: string, name: string, assetIds: Array<string>, createdAt: string}>,
+     *   lastFolder: string|null, settings: Object}} Backup
+     * @throws {ViewsError} If the file isn't a preferences export, or comes from a newer version
+     */
+    const readBackup = (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            data = null;
+        }
+        if (!data || typeof data !== "object" || data.format !== BACKUP_FORMAT) {
+            throw new Errors.ViewsError("Not a preferences export", {
+                userMessage: "This file isn't a Views Asset Manager preferences export."
+            });
+        }
+        if (!(data.version >= 1)) {
+            throw new Errors.ViewsError(`Invalid backup version: ${data.version}`, {
+                userMessage: "This preferences file is damaged and can't be imported."
+            });
+        }
+        if (data.version > BACKUP_VERSION) {
+            throw new Errors.ViewsError(`Unsupported backup version: ${data.version}`, {
+                userMessage: "This file was exported by a newer version of Views Asset Manager. Update the panel to import it."
+            });
+        }
+
+        const names = new Set();
+        const collections = (Array.isArray(data.collections) ? data.collections : [])
+            .filter(c => c && typeof c === "object")
+            .map(c => ({
+                id: typeof c.id === "string" && c.id ? c.id : createCollectionId(),
+                name: normalizeCollectionName(c.name),
+                assetIds: toIdList(c.assetIds),
+                createdAt: typeof c.createdAt === "string" ? c.createdAt : new Date().toISOString()
+            }))
+            .filter(c => {
+                const key = c.name.toLowerCase();
+                if (!c.name || names.has(key)) return false;
+                names.add(key);
+                return true;
+            });
+
+        const settings = data.settings && typeof data.settings === "object" ? data.settings : {};
+        const sortOrders = {};
+        if (settings.sortOrders && typeof settings.sortOrders === "object") {
+            Object.keys(settings.sortOrders).forEach(folderId => {
+                if (typeof settings.sortOrders[folderId] === "string") {
+                    sortOrders[folderId] = settings.sortOrders[folderId];
+                }
+            });
+        }
+
+        return {
+            version: data.version,
+            exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : null,
+            profile: typeof data.profile === "string" ? data.profile : null,
+            favorites: toIdList(data.favorites),
+            collections,
+            lastFolder: typeof data.lastFolder === "string" ? data.lastFolder : null,
+            settings: {
+                gridSize: GRID_SIZES.includes(settings.gridSize) ? settings.gridSize : null,
+                sidebarCollapsed: typeof settings.sidebarCollapsed === "boolean" ? settings.sidebarCollapsed : null,
+                includeSubfolders: typeof settings.includeSubfolders === "boolean" ? settings.includeSubfolders : null,
+                sortOrders
+            }
+        };
+    };
+
+    /**
+     * Gets every asset ID a backup refers to
+     * @param {Object} backup - Backup from readBackup
+     * @returns {Array<string>} Unique asset IDs
+     */
+    const getBackupAssetIds = (backup) => [...new Set([
+        ...backup.favorites,
+        ...backup.collections.reduce((ids, c) => ids.concat(c.assetIds), [])
+    ])];
+
+    /**
+     * Applies a backup to the active profile.
+     * "replace" swaps favorites, collections and the last folder for the file's;
+     * "merge" adds the file's favorites and collections to the current ones (collections with
+     * the same name are combined) and keeps the last folder. View settings in the file are
+     * applied either way.
+     * @param {Object} backup - Backup from readBackup
+     * @param {string} mode - "merge" or "replace"
+     * @returns {{favorites: number, collections: number}} Favorites and collections added (merge)
+     *   or imported (replace)
+     */
+    const restoreBackup = (backup, mode) => {
+        const settings = backup.settings;
+        if (settings.gridSize) setGridSize(settings.gridSize);
+        if (settings.sidebarCollapsed !== null) setSidebarCollapsed(settings.sidebarCollapsed);
+        if (settings.includeSubfolders !== null) setIncludeSubfolders(settings.includeSubfolders);
+
+        if (mode === "replace") {
+            set(STORAGE_KEYS.FAVORITES, backup.favorites);
+            set(STORAGE_KEYS.COLLECTIONS, backup.collections);
+            set(STORAGE_KEYS.SORT_ORDERS, settings.sortOrders);
+            if (backup.lastFolder) setLastFolder(backup.lastFolder);
+            return { favorites: backup.favorites.length, collections: backup.collections.length };
+        }
+
+        const favorites = getFavorites();
+        const newFavorites = backup.favorites.filter(id => !favorites.includes(id));
+        set(STORAGE_KEYS.FAVORITES, favorites.concat(newFavorites));
+
+        const collections = getCollections();
+        let collectionsAdded = 0;
+        backup.collections.forEach(imported => {
+            const existing = collections.find(c => c.name.toLowerCase() === imported.name.toLowerCase());
+            if (existing) {
+                existing.assetIds = existing.assetIds.concat(imported.assetIds.filter(id => !existing.assetIds.includes(id)));
+                return;
+            }
+            const idTaken = collections.some(c => c.id === imported.id);
+            collections.push({ ...imported, id: idTaken ? createCollectionId() : imported.id });
+            collectionsAdded++;
+        });
+        set(STORAGE_KEYS.COLLECTIONS, collections);
+        set(STORAGE_KEYS.SORT_ORDERS, { ...get(STORAGE_KEYS.SORT_ORDERS, {}), ...settings.sortOrders });
+
+        return { favorites: newFavorites.length, collections: collectionsAdded };
+    };
+
+    /**
+     * Deletes the active profile's own preferences (before the profile is removed)
+     */
+    const clearProfileData = () => {
+        PROFILE_KEYS.forEach(key => {
+            try {
+                localStorage.removeItem(storageKey(key));
+            } catch (e) {
+                console.error("Preferences: Failed to remove", key, e);
+            }
+        });
+    };
+
     global.Views.Preferences = {
         getGridSize,
         setGridSize,
@@ -162,13 +963,52 @@
         setLastFolder,
         getSidebarCollapsed,
         setSidebarCollapsed,
+        getIncludeSubfolders,
+        setIncludeSubfolders,
         getFavorites,
         isFavorite,
         addFavorite,
         removeFavorite,
         toggleFavorite,
+        MAX_COLLECTION_NAME_LENGTH,
+        getCollections,
+        getCollection,
+        normalizeCollectionName,
+        isCollectionNameTaken,
+        createCollection,
+        renameCollection,
+        deleteCollection,
+        restoreCollection,
+        moveCollection,
+        addToCollection,
+        removeFromCollection,
+        getSortOrder,
+        setSortOrder,
+        getImportStats,
+        getImportHistory,
+        recordImport,
+        createBackup,
+        readBackup,
+        getBackupAssetIds,
+        restoreBackup,
+        subscribeLibraryChanges,
+        getPendingLibraryChanges,
+        seedLibraryChanges,
+        acknowledgeLibraryChanges,
+        applyRemoteLibraryChanges,
+        getLibraryCursor,
+        setLibraryCursor,
         hasCacheNoticeSeen,
-        setCacheNoticeSeen
+        setCacheNoticeSeen,
+        getSyncConcurrency,
+        setSyncConcurrency,
+        getCacheMaxBytes,
+        setCacheMaxBytes,
+        getApiBaseUrl,
+        setApiBaseUrl,
+        getProxySettings,
+        setProxySettings,
+        clearProfileData
     };
 
 })(window);
@@ -0,0 +1,191 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Profiles
+ * Named account profiles, each with its own API key, favorites, last folder and
+ * saved catalog. Per-profile data lives under keys scoped with `scopeKey`; the
+ * default profile uses the unscoped keys, so data from before profiles existed
+ * simply becomes the default profile's.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const log = Utils ? Utils.log : console.log;
+
+    const STORAGE_KEY = "views_profiles";
+    const DEFAULT_PROFILE_ID = "default";
+    const DEFAULT_PROFILE_NAME = "Default";
+
+    /** Longest allowed profile name */
+    const MAX_NAME_LENGTH = 32;
+
+    /** @type {{activeId: string, profiles: Array<{id: string, name: string, createdAt: string}>}|null} */
+    let data = null;
+
+    /**
+     * Loads the profile list from localStorage (once)
+     * @returns {Object} Profile data
+     */
+    const load = () => {
+        if (data) return data;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+                data = stored;
+            }
+        } catch (error) {
+            console.error("Failed to read profiles:", error);
+        }
+
+        if (!data) {
+            data = {
+                activeId: DEFAULT_PROFILE_ID,
+                profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: new Date().toISOString() }]
+            };
+        }
+        if (!data.profiles.some(p => p.id === data.activeId)) {
+            data.activeId = data.profiles[0].id;
+        }
+        return data;
+    };
+
+    /**
+     * Writes the profile list to localStorage
+     * @returns {boolean} Success status
+     */
+    const save = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error("Failed to write profiles:", error);
+            return false;
+        }
+    };
+
+    /**
+     * Gets all profiles
+     * @returns {Array<{id: string, name: string, createdAt: string}>} Profiles in creation order
+     */
+    const getProfiles = () => load().profiles.slice();
+
+    /**
+     * Gets the active profile ID
+     * @returns {string} Profile ID
+     */
+    const getActiveId = () => load().activeId;
+
+    /**
+     * Gets the active profile
+     * @returns {{id: string, name: string, createdAt: string}} Active profile
+     */
+    const getActiveProfile = () => load().profiles.find(p => p.id === getActiveId());
+
+    /**
+     * Scopes a storage key (or file name) to the active profile
+     * @param {string} key - Unscoped key
+     * @returns {string} Key for the active profile
+     */
+    const scopeKey = (key) => {
+        const activeId = getActiveId();
+        return activeId === DEFAULT_PROFILE_ID ? key : `${key}__${activeId}`;
+    };
+
+    /**
+     * Cleans up a profile name
+     * @param {string} name - Name as entered
+     * @returns {string} Trimmed name, cut to the maximum length
+     */
+    const normalizeName = (name) => String(name || "").trim().replace(/\s+/g, " ").slice(0, MAX_NAME_LENGTH);
+
+    /**
+     * Checks whether a name is already used by another profile (case-insensitive)
+     * @param {string} name - Name to check
+     * @param {string} [exceptId] - Profile to ignore (when renaming)
+     * @returns {boolean} True if taken
+     */
+    const isNameTaken = (name, exceptId = null) => {
+        const wanted = normalizeName(name).toLowerCase();
+        return load().profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === wanted);
+    };
+
+    /**
+     * Creates a profile (without switching to it)
+     * @param {string} name - Profile name
+     * @returns {{id: string, name: string, createdAt: string}} New profile
+     */
+    const create = (name) => {
+        load();
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: normalizeName(name),
+            createdAt: new Date().toISOString()
+        };
+        data.profiles.push(profile);
+        save();
+        log(`Created profile "${profile.name}".`);
+        return profile;
+    };
+
+    /**
+     * Renames a profile
+     * @param {string} id - Profile ID
+     * @param {string} name - New name
+     * @returns {boolean} True if renamed
+     */
+    const rename = (id, name) => {
+        const profile = load().profiles.find(p => p.id === id);
+        if (!profile) return false;
+        profile.name = normalizeName(name);
+        return save();
+    };
+
+    /**
+     * Makes a profile the active one. Callers reload everything profile-scoped afterwards.
+     * @param {string} id - Profile ID
+     * @returns {boolean} True if the profile exists
+     */
+    const setActive = (id) => {
+        if (!load().profiles.some(p => p.id === id)) return false;
+        data.activeId = id;
+        save();
+        log(`Active profile: ${getActiveProfile().name}`);
+        return true;
+    };
+
+    /**
+     * Removes a profile from the list. Its scoped data must be cleared first, while it
+     * is still active. The last profile can't be removed.
+     * @param {string} id - Profile ID
+     * @returns {string|null} ID of the active profile afterwards, or null if nothing was removed
+     */
+    const remove = (id) => {
+        load();
+        if (data.profiles.length <= 1 || !data.profiles.some(p => p.id === id)) return null;
+
+        data.profiles = data.profiles.filter(p => p.id !== id);
+        if (data.activeId === id) {
+            data.activeId = data.profiles[0].id;
+        }
+        save();
+        log("Removed profile:", id);
+        return data.activeId;
+    };
+
+    global.Views.Profiles = {
+        MAX_NAME_LENGTH,
+        getProfiles,
+        getActiveId,
+        getActiveProfile,
+        scopeKey,
+        normalizeName,
+        isNameTaken,
+        create,
+        rename,
+        setActive,
+        remove
+    };
+
+})(window);
@@ -0,0 +1,565 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Search
+ * Tokenized, typo-tolerant asset search. Every term of the query must match the
+ * asset's name, tags, folder path or description; results are ranked by where and
+ * how well each term matched, with the display name counting most.
+ *
+ * Queries also understand:
+ *   "lower third"          phrase, matched as typed
+ *   -glitch, -"old pack"   leave out assets matching a term or phrase
+ *   name:intro             name contains
+ *   folder:overlays        folder path contains
+ *   ext:png,jpg            file extension
+ *   size:<5mb, size:1mb..10mb
+ *   added:>2025-01-01, added:2024, added:2024-06..2024-08
+ * Comparisons take <, <=, >, >=, = (the default) or a a..b range. Any qualifier can be negated.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+
+    /** Characters that separate words in queries and asset fields */
+    const SEPARATOR_CHARS = "\\s_\\-./\\\\,;:()[\\]{}";
+    const WORD_SEPARATOR = new RegExp(`[${SEPARATOR_CHARS}]+`);
+
+    /** How much a match in each field is worth */
+    const FIELD_WEIGHTS = {
+        name: 10,
+        tags: 6,
+        folder: 4,
+        description: 2
+    };
+
+    /** How good each kind of match is, relative to an exact word */
+    const MATCH_QUALITY = {
+        word: 1,
+        prefix: 0.85,
+        substring: 0.6,
+        typo: 0.45
+    };
+
+    /** Bonus when the whole query appears as typed in the name */
+    const PHRASE_BONUS = 5;
+
+    /** Qualifier names, and the aliases that map to them */
+    const FIELD_ALIASES = {
+        name: "name",
+        folder: "folder",
+        ext: "ext",
+        type: "ext",
+        size: "size",
+        added: "added",
+        date: "added",
+        uploaded: "added"
+    };
+
+    /** Bytes per size unit */
+    const SIZE_UNITS = {
+        b: 1,
+        kb: 1024,
+        mb: 1024 * 1024,
+        gb: 1024 * 1024 * 1024
+    };
+
+    /**
+     * Splits text into lowercase words
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
+     */
+    const splitWords = (text) => String(text || "").toLowerCase().split(WORD_SEPARATOR).filter(Boolean);
+
+    /**
+     * Splits a query into its distinct search terms
+     * @param {string} query - Query as typed
+     * @returns {Array<string>} Lowercase terms
+     */
+    const tokenize = (query) => Array.from(new Set(splitWords(query)));
+
+    /**
+     * Number of typos tolerated for a term
+     * @param {string} term - Search term
+     * @returns {number} Maximum edit distance
+     */
+    const getMaxTypos = (term) => {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    };
+
+    /**
+     * Edit distance between two strings (insertions, deletions, substitutions and
+     * swapped neighbours), giving up once it exceeds a limit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Largest distance of interest
+     * @returns {number} Distance, or max + 1 when larger than max
+     */
+    const editDistance = (a, b, max) => {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                row.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    };
+
+    /**
+     * Checks whether a term is a misspelling of a word (or of the word's beginning)
+     * @param {string} term - Search term
+     * @param {string} word - Word from the asset
+     * @returns {boolean} True if within the tolerated number of typos
+     */
+    const isTypoOf = (term, word) => {
+        const maxTypos = getMaxTypos(term);
+        if (maxTypos === 0 || word.length < 3) return false;
+        if (editDistance(term, word, maxTypos) <= maxTypos) return true;
+        // "lowr" should still find "lowerthird"
+        return word.length > term.length && editDistance(term, word.slice(0, term.length), maxTypos) <= maxTypos;
+    };
+
+    /**
+     * Rates how well a term matches a field
+     * @param {string} term - Search term
+     * @param {{text: string, words: Array<string>}} field - Prepared field
+     * @returns {number} Match quality (0 = no match)
+     */
+    const matchField = (term, field) => {
+        if (!field.text) return 0;
+        if (field.words.includes(term)) return MATCH_QUALITY.word;
+        if (field.words.some(word => word.startsWith(term))) return MATCH_QUALITY.prefix;
+        if (field.text.includes(term)) return MATCH_QUALITY.substring;
+        if (field.words.some(word => isTypoOf(term, word))) return MATCH_QUALITY.typo;
+        return 0;
+    };
+
+    /**
+     * Prepares a text field for matching
+     * @param {string} text - Field text
+     * @returns {{text: string, words: Array<string>}} Lowercase text and its words
+     */
+    const prepareField = (text) => ({
+        text: String(text || "").toLowerCase(),
+        words: splitWords(text)
+    });
+
+    /**
+     * Gets an asset's tags as text
+     * @param {Object} asset - Asset
+     * @returns {string} Space-separated tags
+     */
+    const getTagsText = (asset) => {
+        if (Array.isArray(asset.tags)) {
+            return asset.tags.map(tag => (tag && typeof tag === "object" ? tag.name : tag)).join(" ");
+        }
+        return asset.tags ? String(asset.tags) : "";
+    };
+
+    /**
+     * Splits a query into tokens: optional "-" negation, optional "field:" qualifier and a
+     * bare or quoted value
+     * @param {string} query - Query as typed
+     * @returns {{tokens: Array<{negate: boolean, field: string|null, value: string, quoted: boolean}>, errors: Array<string>}}
+     *   Tokens and lexing errors
+     */
+    const lex = (query) => {
+        const text = String(query || "");
+        const tokens = [];
+        const errors = [];
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            let negate = false;
+            if (text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+                negate = true;
+                i++;
+            }
+
+            let field = null;
+            const fieldMatch = /^([a-z]+):/i.exec(text.slice(i));
+            if (fieldMatch) {
+                field = fieldMatch[1].toLowerCase();
+                i += fieldMatch[0].length;
+            }
+
+            let value;
+            let quoted = false;
+            if (text[i] === "\"") {
+                quoted = true;
+                const end = text.indexOf("\"", i + 1);
+                if (end === -1) {
+                    errors.push("Missing closing quote.");
+                    value = text.slice(i + 1);
+                    i = text.length;
+                } else {
+                    value = text.slice(i + 1, end);
+                    i = end + 1;
+                }
+            } else {
+                const start = i;
+                while (i < text.length && !/\s/.test(text[i])) i++;
+                value = text.slice(start, i);
+            }
+
+            tokens.push({ negate, field, value: value.trim(), quoted });
+        }
+        return { tokens, errors };
+    };
+
+    /**
+     * Builds an accepted interval, half-open [min, max) unless told otherwise
+     * @param {number|null} min - Lower bound, or null for none
+     * @param {number|null} max - Upper bound, or null for none
+     * @param {Object} [options] - Which ends are included
+     * @param {boolean} [options.minInclusive=true] - Whether min itself is accepted
+     * @param {boolean} [options.maxInclusive=false] - Whether max itself is accepted
+     * @returns {{min: number|null, max: number|null, minInclusive: boolean, maxInclusive: boolean}} Interval
+     */
+    const createInterval = (min, max, { minInclusive = true, maxInclusive = false } = {}) =>
+        ({ min, max, minInclusive, maxInclusive });
+
+    /**
+     * Parses a comparison: "<5", ">=2", "=3", "3" or a "1..5" range. Bounds with an exact value
+     * (sizes) are compared against it; the {start, end} range only widens a bare equality.
+     * Bounds without one (dates) compare whole periods, so ">2025" means from 2026 on.
+     * @param {string} value - Qualifier value
+     * @param {Function} parseBound - Turns one side into a {start, end, exact?} range, or null if invalid
+     * @returns {{min: number|null, max: number|null, minInclusive: boolean, maxInclusive: boolean}|null}
+     *   Accepted interval, or null if invalid
+     */
+    const parseComparison = (value, parseBound) => {
+        const range = value.split("..");
+        if (range.length === 2) {
+            const from = range[0] ? parseBound(range[0]) : { start: null };
+            const to = range[1] ? parseBound(range[1]) : { end: null };
+            if (!from || !to) return null;
+            if (from.exact != null || to.exact != null) {
+                return createInterval(from.exact != null ? from.exact : from.start,
+                    to.exact != null ? to.exact : to.end, { maxInclusive: to.exact != null });
+            }
+            return createInterval(from.start, to.end);
+        }
+
+        const match = /^(<=|>=|<|>|=)?(.+)$/.exec(value);
+        if (!match) return null;
+        const bound = parseBound(match[2]);
+        if (!bound) return null;
+
+        if (bound.exact != null) {
+            switch (match[1]) {
+                case "<": return createInterval(null, bound.exact);
+                case "<=": return createInterval(null, bound.exact, { maxInclusive: true });
+                case ">": return createInterval(bound.exact, null, { minInclusive: false });
+                case ">=": return createInterval(bound.exact, null);
+                default: return createInterval(bound.start, bound.end);
+            }
+        }
+
+        switch (match[1]) {
+            case "<": return createInterval(null, bound.start);
+            case "<=": return createInterval(null, bound.end);
+            case ">": return createInterval(bound.end, null);
+            case ">=": return createInterval(bound.start, null);
+            default: return createInterval(bound.start, bound.end);
+        }
+    };
+
+    /**
+     * Parses a size such as "5mb" or "1.5gb". A bare "5mb" covers 4.5-5.5 MB; "<5mb", ">5mb"
+     * and ranges compare against exactly 5 MB.
+     * @param {string} value - Size with unit
+     * @returns {{start: number, end: number, exact: number}|null} Byte range for equality and the
+     *   exact byte count, or null if invalid
+     */
+    const parseSize = (value) => {
+        const match = /^(\d+(?:\.\d+)?)(b|kb|mb|gb)$/i.exec(value);
+        if (!match) return null;
+        const unit = SIZE_UNITS[match[2].toLowerCase()];
+        const bytes = parseFloat(match[1]) * unit;
+        const slack = unit === 1 ? 0.5 : unit / 2;
+        return { start: Math.max(0, bytes - slack), end: bytes + slack, exact: bytes };
+    };
+
+    /**
+     * Parses a date: "2025", "2025-01" or "2025-01-31", as that whole year, month or day in local time
+     * @param {string} value - Date
+     * @returns {{start: number, end: number}|null} Timestamp range, or null if invalid
+     */
+    const parseDate = (value) => {
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+        if (!match) return null;
+        const year = Number(match[1]);
+        const month = match[2] ? Number(match[2]) - 1 : null;
+        const day = match[3] ? Number(match[3]) : null;
+        if (month !== null && (month < 0 || month > 11)) return null;
+
+        if (day !== null) {
+            const start = new Date(year, month, day);
+            if (start.getMonth() !== month) return null;
+            return { start: start.getTime(), end: new Date(year, month, day + 1).getTime() };
+        }
+        if (month !== null) {
+            return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+        }
+        return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+    };
+
+    /**
+     * Checks whether a number falls within a parsed comparison
+     * @param {number|null} number - Value to check
+     * @param {{min: number|null, max: number|null, minInclusive: boolean, maxInclusive: boolean}} interval -
+     *   From parseComparison
+     * @returns {boolean} True if inside
+     */
+    const isWithin = (number, interval) => {
+        if (number === null || isNaN(number)) return false;
+        const aboveMin = interval.min === null ||
+            (interval.minInclusive ? number >= interval.min : number > interval.min);
+        const belowMax = interval.max === null ||
+            (interval.maxInclusive ? number <= interval.max : number < interval.max);
+        return aboveMin && belowMax;
+    };
+
+    /**
+     * Gets an asset's file extension
+     * @param {Object} asset - Asset
+     * @returns {string} Lowercase extension without the dot, or ""
+     */
+    const getExtension = (asset) => {
+        const match = /\.([a-z0-9]+)$/i.exec(asset.name || "");
+        return match ? match[1].toLowerCase() : "";
+    };
+
+    /**
+     * Builds the test for a field qualifier
+     * @param {string} field - Canonical field name (see FIELD_ALIASES)
+     * @param {string} value - Qualifier value
+     * @returns {{test: Function}|{error: string}} Test taking (asset, info), or the reason the value is invalid
+     */
+    const createFilter = (field, value) => {
+        const lower = value.toLowerCase();
+
+        switch (field) {
+            case "name":
+                return { test: (asset, info) => info.name.includes(lower) };
+            case "folder":
+                return { test: (asset, info) => info.folderPath.toLowerCase().includes(lower) };
+            case "ext": {
+                const extensions = lower.split(",").map(ext => ext.replace(/^\./, "")).filter(Boolean);
+                return { test: (asset) => extensions.includes(getExtension(asset)) };
+            }
+            case "size": {
+                const interval = parseComparison(lower, parseSize);
+                if (!interval) return { error: `Can't read size "${value}". Try size:<5mb or size:1mb..10mb.` };
+                return { test: (asset) => isWithin(asset.size != null ? Number(asset.size) : null, interval) };
+            }
+            case "added": {
+                const interval = parseComparison(lower, parseDate);
+                if (!interval) return { error: `Can't read date "${value}". Try added:>2025-01-01 or added:2024-06.` };
+                return { test: (asset) => isWithin(asset.uploadDate ? new Date(asset.uploadDate).getTime() : null, interval) };
+            }
+            default:
+                return { error: `Unknown filter "${field}:".` };
+        }
+    };
+
+    /**
+     * Parses a search query
+     * @param {string} query - Query as typed
+     * @returns {{terms: Array<string>, phrases: Array<string>, excluded: Array<string>, filters: Array<Object>,
+     *   names: Array<string>, errors: Array<string>, isEmpty: boolean}} Parsed query. Terms are matched fuzzily,
+     *   phrases and excluded text as typed; names are the name: values (for highlighting). Malformed parts
+     *   are left out and described in errors.
+     */
+    const parseQuery = (query) => {
+        const { tokens, errors } = lex(query);
+        const parsed = { terms: [], phrases: [], excluded: [], filters: [], names: [], errors };
+
+        tokens.forEach(token => {
+            if (token.field) {
+                const field = FIELD_ALIASES[token.field];
+                if (!field) {
+                    parsed.errors.push(`Unknown filter "${token.field}:". Use name:, folder:, ext:, size: or added:.`);
+                    return;
+                }
+                if (!token.value) {
+                    parsed.errors.push(`"${token.field}:" needs a value.`);
+                    return;
+                }
+                const filter = createFilter(field, token.value);
+                if (filter.error) {
+                    parsed.errors.push(filter.error);
+                    return;
+                }
+                parsed.filters.push({ field, negate: token.negate, test: filter.test });
+                if (field === "name" && !token.negate) parsed.names.push(token.value.toLowerCase());
+                return;
+            }
+
+            if (!token.value) return;
+            if (token.negate) {
+                parsed.excluded.push(token.value.toLowerCase());
+            } else if (token.quoted) {
+                parsed.phrases.push(token.value.toLowerCase());
+            } else {
+                splitWords(token.value).forEach(term => {
+                    if (!parsed.terms.includes(term)) parsed.terms.push(term);
+                });
+            }
+        });
+
+        parsed.isEmpty = !parsed.terms.length && !parsed.phrases.length &&
+            !parsed.excluded.length && !parsed.filters.length;
+        return parsed;
+    };
+
+    /**
+     * Scores an asset against a parsed query
+     * @param {Object} asset - Asset to score
+     * @param {Object} parsed - From parseQuery
+     * @param {string} folderPath - Asset's folder path as text
+     * @returns {number} Score, or 0 when the asset doesn't match
+     */
+    const scoreAsset = (asset, parsed, folderPath) => {
+        const fields = {
+            name: prepareField(Utils.getDisplayName(asset.name || asset.id)),
+            tags: prepareField(getTagsText(asset)),
+            folder: prepareField(folderPath),
+            description: prepareField(asset.description)
+        };
+        const keys = Object.keys(FIELD_WEIGHTS);
+        const info = { name: fields.name.text, folderPath };
+
+        if (!parsed.filters.every(filter => filter.test(asset, info) !== filter.negate)) return 0;
+        if (parsed.excluded.some(text => keys.some(key => fields[key].text.includes(text)))) return 0;
+
+        // Assets that pass the filters alone still need a score above 0
+        let score = 1;
+        for (const phrase of parsed.phrases) {
+            const key = keys.find(k => fields[k].text.includes(phrase));
+            if (!key) return 0;
+            score += FIELD_WEIGHTS[key];
+        }
+        for (const term of parsed.terms) {
+            let best = 0;
+            keys.forEach(key => {
+                best = Math.max(best, matchField(term, fields[key]) * FIELD_WEIGHTS[key]);
+            });
+            if (best === 0) return 0;
+            score += best;
+        }
+
+        if (parsed.terms.length > 1 && fields.name.text.includes(parsed.terms.join(" "))) {
+            score += PHRASE_BONUS;
+        }
+        return score;
+    };
+
+    /**
+     * Searches assets and ranks the matches, best first. Equal scores keep their order.
+     * @param {Array} assets - Assets to search
+     * @param {string|Object} query - Query as typed, or already parsed with parseQuery
+     * @param {Object} [options] - Search options
+     * @param {Function} [options.getFolderPath] - Returns the folder path text for a folder ID
+     * @returns {Array} Matching assets
+     */
+    const search = (assets, query, options = {}) => {
+        const parsed = typeof query === "string" ? parseQuery(query) : query;
+        if (parsed.isEmpty) return assets;
+
+        const folderPaths = {};
+        const getFolderPath = (folderId) => {
+            if (!options.getFolderPath || !folderId) return "";
+            if (!(folderId in folderPaths)) {
+                folderPaths[folderId] = options.getFolderPath(folderId);
+            }
+            return folderPaths[folderId];
+        };
+
+        return assets
+            .map((asset, index) => ({
+                asset,
+                index,
+                score: scoreAsset(asset, parsed, getFolderPath(asset.folderId))
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(result => result.asset);
+    };
+
+    /**
+     * Finds the parts of a text to highlight for a query: exact occurrences of each
+     * term, phrase and name: value, and whole words matched with a typo
+     * @param {string} text - Text shown to the user
+     * @param {string} query - Query as typed
+     * @returns {Array<{start: number, end: number}>} Sorted, non-overlapping ranges
+     */
+    const getHighlightRanges = (text, query) => {
+        const parsed = parseQuery(query);
+        const needles = parsed.terms.concat(parsed.phrases, parsed.names);
+        if (!text || needles.length === 0) return [];
+
+        const lower = text.toLowerCase();
+        const ranges = [];
+        needles.forEach(needle => {
+            let found = false;
+            let from = 0;
+            let index;
+            while ((index = lower.indexOf(needle, from)) !== -1) {
+                ranges.push({ start: index, end: index + needle.length });
+                from = index + needle.length;
+                found = true;
+            }
+            if (found || !parsed.terms.includes(needle)) return;
+
+            const wordPattern = new RegExp(`[^${SEPARATOR_CHARS}]+`, "g");
+            let match;
+            while ((match = wordPattern.exec(lower)) !== null) {
+                if (isTypoOf(needle, match[0])) {
+                    ranges.push({ start: match.index, end: match.index + match[0].length });
+                }
+            }
+        });
+
+        ranges.sort((a, b) => a.start - b.start);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+    };
+
+    global.Views.Search = {
+        tokenize,
+        parseQuery,
+        search,
+        getHighlightRanges
+    };
+
+})(window);
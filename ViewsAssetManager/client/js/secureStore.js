@@ -0,0 +1,144 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Secure Store
+ * Keeps secrets (the API key, the proxy password) encrypted at rest with AES-256-GCM. The key is derived
+ * with scrypt from this device's fingerprint (see deviceId.js) and a random salt kept
+ * next to the ciphertext, so a copied CEP profile can't be read on another machine.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const log = Utils ? Utils.log : console.log;
+
+    /** localStorage prefix for encrypted entries */
+    const STORAGE_PREFIX = "views_asset_manager_secure_";
+
+    /** Format version of the stored record */
+    const RECORD_VERSION = 1;
+
+    const CIPHER = "aes-256-gcm";
+    const KEY_LENGTH = 32;
+    const SALT_LENGTH = 16;
+    const IV_LENGTH = 12;
+
+    /** Derived keys by salt - scrypt is deliberately slow */
+    const keyCache = {};
+
+    /**
+     * Checks whether secrets can be encrypted here (needs Node.js crypto and the device fingerprint)
+     * @returns {boolean} True if available
+     */
+    const isAvailable = () => typeof require === "function" &&
+        typeof DeviceId !== "undefined" && typeof DeviceId.getFingerprint === "function";
+
+    /**
+     * Derives the encryption key for a salt
+     * @param {Buffer} salt - Random salt stored with the record
+     * @returns {Buffer} 256-bit key
+     */
+    const deriveKey = (salt) => {
+        const cacheKey = salt.toString("base64");
+        if (!keyCache[cacheKey]) {
+            const crypto = require("crypto");
+            keyCache[cacheKey] = crypto.scryptSync(DeviceId.getFingerprint(), salt, KEY_LENGTH);
+        }
+        return keyCache[cacheKey];
+    };
+
+    /**
+     * Encrypts a secret and stores it
+     * @param {string} name - Secret name
+     * @param {string} value - Secret value
+     * @returns {boolean} Success status
+     */
+    const set = (name, value) => {
+        if (!isAvailable()) {
+            log("Secure storage unavailable, secret not saved:", name);
+            return false;
+        }
+
+        try {
+            const crypto = require("crypto");
+            const salt = crypto.randomBytes(SALT_LENGTH);
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv(CIPHER, deriveKey(salt), iv);
+            const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+            localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify({
+                version: RECORD_VERSION,
+                salt: salt.toString("base64"),
+                iv: iv.toString("base64"),
+                tag: cipher.getAuthTag().toString("base64"),
+                data: data.toString("base64")
+            }));
+            return true;
+        } catch (error) {
+            console.error("Failed to store secret:", error);
+            return false;
+        }
+    };
+
+    /**
+     * Reads and decrypts a secret. A record that no longer decrypts (the device
+     * fingerprint changed, or it was tampered with) is deleted.
+     * @param {string} name - Secret name
+     * @returns {string|null} Secret value, or null if missing or unreadable
+     */
+    const get = (name) => {
+        let raw;
+        try {
+            raw = localStorage.getItem(STORAGE_PREFIX + name);
+        } catch (error) {
+            console.error("Failed to read from storage:", error);
+            return null;
+        }
+        if (!raw || !isAvailable()) return null;
+
+        try {
+            const record = JSON.parse(raw);
+            if (!record || record.version !== RECORD_VERSION) {
+                throw new Error(`unsupported record version ${record && record.version}`);
+            }
+            const crypto = require("crypto");
+            const decipher = crypto.createDecipheriv(
+                CIPHER,
+                deriveKey(Buffer.from(record.salt, "base64")),
+                Buffer.from(record.iv, "base64")
+            );
+            decipher.setAuthTag(Buffer.from(record.tag, "base64"));
+            return Buffer.concat([
+                decipher.update(Buffer.from(record.data, "base64")),
+                decipher.final()
+            ]).toString("utf8");
+        } catch (error) {
+            log(`Could not decrypt ${name} (${error.message}), discarding it.`);
+            remove(name);
+            return null;
+        }
+    };
+
+    /**
+     * Deletes a secret
+     * @param {string} name - Secret name
+     * @returns {boolean} Success status
+     */
+    const remove = (name) => {
+        try {
+            localStorage.removeItem(STORAGE_PREFIX + name);
+            return true;
+        } catch (error) {
+            console.error("Failed to remove from storage:", error);
+            return false;
+        }
+    };
+
+    global.Views.SecureStore = {
+        isAvailable,
+        get,
+        set,
+        remove
+    };
+
+})(window);
@@ -39,9 +39,12 @@
             total: 0
         },
         visibleCount: 20,
-        fetchSession: 0,
+        syncCursor: null,
+        syncEtag: null,
+        catalogIncomplete: false,
+        projectFilterEnabled: false,
+        currentProjectPath: null,
         cache: {},
-        preloadPromise: null,
         preloadFoldersPromise: null
     };
 
@@ -109,15 +112,6 @@
         state.visibleCount = 20;
     };
 
-    /**
-     * Increments the fetch session counter
-     * @returns {number} The new session ID
-     */
-    const incrementFetchSession = () => {
-        state.fetchSession++;
-        return state.fetchSession;
-    };
-
     /**
      * Clears the asset cache
      */
@@ -126,10 +120,9 @@
     };
 
     /**
-     * Clears preload promises
+     * Clears preload promises (asset preloads are owned by SyncEngine)
      */
     const clearPreloadPromises = () => {
-        state.preloadPromise = null;
         state.preloadFoldersPromise = null;
     };
 
@@ -142,7 +135,6 @@
         getVersionCheckInterval,
         setVersionCheckInterval,
         resetPagination,
-        incrementFetchSession,
         clearCache,
         clearPreloadPromises,
         FEEDBACK_WEBHOOK_URL,
@@ -0,0 +1,422 @@
+"use strict";
+
+/**
+ * Views Asset Manager - Sync Engine
+ * Single owner of catalog syncing. Runs full and delta syncs, reports progress
+ * to subscribers, supports cancellation and only lets the latest run write to State.
+ */
+(function(global) {
+    global.Views = global.Views || {};
+
+    const Utils = global.Views.Utils;
+    const API = global.Views.API;
+    const State = global.Views.State;
+    const CatalogStore = global.Views.CatalogStore;
+
+    const log = Utils.log;
+
+    /** Engine states */
+    const STATES = Object.freeze({
+        IDLE: "idle",
+        SYNCING: "syncing",
+        COMPLETE: "complete",
+        PARTIAL: "partial",
+        FAILED: "failed"
+    });
+
+    /** Page size for /assets requests */
+    const ASSET_PAGE_LIMIT = 100;
+
+    /** Fallback when Preferences is unavailable */
+    const DEFAULT_CONCURRENCY = 4;
+
+    let engineState = STATES.IDLE;
+    let currentRun = null;
+    /** Most recent run that can still be joined (running, or finished but not yet picked up) */
+    let joinableRun = null;
+    let runCounter = 0;
+    const listeners = [];
+
+    /**
+     * Subscribes to sync events
+     * @param {Function} listener - Called with every event:
+     *   { state, runId, mode, presentation, progress, message, loaded, total, result, error }
+     * @returns {Function} Unsubscribe function
+     */
+    const subscribe = (listener) => {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index > -1) listeners.splice(index, 1);
+        };
+    };
+
+    /**
+     * Emits an event for a run. Events from superseded runs are dropped.
+     * @param {Object} run - Sync run
+     * @param {Object} details - Event fields (progress, message, result, error...)
+     */
+    const emit = (run, details) => {
+        if (run !== currentRun) return;
+
+        const event = {
+            state: engineState,
+            runId: run.id,
+            mode: run.mode,
+            presentation: run.presentation,
+            ...details
+        };
+        run.lastEvent = event;
+
+        listeners.slice().forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error("Sync listener failed:", error);
+            }
+        });
+    };
+
+    /**
+     * Merges delta changes into an asset list, preserving the existing order.
+     * Changed assets are replaced in place, new assets are appended, deleted ones dropped.
+     * @param {Array} assets - Current asset list
+     * @param {Array} changedAssets - Added or changed assets from the server
+     * @param {Array<string>} deletedIds - IDs of assets removed on the server
+     * @returns {Array} Merged asset list
+     */
+    const mergeAssetChanges = (assets, changedAssets, deletedIds) => {
+        const changedById = {};
+        changedAssets.forEach(asset => {
+            changedById[asset.id] = asset;
+        });
+        const deleted = new Set(deletedIds.map(String));
+
+        const merged = assets
+            .filter(asset => !deleted.has(String(asset.id)))
+            .map(asset => {
+                const updated = changedById[asset.id];
+                if (updated) {
+                    delete changedById[asset.id];
+                    return updated;
+                }
+                return asset;
+            });
+
+        changedAssets.forEach(asset => {
+            if (changedById[asset.id] && !deleted.has(String(asset.id))) {
+                merged.push(asset);
+            }
+        });
+
+        return merged;
+    };
+
+    /**
+     * Fetches every page of /assets through a bounded request pool.
+     * The first page is required (it carries the total); later pages that still
+     * fail after retries are reported back instead of failing the whole sync.
+     * @param {Object} run - Sync run (provides the abort signal)
+     * @returns {Promise<{assets: Array, total: number, failedPages: Array<number>}>} Fetch result
+     */
+    const fetchAllAssetPages = async (run) => {
+        const Preferences = global.Views.Preferences;
+        const limit = ASSET_PAGE_LIMIT;
+        const signal = run.controller.signal;
+
+        emit(run, { progress: 5, message: "Connecting to server..." });
+
+        log("Syncing assets page 1...");
+        const first = await API.fetchJson(`/assets?page=1&limit=${limit}`, { signal });
+        const total = first.total || 0;
+        const totalPages = Math.ceil(total / limit);
+        let loaded = (first.assets || []).length;
+
+        /** Reports page progress on a 10-100% scale */
+        const reportProgress = () => {
+            const shown = Math.min(loaded, total);
+            emit(run, {
+                progress: 10 + (total > 0 ? (shown / total) * 90 : 90),
+                message: `Loading assets (${shown}/${total})...`,
+                loaded: shown,
+                total
+            });
+        };
+        reportProgress();
+
+        const pages = [];
+        for (let p = 2; p <= totalPages; p++) {
+            pages.push(p);
+        }
+
+        const concurrency = Preferences ? Preferences.getSyncConcurrency() : DEFAULT_CONCURRENCY;
+        if (pages.length > 0) {
+            log(`Fetching ${pages.length} more pages (${concurrency} at a time)...`);
+        }
+
+        const results = await Utils.runWithConcurrency(pages, concurrency, async (page) => {
+            Utils.throwIfAborted(signal);
+            const data = await API.fetchJson(`/assets?page=${page}&limit=${limit}`, { signal });
+            const assets = data.assets || [];
+            loaded += assets.length;
+            reportProgress();
+            return assets;
+        });
+
+        Utils.throwIfAborted(signal);
+
+        let assets = [...(first.assets || [])];
+        const failedPages = [];
+        results.forEach((result, index) => {
+            if (result.ok) {
+                assets = [...assets, ...result.value];
+            } else {
+                failedPages.push(pages[index]);
+                console.error(`Failed to fetch asset page ${pages[index]}:`, result.error);
+            }
+        });
+
+        return { assets, total, failedPages };
+    };
+
+    /**
+     * Runs a full sync and computes the next catalog
+     * @param {Object} run - Sync run
+     * @returns {Promise<Object>} Outcome to commit
+     */
+    const runFull = async (run) => {
+        const state = State.getState();
+        const fetched = await fetchAllAssetPages(run);
+        const incomplete = fetched.failedPages.length > 0;
+
+        if (incomplete) {
+            log(`Sync incomplete: ${fetched.failedPages.length} pages failed (${fetched.failedPages.join(", ")}).`);
+        }
+
+        return {
+            // Missing pages are not deletions - keep what we already had for them
+            assets: incomplete && state.allAssets.length > 0
+                ? mergeAssetChanges(state.allAssets, fetched.assets, [])
+                : fetched.assets,
+            fetchedCount: fetched.assets.length,
+            total: fetched.total,
+            failedPages: fetched.failedPages,
+            // An incomplete catalog is never a base for delta sync; only advance on success
+            cursor: incomplete ? undefined : run.startedAt,
+            etag: incomplete ? undefined : null,
+            notModified: false
+        };
+    };
+
+    /**
+     * Runs a delta sync, falling back to a full sync when there is no complete
+     * previous sync to build on or the server does not support deltas
+     * @param {Object} run - Sync run
+     * @returns {Promise<Object>} Outcome to commit
+     */
+    const runDelta = async (run) => {
+        const state = State.getState();
+
+        if (!state.syncCursor || state.catalogIncomplete || state.allAssets.length === 0) {
+            log("No complete previous sync to build on, running full sync.");
+            run.mode = "full";
+            return runFull(run);
+        }
+
+        emit(run, { progress: 10, message: "Checking for changes..." });
+        const delta = await API.fetchAssetChanges(state.syncCursor, state.syncEtag, run.controller.signal);
+        Utils.throwIfAborted(run.controller.signal);
+
+        if (!delta) {
+            run.mode = "full";
+            return runFull(run);
+        }
+
+        const assets = mergeAssetChanges(state.allAssets, delta.assets, delta.deletedIds);
+        return {
+            assets,
+            fetchedCount: delta.assets.length,
+            total: assets.length,
+            failedPages: [],
+            // Keep the cursor on 304 so the same conditional request can match the ETag again
+            cursor: delta.notModified ? undefined : (delta.cursor || run.startedAt),
+            etag: delta.etag || null,
+            notModified: delta.notModified
+        };
+    };
+
+    /**
+     * Writes a run's outcome to State and persists the catalog.
+     * Only ever called for the latest run.
+     * @param {Object} outcome - Outcome from runFull/runDelta
+     * @returns {Object} The asset diff (see CatalogStore.diffAssets)
+     */
+    const commit = (outcome) => {
+        const state = State.getState();
+        const diff = CatalogStore.diffAssets(state.allAssets, outcome.assets);
+
+        state.allAssets = outcome.assets;
+        state.catalogIncomplete = outcome.failedPages.length > 0;
+        if (outcome.cursor !== undefined) state.syncCursor = outcome.cursor;
+        if (outcome.etag !== undefined) state.syncEtag = outcome.etag;
+
+        // Drop selections for assets that no longer exist
+        if (diff.removed.length > 0) {
+            const removedIds = diff.removed.map(a => a.id);
+            state.selectedAssetIds = state.selectedAssetIds.filter(id => !removedIds.includes(id));
+        }
+
+        CatalogStore.save({
+            assets: state.allAssets,
+            folders: state.folders,
+            syncCursor: state.syncCursor,
+            syncEtag: state.syncEtag,
+            complete: !state.catalogIncomplete
+        });
+
+        return diff;
+    };
+
+    /**
+     * Executes a run from start to finish
+     * @param {Object} run - Sync run
+     * @returns {Promise<Object|null>} Result, or null if the run was cancelled or superseded
+     */
+    const execute = async (run) => {
+        const startTime = Date.now();
+        engineState = STATES.SYNCING;
+        emit(run, { progress: 0, message: "Connecting to server..." });
+
+        try {
+            const outcome = run.mode === "delta" ? await runDelta(run) : await runFull(run);
+
+            if (run !== currentRun || run.controller.signal.aborted) {
+                log(`Sync #${run.id} superseded, discarding results.`);
+                return null;
+            }
+
+            const diff = commit(outcome);
+            const partial = outcome.failedPages.length > 0;
+            const result = {
+                state: partial ? STATES.PARTIAL : STATES.COMPLETE,
+                mode: run.mode,
+                diff,
+                assetCount: outcome.assets.length,
+                fetchedCount: outcome.fetchedCount,
+                total: outcome.total,
+                failedPages: outcome.failedPages,
+                notModified: outcome.notModified
+            };
+
+            engineState = result.state;
+            run.result = result;
+            log(`Sync #${run.id} (${run.mode}) ${result.state}: ${result.assetCount} assets in ${Date.now() - startTime}ms`);
+            emit(run, { progress: 100, message: `${result.assetCount} assets loaded!`, result });
+            return result;
+        } catch (error) {
+            if (Utils.isAbortError(error) || run !== currentRun) {
+                log(`Sync #${run.id} cancelled.`);
+                return null;
+            }
+
+            console.error(`Sync #${run.id} failed:`, error);
+            engineState = STATES.FAILED;
+            const result = { state: STATES.FAILED, mode: run.mode, error };
+            emit(run, { message: "Failed to sync. Check connection.", result, error });
+            return result;
+        } finally {
+            if (run === currentRun) {
+                currentRun = null;
+            }
+        }
+    };
+
+    /**
+     * Starts a sync. A new sync cancels the one in flight, unless `join` is set and
+     * a sync of the same mode is already running (or finished successfully without
+     * anyone picking it up yet, e.g. the background preload), in which case that one is shared.
+     * @param {Object} [options] - Sync options
+     * @param {string} [options.mode] - "full" or "delta"
+     * @param {string} [options.presentation] - How subscribers should show progress:
+     *   "modal", "status" or "silent"
+     * @param {boolean} [options.join] - Reuse a running sync of the same mode
+     * @returns {Promise<Object|null>} Result ({ state, mode, diff, ... }), or null if cancelled/superseded
+     */
+    const start = (options = {}) => {
+        const mode = options.mode === "delta" ? "delta" : "full";
+        const presentation = options.presentation || "status";
+
+        const run = joinableRun;
+        const canJoin = run && run.mode === mode &&
+            (run === currentRun || (run.result && run.result.state !== STATES.FAILED));
+        if (options.join && canJoin) {
+            log(`Joining sync #${run.id}.`);
+            if (run !== currentRun) {
+                // A finished result is handed out once
+                joinableRun = null;
+            }
+            run.presentation = presentation;
+            // Replay the latest progress so a newly shown modal is not stuck at 0%
+            if (run.lastEvent) {
+                emit(run, { ...run.lastEvent, presentation });
+            }
+            return run.promise;
+        }
+
+        cancel();
+
+        const nextRun = {
+            id: ++runCounter,
+            mode,
+            presentation,
+            controller: new AbortController(),
+            // Anything changed after this moment is picked up by the next delta sync
+            startedAt: new Date().toISOString(),
+            lastEvent: null,
+            result: null,
+            promise: null
+        };
+        currentRun = nextRun;
+        joinableRun = nextRun;
+        log(`Starting sync #${nextRun.id} (${mode}).`);
+        nextRun.promise = execute(nextRun);
+        return nextRun.promise;
+    };
+
+    /**
+     * Cancels the sync in flight, if any. Its results are never written to State.
+     * Also forgets a finished result nobody picked up, so the next sync starts fresh.
+     */
+    const cancel = () => {
+        joinableRun = null;
+        if (!currentRun) return;
+        const run = currentRun;
+        log(`Cancelling sync #${run.id}.`);
+        currentRun = null;
+        run.controller.abort();
+        engineState = STATES.IDLE;
+    };
+
+    /**
+     * Gets the current engine state
+     * @returns {string} One of STATES
+     */
+    const getState = () => engineState;
+
+    /**
+     * Checks whether a sync is in flight
+     * @returns {boolean} True while syncing
+     */
+    const isSyncing = () => currentRun !== null;
+
+    global.Views.SyncEngine = {
+        STATES,
+        subscribe,
+        start,
+        cancel,
+        getState,
+        isSyncing,
+        mergeAssetChanges
+    };
+
+})(window);
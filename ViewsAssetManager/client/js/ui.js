@@ -23,6 +23,7 @@
         searchInput: document.getElementById("searchInput"),
         clearSearchBtn: document.getElementById("clearSearchBtn"),
         searchStats: document.getElementById("searchStats"),
+        searchError: document.getElementById("searchError"),
         // Breadcrumb navigation
         breadcrumbNav: document.getElementById("breadcrumbNav"),
         breadcrumbList: document.getElementById("breadcrumbList"),
@@ -38,6 +39,9 @@
         gridSmall: document.getElementById("gridSmall"),
         gridMedium: document.getElementById("gridMedium"),
         gridLarge: document.getElementById("gridLarge"),
+        sortSelect: document.getElementById("sortSelect"),
+        includeSubfoldersToggle: document.getElementById("includeSubfoldersToggle"),
+        projectFilterToggle: document.getElementById("projectFilterToggle"),
         // Selection bar
         selectionBar: document.getElementById("selectionBar"),
         selectionCount: document.getElementById("selectionCount"),
@@ -71,29 +75,104 @@
         newVersion: document.getElementById("newVersion"),
         // Version badge
         versionBadge: document.getElementById("versionBadge"),
+        connectionIndicator: document.getElementById("connectionIndicator"),
+        profileSwitcher: document.getElementById("profileSwitcher"),
+        profileButton: document.getElementById("profileButton"),
+        profileButtonName: document.getElementById("profileButtonName"),
+        profileMenu: document.getElementById("profileMenu"),
+        profileNameGroup: document.getElementById("profileNameGroup"),
+        profileNameInput: document.getElementById("profileNameInput"),
+        apiKeyDevicesRow: document.getElementById("apiKeyDevicesRow"),
+        apiKeyManageDevicesButton: document.getElementById("apiKeyManageDevicesButton"),
         // Sidebar
         folderSidebar: document.getElementById("folderSidebar"),
         sidebarToggle: document.getElementById("sidebarToggle"),
         // Context menu
         contextMenu: document.getElementById("contextMenu"),
         contextMenuFavoriteText: document.getElementById("contextMenuFavoriteText"),
+        actionMenu: document.getElementById("actionMenu"),
+        // Prompt modal
+        promptModal: document.getElementById("promptModal"),
+        promptForm: document.getElementById("promptForm"),
+        promptTitle: document.getElementById("promptTitle"),
+        promptLabel: document.getElementById("promptLabel"),
+        promptInput: document.getElementById("promptInput"),
+        promptError: document.getElementById("promptError"),
+        promptCancelButton: document.getElementById("promptCancelButton"),
+        promptConfirmButton: document.getElementById("promptConfirmButton"),
         // Sync modal
         syncModal: document.getElementById("syncModal"),
         syncStatus: document.getElementById("syncStatus"),
         syncProgressBar: document.getElementById("syncProgressBar"),
         syncProgressText: document.getElementById("syncProgressText"),
+        syncCancelButton: document.getElementById("syncCancelButton"),
         // Cache notice modal
         cacheNoticeModal: document.getElementById("cacheNoticeModal"),
         cachePath: document.getElementById("cachePath"),
-        cacheNoticeOkButton: document.getElementById("cacheNoticeOkButton")
+        cacheNoticeOkButton: document.getElementById("cacheNoticeOkButton"),
+        // Settings modal
+        settingsModal: document.getElementById("settingsModal"),
+        settingsApiKeyButton: document.getElementById("settingsApiKeyButton"),
+        settingsSignOutButton: document.getElementById("settingsSignOutButton"),
+        settingsDevicesButton: document.getElementById("settingsDevicesButton"),
+        profileSettingsForm: document.getElementById("profileSettingsForm"),
+        settingsProfileName: document.getElementById("settingsProfileName"),
+        profileSettingsError: document.getElementById("profileSettingsError"),
+        settingsDeleteProfileButton: document.getElementById("settingsDeleteProfileButton"),
+        settingsOfflineToggle: document.getElementById("settingsOfflineToggle"),
+        networkSettingsForm: document.getElementById("networkSettingsForm"),
+        settingsApiBaseUrl: document.getElementById("settingsApiBaseUrl"),
+        settingsProxyUrl: document.getElementById("settingsProxyUrl"),
+        settingsProxyUsername: document.getElementById("settingsProxyUsername"),
+        settingsProxyPassword: document.getElementById("settingsProxyPassword"),
+        networkSettingsError: document.getElementById("networkSettingsError"),
+        settingsCachePath: document.getElementById("settingsCachePath"),
+        settingsCacheUsage: document.getElementById("settingsCacheUsage"),
+        settingsCacheLimit: document.getElementById("settingsCacheLimit"),
+        settingsClearCacheButton: document.getElementById("settingsClearCacheButton"),
+        settingsExportButton: document.getElementById("settingsExportButton"),
+        settingsImportButton: document.getElementById("settingsImportButton"),
+        settingsCloseButton: document.getElementById("settingsCloseButton"),
+        // Device modal
+        deviceModal: document.getElementById("deviceModal"),
+        deviceThisName: document.getElementById("deviceThisName"),
+        deviceThisId: document.getElementById("deviceThisId"),
+        deviceListStatus: document.getElementById("deviceListStatus"),
+        deviceList: document.getElementById("deviceList"),
+        deviceError: document.getElementById("deviceError"),
+        deviceTransferButton: document.getElementById("deviceTransferButton"),
+        deviceCloseButton: document.getElementById("deviceCloseButton"),
+        // Import preferences modal
+        backupImportModal: document.getElementById("backupImportModal"),
+        backupImportFile: document.getElementById("backupImportFile"),
+        backupImportSummary: document.getElementById("backupImportSummary"),
+        backupImportWarning: document.getElementById("backupImportWarning"),
+        backupImportWarningText: document.getElementById("backupImportWarningText"),
+        backupImportCancelButton: document.getElementById("backupImportCancelButton"),
+        backupImportConfirmButton: document.getElementById("backupImportConfirmButton")
     };
 
+    /** How long the "Back online" indicator stays visible */
+    const RECONNECTED_INDICATOR_MS = 4000;
+
+    /** Timer hiding the "Back online" indicator */
+    let reconnectedTimer = null;
+
     /** Current context menu target asset */
     let contextMenuAsset = null;
 
     /** Callbacks for context menu actions */
     let contextMenuCallbacks = {};
 
+    /** Drag data type carrying asset IDs (JSON array) */
+    const ASSET_DRAG_TYPE = "application/x-views-asset-ids";
+
+    /** Drag data type carrying a collection ID being reordered */
+    const COLLECTION_DRAG_TYPE = "application/x-views-collection";
+
+    /** @type {{onSelect: Function, onCreate: Function, onMenu: Function, onDropAssets: Function, onReorder: Function}|null} */
+    let collectionHandlers = null;
+
     /**
      * Sync Modal - shown during initial asset sync
      */
@@ -126,6 +205,20 @@
             if (elements.syncProgressText) {
                 elements.syncProgressText.textContent = `${Math.round(p)}%`;
             }
+        },
+
+        /**
+         * Sync engine listener - mirrors progress of modal-presented syncs
+         * @param {Object} event - Sync engine event
+         */
+        handleSyncEvent(event) {
+            if (event.presentation !== "modal") return;
+            if (event.message) {
+                this.setStatus(event.message);
+            }
+            if (typeof event.progress === "number") {
+                this.setProgress(event.progress);
+            }
         }
     };
 
@@ -164,12 +257,501 @@
         }
     };
 
+    /**
+     * Settings Modal - account and cache options
+     */
+    const SettingsModal = {
+        show() {
+            if (elements.settingsModal) {
+                elements.settingsModal.classList.remove("modal--hidden");
+            }
+        },
+
+        hide() {
+            if (elements.settingsModal) {
+                elements.settingsModal.classList.add("modal--hidden");
+            }
+        },
+
+        /**
+         * Fills in the cache section
+         * @param {Object} info - Cache details
+         * @param {string} info.path - Cache folder path
+         * @param {number} info.usedBytes - Size of all indexed files
+         * @param {number} info.fileCount - Number of indexed files
+         * @param {number} info.maxBytes - Size limit (0 = unlimited)
+         */
+        setCacheInfo({ path, usedBytes, fileCount, maxBytes }) {
+            if (elements.settingsCachePath && path) {
+                elements.settingsCachePath.textContent = path;
+            }
+            if (elements.settingsCacheUsage) {
+                const fileLabel = fileCount === 1 ? "file" : "files";
+                const limit = maxBytes > 0 ? ` of ${Utils.formatBytes(maxBytes)}` : "";
+                elements.settingsCacheUsage.textContent =
+                    `${Utils.formatBytes(usedBytes)}${limit} used by ${fileCount} ${fileLabel}`;
+            }
+            if (elements.settingsCacheLimit) {
+                elements.settingsCacheLimit.value = String(maxBytes);
+            }
+        },
+
+        /**
+         * Fills in the profile section
+         * @param {Object} profile - Active profile
+         * @param {string} profile.name - Profile name
+         * @param {boolean} profile.canDelete - False for the only profile
+         */
+        setProfile({ name, canDelete }) {
+            if (!elements.profileSettingsForm) return;
+            elements.settingsProfileName.value = name;
+            elements.settingsDeleteProfileButton.disabled = !canDelete;
+            elements.settingsDeleteProfileButton.title = canDelete ? "" : "The only profile can't be deleted";
+            this.showProfileError("");
+        },
+
+        /**
+         * Shows (or clears, when empty) an error under the profile name
+         * @param {string} message - Error message
+         */
+        showProfileError(message) {
+            if (!elements.profileSettingsError) return;
+            elements.profileSettingsError.textContent = message;
+            elements.profileSettingsError.classList.toggle("form-error--hidden", !message);
+        },
+
+        /**
+         * Fills in the network form
+         * @param {Object} settings - Network settings
+         * @param {string} settings.apiBaseUrl - API endpoint override ("" for the default)
+         * @param {{url: string, username: string, password: string}} settings.proxy - Proxy settings
+         */
+        setNetworkSettings({ apiBaseUrl, proxy }) {
+            if (!elements.networkSettingsForm) return;
+            elements.settingsApiBaseUrl.value = apiBaseUrl || "";
+            elements.settingsProxyUrl.value = proxy.url || "";
+            elements.settingsProxyUsername.value = proxy.username || "";
+            elements.settingsProxyPassword.value = proxy.password || "";
+            this.showNetworkError("");
+        },
+
+        /**
+         * Reads the network form
+         * @returns {{apiBaseUrl: string, proxy: {url: string, username: string, password: string}}} Entered settings
+         */
+        getNetworkSettings() {
+            return {
+                apiBaseUrl: elements.settingsApiBaseUrl.value.trim(),
+                proxy: {
+                    url: elements.settingsProxyUrl.value.trim(),
+                    username: elements.settingsProxyUsername.value.trim(),
+                    password: elements.settingsProxyPassword.value
+                }
+            };
+        },
+
+        /**
+         * Shows (or clears, when empty) an error under the network form
+         * @param {string} message - Error message
+         */
+        showNetworkError(message) {
+            if (!elements.networkSettingsError) return;
+            elements.networkSettingsError.textContent = message;
+            elements.networkSettingsError.classList.toggle("form-error--hidden", !message);
+        },
+
+        init() {
+            if (elements.settingsCloseButton) {
+                elements.settingsCloseButton.addEventListener("click", () => this.hide());
+            }
+
+            if (elements.settingsModal) {
+                const overlay = elements.settingsModal.querySelector(".modal__overlay");
+                if (overlay) {
+                    overlay.addEventListener("click", () => this.hide());
+                }
+            }
+        }
+    };
+
+    /**
+     * Prompt Modal - asks for one line of text, e.g. a collection name
+     */
+    const PromptModal = {
+        /** @type {{resolve: Function, validate: Function|null}|null} */
+        pending: null,
+
+        /**
+         * Opens the prompt
+         * @param {Object} options - Prompt options
+         * @param {string} options.title - Modal title
+         * @param {string} options.label - Input label
+         * @param {string} [options.value] - Initial text
+         * @param {string} [options.confirmLabel] - Confirm button text (default "OK")
+         * @param {number} [options.maxLength] - Longest allowed input
+         * @param {Function} [options.validate] - Returns an error message for the trimmed input, or ""
+         * @returns {Promise<string|null>} Trimmed input, or null if cancelled
+         */
+        show(options) {
+            if (this.pending) this.close(null);
+
+            elements.promptTitle.textContent = options.title;
+            elements.promptLabel.textContent = options.label;
+            elements.promptConfirmButton.textContent = options.confirmLabel || "OK";
+            elements.promptInput.value = options.value || "";
+            if (options.maxLength) {
+                elements.promptInput.maxLength = options.maxLength;
+            } else {
+                elements.promptInput.removeAttribute("maxlength");
+            }
+            this.showError("");
+            elements.promptModal.classList.remove("modal--hidden");
+            elements.promptInput.focus();
+            elements.promptInput.select();
+
+            return new Promise(resolve => {
+                this.pending = { resolve, validate: options.validate || null };
+            });
+        },
+
+        /**
+         * Closes the prompt and settles its promise
+         * @param {string|null} value - Result
+         */
+        close(value) {
+            elements.promptModal.classList.add("modal--hidden");
+            const pending = this.pending;
+            this.pending = null;
+            if (pending) pending.resolve(value);
+        },
+
+        /**
+         * Shows (or clears, when empty) an error under the input
+         * @param {string} message - Error message
+         */
+        showError(message) {
+            elements.promptError.textContent = message;
+            elements.promptError.classList.toggle("form-error--hidden", !message);
+        },
+
+        /**
+         * Checks whether the prompt is open
+         * @returns {boolean} True if open
+         */
+        isOpen() {
+            return !!this.pending;
+        },
+
+        init() {
+            if (!elements.promptModal) return;
+
+            elements.promptForm.addEventListener("submit", (e) => {
+                e.preventDefault();
+                if (!this.pending) return;
+                const value = elements.promptInput.value.trim();
+                const error = this.pending.validate ? this.pending.validate(value) : "";
+                if (error) {
+                    this.showError(error);
+                    return;
+                }
+                this.close(value);
+            });
+            elements.promptCancelButton.addEventListener("click", () => this.close(null));
+            elements.promptModal.querySelector(".modal__overlay").addEventListener("click", () => this.close(null));
+            elements.promptInput.addEventListener("keydown", (e) => {
+                if (e.key === "Escape") {
+                    e.stopPropagation();
+                    this.close(null);
+                }
+            });
+        }
+    };
+
+    /**
+     * Import Preferences Modal - describes a preferences file and asks whether to merge or replace
+     */
+    const BackupImportModal = {
+        /** @type {Function|null} */
+        resolve: null,
+
+        /**
+         * Opens the modal
+         * @param {Object} details - What the file holds
+         * @param {string} details.fileName - Name of the chosen file
+         * @param {string} details.summary - What will be imported
+         * @param {string} [details.warning] - Shown highlighted when set (e.g. unknown assets)
+         * @returns {Promise<string|null>} "merge" or "replace", or null if cancelled
+         */
+        show({ fileName, summary, warning = "" }) {
+            if (this.resolve) this.close(null);
+
+            elements.backupImportFile.textContent = fileName;
+            elements.backupImportSummary.textContent = summary;
+            elements.backupImportWarningText.textContent = warning;
+            elements.backupImportWarning.classList.toggle("hidden", !warning);
+            elements.backupImportModal.querySelector('input[value="merge"]').checked = true;
+            elements.backupImportModal.classList.remove("modal--hidden");
+            elements.backupImportConfirmButton.focus();
+
+            return new Promise(resolve => {
+                this.resolve = resolve;
+            });
+        },
+
+        /**
+         * Closes the modal and settles its promise
+         * @param {string|null} mode - Chosen mode
+         */
+        close(mode) {
+            elements.backupImportModal.classList.add("modal--hidden");
+            const resolve = this.resolve;
+            this.resolve = null;
+            if (resolve) resolve(mode);
+        },
+
+        init() {
+            if (!elements.backupImportModal) return;
+
+            elements.backupImportConfirmButton.addEventListener("click", () => {
+                const selected = elements.backupImportModal.querySelector('input[name="backupImportMode"]:checked');
+                this.close(selected ? selected.value : "merge");
+            });
+            elements.backupImportCancelButton.addEventListener("click", () => this.close(null));
+            elements.backupImportModal.querySelector(".modal__overlay").addEventListener("click", () => this.close(null));
+        }
+    };
+
+    /**
+     * Device Modal - this device's ID and the devices registered to an API key
+     */
+    const DeviceModal = {
+        /** @type {{onRelease: Function, onTransfer: Function}|null} */
+        callbacks: null,
+
+        show() {
+            if (elements.deviceModal) {
+                elements.deviceModal.classList.remove("modal--hidden");
+            }
+        },
+
+        hide() {
+            if (elements.deviceModal) {
+                elements.deviceModal.classList.add("modal--hidden");
+            }
+        },
+
+        /**
+         * Shows which device this is
+         * @param {Object} device - This device
+         * @param {string} device.id - Device ID sent to the API
+         * @param {string} [device.name] - Computer name
+         */
+        setThisDevice({ id, name }) {
+            if (!elements.deviceModal) return;
+            elements.deviceThisName.textContent = name || "This computer";
+            elements.deviceThisId.textContent = id;
+        },
+
+        /**
+         * Shows a loading or info line above the list (hidden when empty)
+         * @param {string} message - Status text
+         */
+        setStatus(message) {
+            if (!elements.deviceListStatus) return;
+            elements.deviceListStatus.textContent = message;
+            elements.deviceListStatus.classList.toggle("hidden", !message);
+        },
+
+        /**
+         * Renders the registered devices, each with a Release button
+         * @param {Array<{id: string, name: string, platform: string|null, lastSeenAt: string|null, current: boolean}>} devices
+         *   Devices from API.fetchDevices
+         */
+        render(devices) {
+            if (!elements.deviceList) return;
+            const list = elements.deviceList;
+            list.innerHTML = "";
+
+            devices.forEach(device => {
+                const item = document.createElement("li");
+                item.className = "device-list__item";
+
+                const info = document.createElement("div");
+                info.className = "device-list__info";
+                const name = document.createElement("div");
+                name.className = "device-list__name";
+                name.textContent = device.name;
+                if (device.current) {
+                    const badge = document.createElement("span");
+                    badge.className = "device-list__badge";
+                    badge.textContent = "This device";
+                    name.appendChild(badge);
+                }
+                const meta = document.createElement("div");
+                meta.className = "device-list__meta";
+                const lastSeen = device.lastSeenAt ? new Date(device.lastSeenAt) : null;
+                meta.textContent = [
+                    device.platform,
+                    lastSeen && !isNaN(lastSeen) ? `last used ${lastSeen.toLocaleDateString()}` : null,
+                    device.id
+                ].filter(Boolean).join(" · ");
+                meta.title = device.id;
+                info.appendChild(name);
+                info.appendChild(meta);
+
+                const release = document.createElement("button");
+                release.type = "button";
+                release.className = "btn btn--secondary btn--small";
+                release.textContent = "Release";
+                release.addEventListener("click", () => {
+                    if (this.callbacks) this.callbacks.onRelease(device, release);
+                });
+
+                item.appendChild(info);
+                item.appendChild(release);
+                list.appendChild(item);
+            });
+        },
+
+        /**
+         * Enables or disables the transfer button
+         * @param {boolean} enabled - Whether a transfer can be started
+         */
+        setTransferEnabled(enabled) {
+            if (elements.deviceTransferButton) {
+                elements.deviceTransferButton.disabled = !enabled;
+            }
+        },
+
+        /**
+         * Shows (or clears, when empty) an error under the list
+         * @param {string} message - Error message
+         */
+        showError(message) {
+            if (!elements.deviceError) return;
+            elements.deviceError.textContent = message;
+            elements.deviceError.classList.toggle("form-error--hidden", !message);
+        },
+
+        /**
+         * Wires up the modal buttons
+         * @param {{onRelease: Function, onTransfer: Function}} callbacks - Called with (device, button) to
+         *   release a device / to transfer the key to this device
+         */
+        init(callbacks) {
+            if (!elements.deviceModal) return;
+            this.callbacks = callbacks;
+
+            elements.deviceCloseButton.addEventListener("click", () => this.hide());
+            elements.deviceTransferButton.addEventListener("click", () => this.callbacks.onTransfer());
+            const overlay = elements.deviceModal.querySelector(".modal__overlay");
+            if (overlay) {
+                overlay.addEventListener("click", () => this.hide());
+            }
+        }
+    };
+
+    /**
+     * Profile Switcher - header button and menu for switching account profiles
+     */
+    const ProfileSwitcher = {
+        /** @type {{onSelect: Function, onAdd: Function}|null} */
+        callbacks: null,
+
+        /**
+         * Shows the active profile and rebuilds the menu
+         * @param {Array<{id: string, name: string}>} profiles - All profiles
+         * @param {string} activeId - Active profile ID
+         */
+        render(profiles, activeId) {
+            if (!elements.profileSwitcher) return;
+            const active = profiles.find(p => p.id === activeId);
+            elements.profileButtonName.textContent = active ? active.name : "";
+            elements.profileSwitcher.classList.remove("hidden");
+
+            const menu = elements.profileMenu;
+            menu.innerHTML = "";
+            profiles.forEach(profile => {
+                const item = document.createElement("button");
+                item.type = "button";
+                item.className = "context-menu__item" + (profile.id === activeId ? " context-menu__item--active" : "");
+                item.setAttribute("role", "menuitem");
+                item.textContent = profile.name;
+                item.addEventListener("click", () => {
+                    this.hideMenu();
+                    if (profile.id !== activeId && this.callbacks) this.callbacks.onSelect(profile.id);
+                });
+                menu.appendChild(item);
+            });
+
+            const divider = document.createElement("div");
+            divider.className = "context-menu__divider";
+            menu.appendChild(divider);
+
+            const addItem = document.createElement("button");
+            addItem.type = "button";
+            addItem.className = "context-menu__item";
+            addItem.setAttribute("role", "menuitem");
+            addItem.textContent = "Add profile...";
+            addItem.addEventListener("click", () => {
+                this.hideMenu();
+                if (this.callbacks) this.callbacks.onAdd();
+            });
+            menu.appendChild(addItem);
+        },
+
+        /**
+         * Checks whether the menu is open
+         * @returns {boolean} True if open
+         */
+        isMenuOpen() {
+            return !!elements.profileMenu && !elements.profileMenu.classList.contains("hidden");
+        },
+
+        showMenu() {
+            elements.profileMenu.classList.remove("hidden");
+            elements.profileButton.setAttribute("aria-expanded", "true");
+        },
+
+        hideMenu() {
+            if (!elements.profileMenu) return;
+            elements.profileMenu.classList.add("hidden");
+            elements.profileButton.setAttribute("aria-expanded", "false");
+        },
+
+        /**
+         * Wires up the button and closing the menu on outside clicks
+         * @param {{onSelect: Function, onAdd: Function}} callbacks - Called with the chosen profile ID / to add one
+         */
+        init(callbacks) {
+            if (!elements.profileSwitcher) return;
+            this.callbacks = callbacks;
+
+            elements.profileButton.addEventListener("click", () => {
+                if (this.isMenuOpen()) {
+                    this.hideMenu();
+                } else {
+                    this.showMenu();
+                }
+            });
+            document.addEventListener("click", (e) => {
+                if (this.isMenuOpen() && !elements.profileSwitcher.contains(e.target)) {
+                    this.hideMenu();
+                }
+            });
+            document.addEventListener("keydown", (e) => {
+                if (e.key === "Escape") this.hideMenu();
+            });
+        }
+    };
+
     const LoadingOverlay = {
         el: document.getElementById("loadingOverlay"),
         title: document.getElementById("loadingTitle"),
         message: document.getElementById("loadingMessage"),
         progressContainer: document.getElementById("loadingProgress"),
         progressBar: document.getElementById("loadingProgressBar"),
+        cancelButton: document.getElementById("loadingCancelButton"),
         
         show(title = "Loading...", message = "Please wait") {
             this.title.textContent = title;
@@ -180,6 +762,28 @@
         
         hide() {
             this.el.classList.add("loading-overlay--hidden");
+            this.setCancelHandler(null);
+        },
+
+        /**
+         * Shows a Cancel button that calls the handler once, or hides it when null
+         * @param {Function|null} handler - Called when the user cancels
+         */
+        setCancelHandler(handler) {
+            if (!this.cancelButton) return;
+            this.cancelButton.disabled = false;
+            this.cancelButton.textContent = "Cancel";
+            if (!handler) {
+                this.cancelButton.classList.add("hidden");
+                this.cancelButton.onclick = null;
+                return;
+            }
+            this.cancelButton.classList.remove("hidden");
+            this.cancelButton.onclick = () => {
+                this.cancelButton.disabled = true;
+                this.cancelButton.textContent = "Cancelling...";
+                handler();
+            };
         },
         
         update(message) {
@@ -187,12 +791,22 @@
         },
         
         showProgress(percent) {
-            this.progressContainer.classList.remove("hidden");
+            this.progressContainer.classList.remove("hidden", "progress-bar-container--indeterminate");
             this.progressBar.style.width = `${Math.max(0, Math.min(100, percent))}%`;
         },
+
+        /**
+         * Shows an animated bar for work of unknown size
+         */
+        showIndeterminate() {
+            this.progressContainer.classList.remove("hidden");
+            this.progressContainer.classList.add("progress-bar-container--indeterminate");
+            this.progressBar.style.width = "";
+        },
         
         hideProgress() {
             this.progressContainer.classList.add("hidden");
+            this.progressContainer.classList.remove("progress-bar-container--indeterminate");
             this.progressBar.style.width = "0%";
         }
     };
@@ -203,13 +817,29 @@
     /** How long to show status messages before auto-hiding (5 seconds) */
     const STATUS_AUTO_HIDE_MS = 5000;
 
+    /** How long to show status messages that offer an action */
+    const STATUS_ACTION_HIDE_MS = 10000;
+
+    /** Handlers for error recovery actions, registered by main (see Errors.RECOVERY) */
+    let recoveryHandlers = {};
+
+    /** Button labels for error recovery actions */
+    const RECOVERY_LABELS = {
+        "api-key": "Update API key",
+        "network-settings": "Network settings",
+        "go-online": "Go online",
+        "manage-devices": "Manage devices",
+        "retry": "Try again"
+    };
+
     /**
      * Sets the status message with optional auto-hide
      * @param {string} message - Status message to display
      * @param {string} tone - Tone of the message (info, success, error)
      * @param {boolean} autoHide - Whether to auto-hide after timeout (default: true)
+     * @param {{label: string, onClick: Function}} [action] - Button shown after the message
      */
-    const setStatus = (message = "", tone = "info", autoHide = true) => {
+    const setStatus = (message = "", tone = "info", autoHide = true, action = null) => {
         // Clear any existing timer
         if (statusHideTimer) {
             clearTimeout(statusHideTimer);
@@ -225,13 +855,60 @@
         elements.status.textContent = message;
         elements.status.className = `status status--${tone}`;
 
-        // Auto-hide after 5 seconds (except for persistent messages)
+        if (action) {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "status__action";
+            button.textContent = action.label;
+            button.addEventListener("click", () => {
+                setStatus("");
+                action.onClick();
+            });
+            elements.status.appendChild(button);
+        }
+
+        // Auto-hide after 5 seconds (except for persistent messages); leave time to use an action
         if (autoHide) {
             statusHideTimer = setTimeout(() => {
                 elements.status.className = "status status--hidden";
                 statusHideTimer = null;
-            }, STATUS_AUTO_HIDE_MS);
+            }, action ? STATUS_ACTION_HIDE_MS : STATUS_AUTO_HIDE_MS);
+        }
+    };
+
+    /**
+     * Registers what each error recovery action does
+     * @param {Object<string, Function>} handlers - Handlers keyed by Errors.RECOVERY value
+     */
+    const setRecoveryHandlers = (handlers) => {
+        recoveryHandlers = { ...recoveryHandlers, ...handlers };
+    };
+
+    /**
+     * Shows an error in the status bar with the recovery action its type calls for
+     * @param {Error} error - Error to show (typed errors get their user message and recovery)
+     * @param {Object} [options] - Display options
+     * @param {string} [options.context] - What failed, e.g. "Failed to sync assets"; prefixed to typed errors
+     * @param {string} [options.fallback] - Shown instead of the message of an untyped error
+     * @param {Function} [options.onRetry] - Offered as "Try again" for retryable errors
+     */
+    const showError = (error, options = {}) => {
+        const { context, fallback, onRetry } = options;
+        const Errors = global.Views.Errors;
+
+        let message;
+        if (error instanceof Errors.ViewsError) {
+            message = context ? `${context}: ${error.userMessage}` : error.userMessage;
+        } else {
+            message = fallback || Errors.getUserMessage(error, context);
         }
+
+        const recovery = Errors.getRecovery(error) ||
+            (error && error.retryable ? Errors.RECOVERY.RETRY : null);
+        const handler = recovery === Errors.RECOVERY.RETRY ? onRetry : recoveryHandlers[recovery];
+        const action = handler ? { label: RECOVERY_LABELS[recovery], onClick: handler } : null;
+
+        setStatus(message, "error", true, action);
     };
 
     const setLoading = (shouldShow) => {
@@ -406,10 +1083,14 @@
      * @param {Function} onFolderSelect - Callback when a folder is clicked
      */
     const renderFolders = (folders, onFolderSelect) => {
-        // Clear existing custom folders (keep "All Assets" and "Favorites")
-        const existingItems = elements.folderList.querySelectorAll('.folder-item:not([data-folder-id="all"]):not([data-folder-id="favorites"])');
+        // Clear existing custom folders (keep "All Assets", "Favorites" and "Recent")
+        const existingItems = elements.folderList.querySelectorAll(
+            '.folder-item:not([data-folder-id="all"]):not([data-folder-id="favorites"]):not([data-folder-id="recent"])');
         existingItems.forEach(item => item.remove());
 
+        const Preferences = global.Views.Preferences;
+        renderCollections(Preferences ? Preferences.getCollections() : []);
+
         // Initialize counts to "-" until loaded
         const allItem = elements.folderList.querySelector('[data-folder-id="all"] .folder-item__count');
         if (allItem) allItem.textContent = "-";
@@ -417,6 +1098,9 @@
         const favItem = elements.folderList.querySelector('[data-folder-id="favorites"] .folder-item__count');
         if (favItem) favItem.textContent = "-";
 
+        const recentItem = elements.folderList.querySelector('[data-folder-id="recent"] .folder-item__count');
+        if (recentItem) recentItem.textContent = "-";
+
         // Build tree structure
         const { rootFolders, childrenMap } = buildFolderTree(folders);
         
@@ -604,15 +1288,182 @@
         }
     };
 
+    /**
+     * Marks a folder item as active in the sidebar
+     * @param {string} folderId - The folder ID to highlight
+     */
+    /**
+     * Registers what the collection entries in the sidebar do
+     * @param {{onSelect: Function, onCreate: Function, onMenu: Function, onDropAssets: Function, onReorder: Function}} handlers
+     *   onSelect(folderId), onCreate(), onMenu(collection, x, y), onDropAssets(collectionId, assetIds),
+     *   onReorder(collectionId, index)
+     */
+    const setCollectionHandlers = (handlers) => {
+        collectionHandlers = handlers;
+    };
+
+    /**
+     * Checks whether a drag carries a given data type
+     * @param {DragEvent} e - Drag event
+     * @param {string} type - Data type
+     * @returns {boolean} True if carried
+     */
+    const dragHasType = (e, type) => Array.from(e.dataTransfer.types || []).includes(type);
+
+    /**
+     * Creates the sidebar entry for a collection. Assets can be dropped on it, and
+     * collections can be dragged onto each other to reorder them.
+     * @param {{id: string, name: string}} collection - Collection
+     * @param {number} index - Position in the collection list
+     * @returns {HTMLElement} The folder list item
+     */
+    const createCollectionItem = (collection, index) => {
+        const folderId = global.Views.FolderController.getCollectionFolderId(collection.id);
+        const li = document.createElement("li");
+        li.className = "folder-item folder-item--collection";
+        li.dataset.folderId = folderId;
+        li.dataset.collectionId = collection.id;
+        li.draggable = true;
+
+        const spacer = document.createElement("span");
+        spacer.className = "folder-item__toggle-spacer";
+
+        const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        svg.setAttribute("width", "14");
+        svg.setAttribute("height", "14");
+        svg.setAttribute("viewBox", "0 0 24 24");
+        svg.setAttribute("fill", "currentColor");
+        const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M4 6h16v2H4zm2-4h12v2H6zm-2 8h16a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2z");
+        svg.appendChild(path);
+
+        const nameSpan = document.createElement("span");
+        nameSpan.className = "folder-item__name";
+        nameSpan.textContent = collection.name;
+        nameSpan.title = collection.name;
+
+        const countSpan = document.createElement("span");
+        countSpan.className = "folder-item__count";
+        countSpan.textContent = "-";
+
+        li.appendChild(spacer);
+        li.appendChild(svg);
+        li.appendChild(nameSpan);
+        li.appendChild(countSpan);
+
+        li.addEventListener("click", () => {
+            if (collectionHandlers) collectionHandlers.onSelect(folderId);
+        });
+        li.addEventListener("contextmenu", (e) => {
+            e.preventDefault();
+            if (collectionHandlers) collectionHandlers.onMenu(collection, e.clientX, e.clientY);
+        });
+
+        li.addEventListener("dragstart", (e) => {
+            e.dataTransfer.setData(COLLECTION_DRAG_TYPE, collection.id);
+            e.dataTransfer.effectAllowed = "move";
+            li.classList.add("folder-item--dragging");
+        });
+        li.addEventListener("dragend", () => li.classList.remove("folder-item--dragging"));
+        li.addEventListener("dragover", (e) => {
+            const isAssets = dragHasType(e, ASSET_DRAG_TYPE);
+            if (!isAssets && !dragHasType(e, COLLECTION_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = isAssets ? "copy" : "move";
+            li.classList.add("folder-item--drop-target");
+        });
+        li.addEventListener("dragleave", () => li.classList.remove("folder-item--drop-target"));
+        li.addEventListener("drop", (e) => {
+            e.preventDefault();
+            li.classList.remove("folder-item--drop-target");
+            if (!collectionHandlers) return;
+
+            if (dragHasType(e, ASSET_DRAG_TYPE)) {
+                try {
+                    const assetIds = JSON.parse(e.dataTransfer.getData(ASSET_DRAG_TYPE));
+                    if (Array.isArray(assetIds)) collectionHandlers.onDropAssets(collection.id, assetIds);
+                } catch (error) {
+                    console.error("Invalid asset drop:", error);
+                }
+            } else {
+                const draggedId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+                if (draggedId && draggedId !== collection.id) collectionHandlers.onReorder(draggedId, index);
+            }
+        });
+
+        return li;
+    };
+
+    /**
+     * Renders the collections section of the sidebar, after Favorites and Recent
+     * @param {Array<{id: string, name: string}>} collections - Collections in display order
+     */
+    const renderCollections = (collections) => {
+        elements.folderList.querySelectorAll(".folder-list__heading, .folder-item--collection").forEach(el => el.remove());
+        const anchorItem = elements.folderList.querySelector('[data-folder-id="recent"]') ||
+            elements.folderList.querySelector('[data-folder-id="favorites"]');
+        if (!anchorItem) return;
+
+        const heading = document.createElement("li");
+        heading.className = "folder-list__heading";
+        const title = document.createElement("span");
+        title.textContent = "Collections";
+        const addButton = document.createElement("button");
+        addButton.type = "button";
+        addButton.className = "folder-list__add";
+        addButton.title = "New collection";
+        addButton.setAttribute("aria-label", "New collection");
+        addButton.textContent = "+";
+        addButton.addEventListener("click", () => {
+            if (collectionHandlers) collectionHandlers.onCreate();
+        });
+        heading.appendChild(title);
+        heading.appendChild(addButton);
+
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(heading);
+        collections.forEach((collection, index) => fragment.appendChild(createCollectionItem(collection, index)));
+        anchorItem.after(fragment);
+    };
+
+    const setActiveFolder = (folderId) => {
+        elements.folderList.querySelectorAll(".folder-item").forEach((item) => {
+            item.classList.toggle("folder-item--active", item.dataset.folderId === String(folderId));
+        });
+    };
+
     /**
      * Updates the asset count display for a specific folder
      * @param {string} folderId - The folder ID
-     * @param {number} count - The total count of assets
+     * @param {number} count - Assets directly in the folder
+     * @param {number} [totalCount] - Assets including subfolders (shown when it differs)
      */
-    const updateFolderCount = (folderId, count) => {
+    const updateFolderCount = (folderId, count, totalCount = count) => {
         const countSpan = elements.folderList.querySelector(`.folder-item[data-folder-id="${folderId}"] .folder-item__count`);
         if (countSpan) {
-            countSpan.textContent = count;
+            const hasNested = totalCount > count;
+            countSpan.textContent = hasNested ? `${count} / ${totalCount}` : count;
+            countSpan.title = hasNested ? `${count} in this folder, ${totalCount} including subfolders` : "";
+        }
+    };
+
+    /**
+     * Shows the include-subfolders option
+     * @param {boolean} enabled - Whether subfolder assets are shown
+     */
+    const setIncludeSubfolders = (enabled) => {
+        if (elements.includeSubfoldersToggle) {
+            elements.includeSubfoldersToggle.checked = enabled;
+        }
+    };
+
+    /**
+     * Shows the "This project" filter
+     * @param {boolean} enabled - Whether only assets imported into the open project are shown
+     */
+    const setProjectFilter = (enabled) => {
+        if (elements.projectFilterToggle) {
+            elements.projectFilterToggle.checked = enabled;
         }
     };
 
@@ -623,14 +1474,24 @@
      * @returns {HTMLElement} Article element containing the asset card
      */
     const createAssetCard = (asset, callbacks) => {
-        const { onImport, onPreview, onSelect, onFavorite, isSelected } = callbacks;
+        const { onImport, onPreview, onSelect, onFavorite, isSelected, isCached, getHighlightRanges } = callbacks;
         const Preferences = global.Views.Preferences;
         
+        const cached = isCached ? isCached(asset.id) : true;
         const card = document.createElement("article");
-        card.className = "asset-card" + (isSelected ? " asset-card--selected" : "");
+        card.className = "asset-card" + (isSelected ? " asset-card--selected" : "") + (cached ? "" : " asset-card--uncached");
         card.dataset.assetId = asset.id;
         const displayName = Utils.getDisplayName(asset.name || asset.id);
 
+        // Cards can be dropped on a collection; a selected card brings the whole selection
+        card.draggable = true;
+        card.addEventListener("dragstart", (e) => {
+            const selectedIds = callbacks.getSelectedIds ? callbacks.getSelectedIds() : [];
+            const assetIds = selectedIds.includes(asset.id) ? selectedIds : [asset.id];
+            e.dataTransfer.setData(ASSET_DRAG_TYPE, JSON.stringify(assetIds));
+            e.dataTransfer.effectAllowed = "copy";
+        });
+
         // Selection checkbox
         const checkbox = document.createElement("div");
         checkbox.className = "asset-card__select";
@@ -682,6 +1543,7 @@
         img.alt = displayName || "Asset thumbnail";
         img.src = asset.thumbnail || PLACEHOLDER_THUMB;
         img.loading = "lazy";
+        img.draggable = false;
         // Click on image opens preview, double-click imports
         img.style.cursor = "pointer";
         img.addEventListener("click", () => {
@@ -696,7 +1558,7 @@
 
         const title = document.createElement("p");
         title.className = "asset-card__title";
-        title.textContent = displayName || "Untitled asset";
+        setHighlightedText(title, displayName || "Untitled asset", getHighlightRanges ? getHighlightRanges(displayName) : []);
         title.title = displayName;
 
         // Actions container
@@ -744,12 +1606,68 @@
 
         card.appendChild(checkbox);
         card.appendChild(favoriteBtn);
+        if (isCached && cached) {
+            card.appendChild(createCachedBadge());
+        }
         card.appendChild(img);
         card.appendChild(title);
         card.appendChild(actions);
         return card;
     };
 
+    /**
+     * Fills an element with text, wrapping the given ranges in <mark> (search matches)
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} text - Text to show
+     * @param {Array<{start: number, end: number}>} ranges - Sorted, non-overlapping ranges to highlight
+     */
+    const setHighlightedText = (element, text, ranges) => {
+        element.textContent = "";
+        let position = 0;
+        ranges.forEach(({ start, end }) => {
+            if (start > position) {
+                element.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+            const mark = document.createElement("mark");
+            mark.className = "asset-card__match";
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) {
+            element.appendChild(document.createTextNode(text.slice(position)));
+        }
+    };
+
+    /**
+     * Creates the badge marking an asset whose file is already downloaded
+     * @returns {HTMLElement} Badge element
+     */
+    const createCachedBadge = () => {
+        const badge = document.createElement("span");
+        badge.className = "asset-card__badge asset-card__badge--cached";
+        badge.textContent = "Cached";
+        badge.title = "Imports instantly from the local cache";
+        return badge;
+    };
+
+    /**
+     * Shows or hides the cached badge on an asset's card, if it is displayed
+     * @param {string} assetId - Asset ID
+     * @param {boolean} cached - Whether the asset is cached
+     */
+    const setAssetCardCached = (assetId, cached) => {
+        const card = elements.grid.querySelector(`.asset-card[data-asset-id="${assetId}"]`);
+        if (!card) return;
+        card.classList.toggle("asset-card--uncached", !cached);
+        const badge = card.querySelector(".asset-card__badge--cached");
+        if (cached && !badge) {
+            card.insertBefore(createCachedBadge(), card.querySelector(".asset-card__thumb"));
+        } else if (!cached && badge) {
+            badge.remove();
+        }
+    };
+
     /**
      * Renders assets to the grid
      * @param {Array} assets - Array of asset objects to render
@@ -786,6 +1704,8 @@
                 text.textContent = `No assets found for "${searchQuery}"`;
             } else if (selectedFolderId === "all") {
                 text.textContent = "No assets available.";
+            } else if (selectedFolderId === "recent") {
+                text.textContent = "Nothing imported yet.";
             } else {
                 text.textContent = "No assets in this folder.";
             }
@@ -819,6 +1739,59 @@
         log(`Rendered ${assets.length} assets.`);
     };
 
+    /**
+     * Patches the grid to show the given assets, reusing existing cards by asset ID.
+     * Only new or changed cards are rebuilt; cards no longer shown are removed.
+     * Falls back to a full render when there is nothing to reuse.
+     * @param {Array} assets - Array of asset objects to show, in display order
+     * @param {string} selectedFolderId - ID of the current folder
+     * @param {Object} callbacks - Callbacks object with onImport, onPreview, onSelect, getSelectedIds
+     * @param {string} [searchQuery] - Optional search query for empty state message
+     * @param {Array<string>} [changedIds] - IDs of assets whose cards must be rebuilt
+     */
+    const patchAssets = (assets, selectedFolderId, callbacks, searchQuery = "", changedIds = []) => {
+        const existingCards = {};
+        elements.grid.querySelectorAll(".asset-card[data-asset-id]").forEach(card => {
+            existingCards[card.dataset.assetId] = card;
+        });
+
+        if (!assets.length || Object.keys(existingCards).length === 0) {
+            renderAssets(assets, selectedFolderId, callbacks, searchQuery);
+            return;
+        }
+
+        const selectedIds = callbacks.getSelectedIds ? callbacks.getSelectedIds() : [];
+        const fragment = document.createDocumentFragment();
+        let rebuilt = 0;
+
+        assets.forEach(asset => {
+            let card = existingCards[asset.id];
+            delete existingCards[asset.id];
+
+            if (!card || changedIds.includes(asset.id)) {
+                card = createAssetCard(asset, { ...callbacks, isSelected: selectedIds.includes(asset.id) });
+                rebuilt++;
+            } else {
+                // Moving an existing card must not replay its entrance animation
+                card.classList.add("asset-card--settled");
+            }
+            fragment.appendChild(card);
+        });
+
+        // Remove cards that are no longer shown, plus any empty-state placeholder
+        Object.keys(existingCards).forEach(id => existingCards[id].remove());
+        elements.grid.querySelectorAll(".asset-grid__empty").forEach(el => el.remove());
+
+        const sentinel = document.getElementById("scrollSentinel");
+        if (sentinel && elements.grid.contains(sentinel)) {
+            elements.grid.insertBefore(fragment, sentinel);
+        } else {
+            elements.grid.appendChild(fragment);
+        }
+
+        log(`Patched grid: ${assets.length} assets (${rebuilt} rebuilt).`);
+    };
+
     /**
      * Appends additional assets to the grid (for infinite scroll)
      * Does not clear existing content, just adds new items
@@ -904,15 +1877,29 @@
     /**
      * Shows the API key setup modal
      * @param {boolean} isRequired - Whether the modal can be cancelled
+     * @param {Object} [options] - Modal options
+     * @param {boolean} [options.newProfile] - Ask for a profile name too (adding a profile)
      */
-    const showApiKeyModal = (isRequired = false) => {
+    const showApiKeyModal = (isRequired = false, options = {}) => {
+        const { newProfile = false } = options;
         elements.apiKeyModal.classList.remove("modal--hidden");
         elements.apiKeyInput.value = "";
         elements.apiKeyError.classList.add("form-error--hidden");
         elements.apiKeyError.textContent = "";
         elements.cancelApiKeyButton.style.display = isRequired ? "none" : "inline-flex";
-        elements.apiKeyInput.focus();
-        log(isRequired ? "Showing required API key setup" : "Showing API key settings");
+        if (elements.apiKeyDevicesRow) {
+            elements.apiKeyDevicesRow.classList.add("hidden");
+        }
+
+        // The same form adds a profile: it then also asks for the profile's name
+        elements.apiKeyModal.querySelector(".modal__header h2").textContent = newProfile ? "Add Profile" : "API Key Setup";
+        elements.saveApiKeyButton.textContent = newProfile ? "Add Profile" : "Save Key";
+        if (elements.profileNameGroup) {
+            elements.profileNameGroup.classList.toggle("hidden", !newProfile);
+            elements.profileNameInput.value = "";
+        }
+        (newProfile ? elements.profileNameInput : elements.apiKeyInput).focus();
+        log(newProfile ? "Showing add profile form" : isRequired ? "Showing required API key setup" : "Showing API key settings");
     };
 
     /**
@@ -927,10 +1914,15 @@
     /**
      * Shows an error in the API key form
      * @param {string} message - Error message to display
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.manageDevices] - Offer to manage the key's devices (key bound elsewhere)
      */
-    const showApiKeyError = (message) => {
+    const showApiKeyError = (message, options = {}) => {
         elements.apiKeyError.textContent = message;
         elements.apiKeyError.classList.remove("form-error--hidden");
+        if (elements.apiKeyDevicesRow) {
+            elements.apiKeyDevicesRow.classList.toggle("hidden", !options.manageDevices);
+        }
     };
 
     /**
@@ -996,6 +1988,19 @@
         }
     };
 
+    /**
+     * Shows (or clears, when empty) a problem with the search query under the search bar
+     * @param {string} message - Error message
+     */
+    const showSearchError = (message) => {
+        if (!elements.searchError) return;
+        elements.searchError.textContent = message;
+        elements.searchError.classList.toggle("hidden", !message);
+        if (elements.searchInput) {
+            elements.searchInput.classList.toggle("search-input--invalid", !!message);
+        }
+    };
+
     /**
      * Clears the search input
      */
@@ -1007,6 +2012,7 @@
             elements.clearSearchBtn.classList.add("hidden");
         }
         updateSearchStats(0, 0, "");
+        showSearchError("");
     };
 
     /**
@@ -1108,6 +2114,16 @@
         log(`Grid size set to: ${size}`);
     };
 
+    /**
+     * Shows the sort order in the sort control
+     * @param {string} order - Sort order (see AssetController.SORT_ORDERS)
+     */
+    const setSortOrder = (order) => {
+        if (elements.sortSelect && elements.sortSelect.value !== order) {
+            elements.sortSelect.value = order;
+        }
+    };
+
     /**
      * Loads and applies saved grid size preference
      */
@@ -1211,6 +2227,62 @@
      */
     const getContextMenuCallbacks = () => contextMenuCallbacks;
 
+    /**
+     * Shows a menu of actions at a position, replacing any open one
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Array<{label: string, onClick: Function, checked: boolean, danger: boolean, disabled: boolean}|{divider: true}>} items
+     *   Menu entries; checked marks an entry as active
+     */
+    const showActionMenu = (x, y, items) => {
+        const menu = elements.actionMenu;
+        if (!menu) return;
+        menu.innerHTML = "";
+
+        items.forEach(entry => {
+            if (entry.divider) {
+                const divider = document.createElement("div");
+                divider.className = "context-menu__divider";
+                menu.appendChild(divider);
+                return;
+            }
+            const item = document.createElement("button");
+            item.type = "button";
+            item.className = "context-menu__item" +
+                (entry.checked ? " context-menu__item--active context-menu__item--checked" : "") +
+                (entry.danger ? " context-menu__item--danger" : "");
+            item.setAttribute("role", entry.checked !== undefined ? "menuitemcheckbox" : "menuitem");
+            if (entry.checked !== undefined) item.setAttribute("aria-checked", String(!!entry.checked));
+            item.disabled = !!entry.disabled;
+            item.textContent = entry.label;
+            item.addEventListener("click", () => {
+                hideActionMenu();
+                entry.onClick();
+            });
+            menu.appendChild(item);
+        });
+
+        menu.style.display = "block";
+        const menuRect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(10, Math.min(x, window.innerWidth - menuRect.width - 10))}px`;
+        menu.style.top = `${Math.max(10, Math.min(y, window.innerHeight - menuRect.height - 10))}px`;
+    };
+
+    /**
+     * Hides the action menu
+     */
+    const hideActionMenu = () => {
+        if (elements.actionMenu) {
+            elements.actionMenu.style.display = "none";
+        }
+    };
+
+    /**
+     * Checks whether the action menu is open
+     * @returns {boolean} True if open
+     */
+    const isActionMenuOpen = () => !!elements.actionMenu && elements.actionMenu.style.display === "block";
+
     /**
      * Updates the preview navigation buttons state
      * @param {boolean} hasPrev - Whether there's a previous asset
@@ -1242,6 +2314,15 @@
         }
     };
 
+    /**
+     * Hides the feedback button (after signing out)
+     */
+    const hideFeedbackButton = () => {
+        if (elements.feedbackButton) {
+            elements.feedbackButton.classList.add("hidden");
+        }
+    };
+
     /**
      * Shows the feedback modal
      */
@@ -1425,21 +2506,74 @@
         log(`Version badge set to: ${version} (outdated: ${isOutdated})`);
     };
     
+    /**
+     * Shows whether the panel is offline: greys out uncached cards and shows the indicator
+     * @param {boolean} offline - True if offline
+     * @param {boolean} manual - True if the user chose to work offline
+     */
+    const setOfflineMode = (offline, manual) => {
+        elements.grid.classList.toggle("asset-grid--offline", offline);
+        if (elements.settingsOfflineToggle) {
+            elements.settingsOfflineToggle.checked = manual;
+        }
+
+        const indicator = elements.connectionIndicator;
+        if (!indicator) return;
+        clearTimeout(reconnectedTimer);
+        indicator.classList.remove("connection-indicator--online");
+        indicator.classList.toggle("hidden", !offline);
+        indicator.textContent = "Offline";
+        indicator.title = manual
+            ? "Working offline. Click to go back online."
+            : "Can't reach the Views server. Click to retry now.";
+    };
+
+    /**
+     * Briefly shows a "Back online" indicator
+     */
+    const showReconnected = () => {
+        const indicator = elements.connectionIndicator;
+        if (!indicator) return;
+        clearTimeout(reconnectedTimer);
+        indicator.textContent = "Back online";
+        indicator.title = "Connected to the Views server";
+        indicator.classList.add("connection-indicator--online");
+        indicator.classList.remove("hidden");
+        reconnectedTimer = setTimeout(() => {
+            indicator.classList.add("hidden");
+            indicator.classList.remove("connection-indicator--online");
+        }, RECONNECTED_INDICATOR_MS);
+    };
+
     // Expose methods
     global.Views.UI = {
         elements,
         LoadingOverlay,
         SyncModal,
         CacheNoticeModal,
+        SettingsModal,
+        DeviceModal,
+        PromptModal,
+        BackupImportModal,
+        ProfileSwitcher,
         setStatus,
+        showError,
+        setRecoveryHandlers,
         setLoading,
         renderWelcomeScreen,
         renderFolders,
         renderBreadcrumbs,
         hideBreadcrumbs,
         expandToFolder,
+        setActiveFolder,
         updateFolderCount,
+        setIncludeSubfolders,
+        setProjectFilter,
         renderAssets,
+        patchAssets,
+        setAssetCardCached,
+        setOfflineMode,
+        showReconnected,
         appendAssets,
         renderSkeletons,
         showApiKeyModal,
@@ -1448,6 +2582,7 @@
         toggleApiKeyVisibility,
         updateLoadMoreButton,
         updateSearchStats,
+        showSearchError,
         clearSearch,
         getSearchQuery,
         updateClearButtonVisibility,
@@ -1457,15 +2592,22 @@
         toggleCardSelection,
         setGridSize,
         loadGridSizePreference,
+        setSortOrder,
         toggleSidebar,
         loadSidebarPreference,
         showContextMenu,
         hideContextMenu,
         getContextMenuAsset,
         getContextMenuCallbacks,
+        showActionMenu,
+        hideActionMenu,
+        isActionMenuOpen,
+        renderCollections,
+        setCollectionHandlers,
         updatePreviewNav,
         isPreviewOpen,
         showFeedbackButton,
+        hideFeedbackButton,
         showFeedbackModal,
         hideFeedbackModal,
         showFeedbackError,
@@ -42,6 +42,118 @@
         return match && match[1] ? match[1] : raw;
     };
 
+    /**
+     * Formats a byte count for display (e.g. "4.2 MB")
+     * @param {number} bytes - Byte count
+     * @returns {string} Human-readable size
+     */
+    const formatBytes = (bytes) => {
+        if (!bytes || bytes < 1024) return `${bytes || 0} B`;
+        const units = ["KB", "MB", "GB"];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(1)} ${units[unit]}`;
+    };
+
+    /**
+     * Formats a remaining-time estimate for display (e.g. "1m 05s")
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Human-readable duration
+     */
+    const formatDuration = (seconds) => {
+        const total = Math.max(0, Math.round(seconds));
+        if (total < 60) return `${total}s`;
+        const minutes = Math.floor(total / 60);
+        const rest = String(total % 60).padStart(2, "0");
+        return `${minutes}m ${rest}s`;
+    };
+
+    /**
+     * Creates the error thrown when an operation is cancelled through an AbortSignal
+     * @param {string} [message] - Error message
+     * @returns {Error} Error named "AbortError" (same as fetch uses)
+     */
+    const createAbortError = (message = "Operation cancelled") => {
+        const error = new Error(message);
+        error.name = "AbortError";
+        return error;
+    };
+
+    /**
+     * Checks whether an error came from a cancelled operation
+     * @param {*} error - Caught error
+     * @returns {boolean} True for abort errors
+     */
+    const isAbortError = (error) => !!error && error.name === "AbortError";
+
+    /**
+     * Throws an AbortError if the signal has been aborted
+     * @param {AbortSignal} [signal] - Signal to check
+     */
+    const throwIfAborted = (signal) => {
+        if (signal && signal.aborted) {
+            throw createAbortError();
+        }
+    };
+
+    /**
+     * Resolves after the given number of milliseconds
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Rejects early with an AbortError when aborted
+     * @returns {Promise<void>}
+     */
+    const delay = (ms, signal) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+
+    /**
+     * Runs a worker over a list of items with at most `limit` in flight at once.
+     * Never rejects: each item settles to { ok, value } or { ok, error }, in input order.
+     * @param {Array} items - Items to process
+     * @param {number} limit - Maximum number of concurrent workers
+     * @param {Function} worker - Async function (item, index) => value
+     * @returns {Promise<Array<{ok: boolean, value?: *, error?: Error}>>} Settled results
+     */
+    const runWithConcurrency = async (items, limit, worker) => {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const runNext = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                try {
+                    results[index] = { ok: true, value: await worker(items[index], index) };
+                } catch (error) {
+                    results[index] = { ok: false, error };
+                }
+            }
+        };
+
+        const runners = [];
+        const poolSize = Math.max(1, Math.min(limit, items.length));
+        for (let i = 0; i < poolSize; i++) {
+            runners.push(runNext());
+        }
+        await Promise.all(runners);
+        return results;
+    };
+
     const evalScript = (script) =>
         new Promise((resolve, reject) => {
             try {
@@ -125,12 +237,10 @@
             if (onProgress) onProgress("Fetching latest version...");
             let apiVersion = "1.0.0";
             try {
-                const response = await fetch("https://api.viewseditors.com/version");
-                if (response.ok) {
-                    const data = await response.json();
-                    apiVersion = data.version || "1.0.0";
-                    log("API version:", apiVersion);
-                }
+                // Goes through the configured endpoint and proxy
+                const data = await global.Views.API.fetchVersion();
+                apiVersion = data.version || "1.0.0";
+                log("API version:", apiVersion);
             } catch (e) {
                 log("Failed to fetch API version, using default:", e.message);
             }
@@ -396,6 +506,14 @@ $null = $Host.UI.RawUI.ReadKey("NoEcho,IncludeKeyDown")
         escapeForEval,
         sanitizeFileName,
         getDisplayName,
+        delay,
+        runWithConcurrency,
+        formatBytes,
+        formatDuration,
+        createAbortError,
+        isAbortError,
+        throwIfAborted,
+        getPlatform,
         evalScript,
         loadHostScript,
         runUpdateScript,
@@ -0,0 +1,106 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { loadPanel, loadModules } = require("./helpers/panel");
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+/** What the server sends, and what the canvas repair writes back in its place */
+const DOWNLOADED_PNG = Buffer.from("\x89PNG\r\n\x1a\n original payload", "binary");
+const REPAIRED_PNG = Buffer.from("\x89PNG\r\n\x1a\n re-encoded by canvas", "binary");
+
+/**
+ * Returns an object whose every property and call result is itself, standing in for the UI
+ * @returns {Proxy} Stub
+ */
+const createAnythingStub = () => {
+    const stub = new Proxy(function() {}, {
+        get: (target, key) => (key === "then" ? undefined : stub),
+        apply: () => undefined
+    });
+    return stub;
+};
+
+/** Loads immediately, like a PNG the browser can read */
+class FakeImage {
+    constructor() {
+        this.width = 4;
+        this.height = 4;
+    }
+
+    set src(value) {
+        if (value) setTimeout(() => this.onload && this.onload());
+    }
+}
+
+const canvasDocument = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    createElement: () => ({
+        getContext: () => ({ drawImage() {} }),
+        toDataURL: () => `data:image/png;base64,${REPAIRED_PNG.toString("base64")}`
+    })
+};
+
+test("a repaired PNG is a cache hit on the next import", async (t) => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), "views-cache-"));
+    const previousHome = process.env.HOME;
+    process.env.HOME = home;
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(200, { "Content-Type": "image/png", "Content-Length": DOWNLOADED_PNG.length });
+        response.end(DOWNLOADED_PNG);
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    t.after(() => {
+        server.close();
+        process.env.HOME = previousHome;
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    const panel = loadPanel([
+        "deviceId", "utils", "errors", "profiles", "connectivity", "secureStore", "network", "api",
+        "fileSystem", "catalogStore", "cacheIndex", "search"
+    ], {
+        evalScript: (script) => (script.startsWith("getActiveComp") ? "true" : "Imported."),
+        globals: { Image: FakeImage, document: canvasDocument }
+    });
+    panel.Views.UI = createAnythingStub();
+    loadModules(panel, ["preferences", "state", "syncEngine", "assetController"]);
+
+    const { API, AssetController, CacheIndex } = panel.Views;
+    let downloadRequests = 0;
+    API.requestAssetDownload = async () => {
+        downloadRequests++;
+        return {
+            url: `http://127.0.0.1:${server.address().port}/logo.png`,
+            size: DOWNLOADED_PNG.length,
+            sha256: sha256(DOWNLOADED_PNG)
+        };
+    };
+
+    const asset = { id: "asset-1", name: "logo.png" };
+    const button = {};
+
+    await AssetController.handleAssetDownload(asset, button);
+    assert.equal(downloadRequests, 1);
+
+    const entry = CacheIndex.get(asset.id);
+    assert.ok(entry, "the download is indexed");
+    assert.deepEqual(fs.readFileSync(entry.path), REPAIRED_PNG);
+    assert.equal(entry.checksum, sha256(REPAIRED_PNG));
+    assert.equal(entry.size, REPAIRED_PNG.length);
+
+    await AssetController.handleAssetDownload(asset, button);
+    assert.equal(downloadRequests, 1, "the second import uses the cached file");
+    assert.ok(CacheIndex.get(asset.id), "the cached file stays indexed");
+});
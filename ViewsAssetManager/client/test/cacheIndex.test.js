@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadPanel } = require("./helpers/panel");
+
+const MODULES = [
+    "deviceId", "utils", "errors", "profiles", "connectivity", "secureStore", "network", "api",
+    "fileSystem", "catalogStore", "cacheIndex"
+];
+
+/**
+ * Points the cache folder at a fresh temporary home for one test
+ * @param {Object} t - Test context
+ * @returns {string} Cache folder
+ */
+const useTempHome = (t) => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), "views-cache-index-"));
+    const previousHome = process.env.HOME;
+    process.env.HOME = home;
+    t.after(() => {
+        process.env.HOME = previousHome;
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+    return path.join(home, "Documents", "ViewsAssetManager", "cache");
+};
+
+/**
+ * Writes a file into the cache and indexes it
+ * @param {Object} Views - Panel modules
+ * @param {string} cacheDir - Cache folder
+ * @param {string} assetId - Asset ID
+ * @returns {string} File path
+ */
+const cacheFile = (Views, cacheDir, assetId) => {
+    const dir = path.join(cacheDir, assetId);
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `${assetId}.png`);
+    fs.writeFileSync(filePath, Buffer.alloc(100));
+    Views.CacheIndex.record(assetId, { path: filePath });
+    return filePath;
+};
+
+test("nothing is evicted when the host script reports an error", async (t) => {
+    const cacheDir = useTempHome(t);
+    for (const reply of ["Error: x", "EvalScript error."]) {
+        const { Views } = loadPanel(MODULES, { evalScript: () => reply });
+        const files = ["a", "b"].map(id => cacheFile(Views, cacheDir, id));
+
+        assert.deepEqual(Array.from(await Views.CacheIndex.evictToSize(0)), []);
+        files.forEach(file => assert.ok(fs.existsSync(file), `${reply}: ${file} kept`));
+        assert.ok(Views.CacheIndex.isCached("a") && Views.CacheIndex.isCached("b"));
+    }
+});
+
+test("files the open project uses are kept, others are evicted", async (t) => {
+    const cacheDir = useTempHome(t);
+    let footage = "";
+    const { Views } = loadPanel(MODULES, { evalScript: () => footage });
+    const used = cacheFile(Views, cacheDir, "used");
+    const unused = cacheFile(Views, cacheDir, "unused");
+    footage = `${used}\n`;
+
+    const evicted = await Views.CacheIndex.evictToSize(0);
+
+    assert.deepEqual(Array.from(evicted), ["unused"]);
+    assert.ok(fs.existsSync(used));
+    assert.ok(!fs.existsSync(unused));
+});
+
+test("a hard-linked flat file isn't counted twice after migration", (t) => {
+    const cacheDir = useTempHome(t);
+    const { Views } = loadPanel(MODULES);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, "logo.png"), Buffer.alloc(100));
+
+    assert.equal(Views.CacheIndex.migrateFlatCache([{ id: "logo", name: "logo.png" }]), 1);
+
+    assert.ok(fs.existsSync(Views.CacheIndex.get("logo").path));
+    assert.equal(fs.statSync(Views.CacheIndex.get("logo").path).nlink, 2);
+    assert.equal(Views.CacheIndex.getTotalSize(), 100);
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPanel, loadModules } = require("./helpers/panel");
+
+/**
+ * Loads the folder controller with a controllable folder fetch
+ * @returns {{Views: Object, resolveFetch: Function}} Panel, and a function answering the pending fetch
+ */
+const setup = () => {
+    const panel = loadPanel(["utils", "errors", "state"]);
+    let resolveFetch = null;
+    panel.Views.API = {
+        fetchFolders: () => new Promise(resolve => {
+            resolveFetch = resolve;
+        })
+    };
+    panel.Views.UI = {};
+    loadModules(panel, ["folderController"]);
+    return { Views: panel.Views, resolveFetch: (folders) => resolveFetch(folders) };
+};
+
+test("folders from a stale load are dropped without touching state", async () => {
+    const { Views, resolveFetch } = setup();
+    let current = true;
+
+    const loading = Views.FolderController.loadFolders({ isCurrent: () => current });
+    current = false;
+    resolveFetch([{ id: "old-profile-folder", name: "Old", parentId: null }]);
+
+    assert.equal(await loading, null);
+    assert.equal(Views.State.getState().folders.length, 0);
+    assert.equal(Views.State.getState().folderMap["old-profile-folder"], undefined);
+});
+
+test("a stale load leaves the newer load's preload alone", async () => {
+    const { Views } = setup();
+    const state = Views.State.getState();
+    let current = true;
+
+    let resolveOld;
+    state.preloadFoldersPromise = new Promise(resolve => {
+        resolveOld = resolve;
+    });
+    const loading = Views.FolderController.loadFolders({ isCurrent: () => current });
+
+    // Another profile starts its own preload before the old one finishes
+    current = false;
+    const newerPreload = Promise.resolve([]);
+    state.preloadFoldersPromise = newerPreload;
+    resolveOld([{ id: "old-profile-folder", name: "Old", parentId: null }]);
+
+    assert.equal(await loading, null);
+    assert.equal(state.preloadFoldersPromise, newerPreload);
+    assert.equal(state.folders.length, 0);
+});
+
+test("a current load stores the folders", async () => {
+    const { Views, resolveFetch } = setup();
+
+    const loading = Views.FolderController.loadFolders({ isCurrent: () => true });
+    resolveFetch([{ id: "f1", name: "Overlays", parentId: null }]);
+
+    const folders = await loading;
+    assert.equal(folders.length, 1);
+    assert.equal(Views.State.getState().folderMap.f1.name, "Overlays");
+});
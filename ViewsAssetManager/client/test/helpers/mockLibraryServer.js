@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * Test helper: a local stand-in for the Views API's POST /library/sync. Like the real
+ * server it keeps the most recent change per favorite, collection and membership, and
+ * answers with every change stored after the client's cursor.
+ */
+const http = require("http");
+
+/**
+ * Gets the key a change record is stored under (mirrors Preferences)
+ * @param {Object} record - Change record
+ * @returns {string} Key
+ */
+const getRecordKey = (record) => {
+    switch (record.type) {
+        case "favorite":
+            return `favorite:${record.assetId}`;
+        case "collection":
+            return `collection:${record.collectionId}`;
+        default:
+            return `member:${record.collectionId}:${record.assetId}`;
+    }
+};
+
+/**
+ * Starts the mock server on a free local port
+ * @returns {Promise<Object>} Server with url, requests (every body received), records and close()
+ */
+const startMockLibraryServer = async () => {
+    const records = new Map();
+    const requests = [];
+    let sequence = 0;
+
+    const server = http.createServer((request, response) => {
+        if (request.method !== "POST" || request.url !== "/library/sync") {
+            response.writeHead(404, { "Content-Type": "application/json" });
+            response.end(JSON.stringify({ error: "Not found" }));
+            return;
+        }
+
+        let body = "";
+        request.on("data", (chunk) => {
+            body += chunk;
+        });
+        request.on("end", () => {
+            const payload = JSON.parse(body);
+            requests.push({ ...payload, deviceId: request.headers["x-device-id"] });
+
+            payload.changes.forEach((change) => {
+                const key = getRecordKey(change);
+                const stored = records.get(key);
+                if (stored && Date.parse(stored.record.updatedAt) >= Date.parse(change.updatedAt)) return;
+                records.set(key, { record: change, sequence: ++sequence });
+            });
+
+            const since = Number(payload.since) || 0;
+            const changes = Array.from(records.values())
+                .filter(entry => entry.sequence > since)
+                .sort((a, b) => a.sequence - b.sequence)
+                .map(entry => entry.record);
+
+            response.writeHead(200, { "Content-Type": "application/json" });
+            response.end(JSON.stringify({ changes, cursor: String(sequence) }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        records,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = {
+    startMockLibraryServer
+};
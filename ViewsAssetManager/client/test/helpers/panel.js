@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Test helper: loads panel modules (client/js) into a fresh VM context that stands in
+ * for the CEP window, with in-memory localStorage and stubbed CSInterface and DOM.
+ * Modules are IIFEs that register on window.Views, so they load in index.html order.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const JS_DIR = path.join(__dirname, "..", "..", "js");
+
+/**
+ * Creates an in-memory localStorage
+ * @param {Object} [initial] - Stored values by key
+ * @returns {Object} Storage with the Web Storage methods used by the panel
+ */
+const createStorage = (initial = {}) => {
+    const items = Object.assign({}, initial);
+    return {
+        items,
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: (key) => {
+            delete items[key];
+        },
+        key: (index) => Object.keys(items)[index] || null,
+        get length() {
+            return Object.keys(items).length;
+        }
+    };
+};
+
+/**
+ * Creates a DOM element stub that accepts whatever the modules do with it
+ * @returns {Object} Element stub
+ */
+const createElementStub = () => {
+    return {
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        removeEventListener() {},
+        appendChild: (child) => child,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        setAttribute() {},
+        getContext: () => null
+    };
+};
+
+/**
+ * Loads modules into a new panel context
+ * @param {Array<string>} modules - Module file names without ".js", in load order
+ * @param {Object} [options] - Context options
+ * @param {Object} [options.storage] - Initial localStorage values
+ * @param {Function} [options.evalScript] - Answers host script calls: (script) => result
+ * @param {Object} [options.globals] - Extra globals (e.g. stubs for modules not loaded)
+ * @returns {Object} The context; its Views property holds the loaded modules
+ */
+const loadPanel = (modules, options = {}) => {
+    const evalScript = options.evalScript || (() => "");
+    const context = {
+        console: { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        Promise,
+        URL,
+        URLSearchParams,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        Buffer,
+        fetch: options.fetch || global.fetch,
+        require,
+        localStorage: createStorage(options.storage),
+        navigator: { onLine: true, userAgent: "node" },
+        CSInterface: function CSInterface() {
+            this.evalScript = (script, callback) => callback(evalScript(script));
+            this.getSystemPath = () => "/extension";
+            this.addEventListener = () => {};
+            this.openURLInDefaultBrowser = () => {};
+        },
+        SystemPath: { EXTENSION: "extension", USER_DATA: "userData" },
+        document: {
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {},
+            createElement: createElementStub,
+            createElementNS: createElementStub,
+            createDocumentFragment: createElementStub
+        },
+        ...options.globals
+    };
+    context.window = context;
+    context.addEventListener = () => {};
+    context.removeEventListener = () => {};
+    vm.createContext(context);
+
+    loadModules(context, modules);
+    return context;
+};
+
+/**
+ * Loads more modules into a panel context, e.g. after stubbing one they capture
+ * @param {Object} context - From loadPanel
+ * @param {Array<string>} modules - Module file names without ".js", in load order
+ */
+const loadModules = (context, modules) => {
+    modules.forEach((name) => {
+        const file = path.join(JS_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    });
+};
+
+module.exports = {
+    loadPanel,
+    loadModules,
+    createStorage
+};
@@ -0,0 +1,176 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPanel } = require("./helpers/panel");
+const { startMockLibraryServer } = require("./helpers/mockLibraryServer");
+
+const MODULES = [
+    "deviceId", "utils", "errors", "profiles", "connectivity", "secureStore", "network", "api",
+    "fileSystem", "catalogStore", "preferences", "state", "syncEngine", "librarySync"
+];
+
+/**
+ * Sets up one panel (device) signed in against the mock server
+ * @param {string} url - Mock server URL
+ * @returns {{Views: Object, remoteChanges: number}} Device; remoteChanges counts onRemoteChanges calls
+ */
+const createDevice = (url) => {
+    const { Views } = loadPanel(MODULES);
+    const device = { Views, remoteChanges: 0 };
+    Views.Preferences.setApiBaseUrl(url);
+    Views.API.setApiKey("test-key");
+    Views.State.set("apiKey", "test-key");
+    Views.LibrarySync.init({ onRemoteChanges: () => device.remoteChanges++ });
+    return device;
+};
+
+/**
+ * Copies a value out of the panel's VM context, so deepEqual compares content rather than realms
+ * @param {*} value - Value from the panel
+ * @returns {*} Plain copy
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Waits a few milliseconds, so the next change gets a later timestamp
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @returns {Promise<void>} Rejects after two seconds
+ */
+const waitFor = async (condition) => {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error("Timed out waiting for the library sync");
+        await tick();
+    }
+};
+
+/**
+ * Takes a device back online and waits for the sync the reconnect starts to finish
+ * @param {Object} device - From createDevice
+ * @param {Object} server - Mock server
+ * @returns {Promise<void>}
+ */
+const reconnect = async (device, server) => {
+    const sent = server.requests.length;
+    device.Views.Connectivity.setManualOffline(false);
+    await waitFor(() => server.requests.length > sent &&
+        device.Views.Preferences.getPendingLibraryChanges().length === 0);
+};
+
+test("library sync against a mock /library/sync endpoint", async (t) => {
+    const server = await startMockLibraryServer();
+    t.after(() => server.close());
+
+    const laptop = createDevice(server.url);
+    const desktop = createDevice(server.url);
+
+    await t.test("changes made offline stay queued", async () => {
+        laptop.Views.Connectivity.setManualOffline(true);
+        laptop.Views.Preferences.addFavorite("asset-1");
+        laptop.Views.Preferences.createCollection("Logos");
+
+        await laptop.Views.LibrarySync.sync();
+        assert.equal(server.requests.length, 0);
+        assert.ok(laptop.Views.Preferences.getPendingLibraryChanges().length >= 2);
+    });
+
+    await t.test("reconnecting flushes the queue and stores the cursor", async () => {
+        // Connectivity reports the reconnect, which starts a sync
+        await reconnect(laptop, server);
+
+        assert.equal(server.requests.length, 1);
+        assert.equal(server.requests[0].since, null);
+        assert.ok(server.requests[0].changes.some(c => c.type === "favorite" && c.assetId === "asset-1"));
+        assert.deepEqual(plain(laptop.Views.Preferences.getPendingLibraryChanges()), []);
+        assert.equal(laptop.Views.Preferences.getLibraryCursor(), String(server.records.size));
+    });
+
+    await t.test("another device receives the changes", async () => {
+        await desktop.Views.LibrarySync.sync();
+
+        assert.deepEqual(plain(desktop.Views.Preferences.getFavorites()), ["asset-1"]);
+        assert.deepEqual(plain(desktop.Views.Preferences.getCollections().map(c => c.name)), ["Logos"]);
+        assert.equal(desktop.remoteChanges, 1);
+    });
+
+    await t.test("the cursor advances so later syncs only fetch newer changes", async () => {
+        const cursor = laptop.Views.Preferences.getLibraryCursor();
+        desktop.Views.Preferences.addFavorite("asset-2");
+        await desktop.Views.LibrarySync.sync();
+
+        await laptop.Views.LibrarySync.sync();
+        const request = server.requests[server.requests.length - 1];
+        assert.equal(request.since, cursor);
+        assert.deepEqual(plain(laptop.Views.Preferences.getFavorites()).sort(), ["asset-1", "asset-2"]);
+        assert.ok(Number(laptop.Views.Preferences.getLibraryCursor()) > Number(cursor));
+
+        // Nothing new: the answer is empty and the cursor stays put
+        const settled = laptop.Views.Preferences.getLibraryCursor();
+        const before = laptop.remoteChanges;
+        await laptop.Views.LibrarySync.sync();
+        assert.equal(laptop.Views.Preferences.getLibraryCursor(), settled);
+        assert.equal(laptop.remoteChanges, before);
+    });
+
+    await t.test("the most recent change wins a conflict", async () => {
+        const collectionId = laptop.Views.Preferences.getCollections()[0].id;
+        // Both devices rename the collection while offline; the desktop does it last
+        laptop.Views.Connectivity.setManualOffline(true);
+        desktop.Views.Connectivity.setManualOffline(true);
+        laptop.Views.Preferences.renameCollection(collectionId, "Brand marks");
+        await tick();
+        desktop.Views.Preferences.renameCollection(collectionId, "Logo pack");
+
+        // The newer rename reaches the server first, then the older one arrives
+        await reconnect(desktop, server);
+        await reconnect(laptop, server);
+        await desktop.Views.LibrarySync.sync();
+
+        assert.equal(laptop.Views.Preferences.getCollection(collectionId).name, "Logo pack");
+        assert.equal(desktop.Views.Preferences.getCollection(collectionId).name, "Logo pack");
+        assert.deepEqual(plain(laptop.Views.Preferences.getPendingLibraryChanges()), []);
+    });
+
+    await t.test("a queued local change newer than the server's is kept and sent", async () => {
+        desktop.Views.Preferences.removeFavorite("asset-1");
+        await desktop.Views.LibrarySync.sync();
+        await tick();
+
+        // The laptop favorites it again before hearing about the removal
+        laptop.Views.Connectivity.setManualOffline(true);
+        laptop.Views.Preferences.removeFavorite("asset-1");
+        laptop.Views.Preferences.addFavorite("asset-1");
+        await reconnect(laptop, server);
+        await desktop.Views.LibrarySync.sync();
+
+        assert.ok(laptop.Views.Preferences.isFavorite("asset-1"));
+        assert.ok(desktop.Views.Preferences.isFavorite("asset-1"));
+    });
+});
+
+test("a server without library sync stops syncing until reset", async (t) => {
+    const server = await startMockLibraryServer();
+    t.after(() => server.close());
+
+    // Under /legacy every request gets a 404, like a server from before library sync
+    const device = createDevice(`${server.url}/legacy`);
+    device.Views.Preferences.addFavorite("asset-1");
+    await device.Views.LibrarySync.sync();
+
+    device.Views.Preferences.setApiBaseUrl(server.url);
+    await device.Views.LibrarySync.sync();
+    assert.equal(server.requests.length, 0);
+
+    device.Views.LibrarySync.reset();
+    await device.Views.LibrarySync.sync();
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(plain(device.Views.Preferences.getFavorites()), ["asset-1"]);
+    assert.deepEqual(plain(device.Views.Preferences.getPendingLibraryChanges()), []);
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPanel } = require("./helpers/panel");
+
+const MODULES = ["deviceId", "utils", "errors", "profiles", "secureStore", "preferences"];
+
+/**
+ * Finds stored values containing a string, anywhere in localStorage
+ * @param {Object} storage - Panel localStorage
+ * @param {string} text - Text to look for
+ * @returns {Array<string>} Keys whose value contains it
+ */
+const findInStorage = (storage, text) => Object.keys(storage.items).filter(key => storage.items[key].includes(text));
+
+test("the proxy password is stored encrypted, not in views_proxy", () => {
+    const { Views, localStorage } = loadPanel(MODULES);
+
+    assert.equal(Views.Preferences.setProxySettings({
+        url: "http://proxy.local:8080",
+        username: "editor",
+        password: "hunter2-proxy"
+    }), true);
+
+    assert.deepEqual(JSON.parse(localStorage.getItem("views_proxy")), { url: "http://proxy.local:8080", username: "editor" });
+    assert.deepEqual(findInStorage(localStorage, "hunter2-proxy"), []);
+
+    const settings = Views.Preferences.getProxySettings();
+    assert.equal(settings.url, "http://proxy.local:8080");
+    assert.equal(settings.username, "editor");
+    assert.equal(settings.password, "hunter2-proxy");
+});
+
+test("a plain-text password from an older version is migrated", () => {
+    const { Views, localStorage } = loadPanel(MODULES, {
+        storage: {
+            views_proxy: JSON.stringify({ url: "http://proxy.local:8080", username: "editor", password: "old-plain" })
+        }
+    });
+
+    assert.equal(Views.Preferences.getProxySettings().password, "old-plain");
+    assert.deepEqual(JSON.parse(localStorage.getItem("views_proxy")), { url: "http://proxy.local:8080", username: "editor" });
+    assert.deepEqual(findInStorage(localStorage, "old-plain"), []);
+    assert.equal(Views.Preferences.getProxySettings().password, "old-plain");
+});
+
+test("clearing the proxy removes the stored password", () => {
+    const { Views, localStorage } = loadPanel(MODULES);
+    Views.Preferences.setProxySettings({ url: "http://proxy.local:8080", username: "editor", password: "secret" });
+
+    Views.Preferences.setProxySettings({ url: "", username: "", password: "" });
+
+    assert.equal(Views.Preferences.getProxySettings().password, "");
+    assert.deepEqual(Object.keys(localStorage.items).filter(key => key.includes("proxyPassword")), []);
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPanel } = require("./helpers/panel");
+
+const MB = 1024 * 1024;
+
+const { Views } = loadPanel(["utils", "search"]);
+const Search = Views.Search;
+
+const assets = [
+    { id: "small", name: "small.png", size: 1 * MB },
+    { id: "under", name: "under.png", size: 4.7 * MB },
+    { id: "exact", name: "exact.png", size: 5 * MB },
+    { id: "over", name: "over.png", size: 5.2 * MB },
+    { id: "large", name: "large.png", size: 12 * MB }
+];
+
+/**
+ * Runs a query against the test assets
+ * @param {string} query - Query as typed
+ * @returns {Array<string>} Matching asset IDs, sorted
+ */
+const find = (query) => Search.search(assets, query).map(asset => asset.id).sort();
+
+test("size:<5mb keeps everything below exactly 5 MB", () => {
+    assert.deepEqual(find("size:<5mb"), ["small", "under"]);
+});
+
+test("size:<=5mb stops at exactly 5 MB", () => {
+    assert.deepEqual(find("size:<=5mb"), ["exact", "small", "under"]);
+});
+
+test("size:>5mb keeps everything above exactly 5 MB", () => {
+    assert.deepEqual(find("size:>5mb"), ["large", "over"]);
+});
+
+test("size:>=5mb starts at exactly 5 MB", () => {
+    assert.deepEqual(find("size:>=5mb"), ["exact", "large", "over"]);
+});
+
+test("a bare size allows half a unit either way", () => {
+    assert.deepEqual(find("size:5mb"), ["exact", "over", "under"]);
+    assert.deepEqual(find("size:=5mb"), ["exact", "over", "under"]);
+});
+
+test("size ranges include both ends exactly", () => {
+    assert.deepEqual(find("size:1mb..5mb"), ["exact", "small", "under"]);
+    assert.deepEqual(find("size:5mb.."), ["exact", "large", "over"]);
+    assert.deepEqual(find("size:..4.7mb"), ["small", "under"]);
+});
+
+test("negated size filters invert the comparison", () => {
+    assert.deepEqual(find("-size:<5mb"), ["exact", "large", "over"]);
+});
+
+test("invalid sizes are reported instead of filtering", () => {
+    const parsed = Search.parseQuery("size:<5 megs");
+    assert.equal(parsed.filters.length, 0);
+    assert.match(parsed.errors[0], /Can't read size/);
+});
+
+test("dates still compare whole periods", () => {
+    const dated = [
+        { id: "dec", name: "a.png", uploadDate: new Date(2024, 11, 31, 12).toISOString() },
+        { id: "jan", name: "b.png", uploadDate: new Date(2025, 0, 15).toISOString() },
+        { id: "next", name: "c.png", uploadDate: new Date(2026, 1, 1).toISOString() }
+    ];
+    const ids = (query) => Search.search(dated, query).map(asset => asset.id).sort();
+    assert.deepEqual(ids("added:>2024"), ["jan", "next"]);
+    assert.deepEqual(ids("added:<=2025"), ["dec", "jan"]);
+    assert.deepEqual(ids("added:2025-01"), ["jan"]);
+});
@@ -107,13 +107,34 @@
         return cacheFolder;
     }
 
-    function saveToTemp(base64Data, fileName) {
+    /**
+     * Gets (creating as needed) a sub-folder of the cache folder.
+     * @param {string} subFolder - Relative path with forward slashes, e.g. "abc123/v2"
+     * @returns {Folder} The sub-folder, or the cache folder itself when empty
+     */
+    function getCacheSubFolder(subFolder) {
+        var folder = getCacheFolder();
+        var parts = (subFolder || "").split("/");
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i].replace(/[<>:"\/\\|?*]/g, "-");
+            if (part === "" || part === "." || part === "..") {
+                continue;
+            }
+            folder = new Folder(folder.fsName + "/" + part);
+            if (!folder.exists) {
+                folder.create();
+            }
+        }
+        return folder;
+    }
+
+    function saveToTemp(base64Data, fileName, subFolder) {
         try {
             if (!base64Data) {
                 throw new Error("Missing base64 data.");
             }
 
-            var folder = getCacheFolder();
+            var folder = getCacheSubFolder(subFolder);
             var safeName = sanitizeFileName(fileName);
             var filePath = folder.fsName + "/" + safeName;
             var file = new File(filePath);
@@ -194,8 +215,56 @@
         }
     }
 
+    /**
+     * Lists the files used by footage items in the open project.
+     * ExtendScript has no JSON, so paths are returned newline-separated.
+     * @returns {string} File paths, or an "Error: ..." message
+     */
+    function getProjectFootagePaths() {
+        try {
+            var paths = [];
+            if (!app.project) {
+                return "";
+            }
+            for (var i = 1; i <= app.project.numItems; i++) {
+                var item = app.project.item(i);
+                if (item instanceof FootageItem && item.file) {
+                    paths.push(item.file.fsName);
+                }
+            }
+            return paths.join("\n");
+        } catch (error) {
+            var message = error && error.message ? error.message : error.toString();
+            log("getProjectFootagePaths error: " + message);
+            return "Error: " + message;
+        }
+    }
+
+    /**
+     * Describes where imports currently go: the project file and the active composition.
+     * ExtendScript has no JSON, so the two values are returned on separate lines.
+     * @returns {string} "projectPath\ncompName" (empty for an unsaved project or no comp),
+     *   or an "Error: ..." message
+     */
+    function getImportContext() {
+        try {
+            if (!app.project) {
+                return "\n";
+            }
+            var projectPath = app.project.file ? app.project.file.fsName : "";
+            var comp = getActiveComp();
+            return projectPath + "\n" + (comp ? comp.name : "");
+        } catch (error) {
+            var message = error && error.message ? error.message : error.toString();
+            log("getImportContext error: " + message);
+            return "Error: " + message;
+        }
+    }
+
     $.global.importAndAddAsset = importAndAddAsset;
     $.global.getActiveComp = getActiveComp;
     $.global.saveToTemp = saveToTemp;
+    $.global.getProjectFootagePaths = getProjectFootagePaths;
+    $.global.getImportContext = getImportContext;
 })();
 